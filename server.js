@@ -137,27 +137,199 @@ const assetSchema = new mongoose.Schema(
   { timestamps: true }
 )
 
+// `mix` (monitor mix) and `tag` are free text shown in the on-stage badges.
+const PROFILE_FIELDS = ['instrument', 'mic', 'stand', 'notes', 'cables', 'mix', 'tag']
+const PROFILE_FIELD_MAX_LENGTH = 500
+
+const nodeProfileSchema = new mongoose.Schema(
+  {
+    instrument: { type: String, default: '', maxlength: PROFILE_FIELD_MAX_LENGTH },
+    mic: { type: String, default: '', maxlength: PROFILE_FIELD_MAX_LENGTH },
+    stand: { type: String, default: '', maxlength: PROFILE_FIELD_MAX_LENGTH },
+    notes: { type: String, default: '', maxlength: PROFILE_FIELD_MAX_LENGTH },
+    cables: { type: String, default: '', maxlength: PROFILE_FIELD_MAX_LENGTH },
+    mix: { type: String, default: '', maxlength: PROFILE_FIELD_MAX_LENGTH },
+    tag: { type: String, default: '', maxlength: PROFILE_FIELD_MAX_LENGTH },
+  },
+  { _id: false }
+)
+
+// Icons such as a drum kit can own several inputs, each on its own channel. The profile's mic, stand, notes
+// and cables only describe icons without an input list.
+const NODE_INPUT_FIELDS = ['name', 'mic', 'stand', 'notes', 'cables']
+const MAX_NODE_INPUTS = 64
+
+const nodeInputSchema = new mongoose.Schema(
+  {
+    id: { type: String, required: true },
+    name: { type: String, default: '', maxlength: PROFILE_FIELD_MAX_LENGTH },
+    mic: { type: String, default: '', maxlength: PROFILE_FIELD_MAX_LENGTH },
+    stand: { type: String, default: '', maxlength: PROFILE_FIELD_MAX_LENGTH },
+    notes: { type: String, default: '', maxlength: PROFILE_FIELD_MAX_LENGTH },
+    cables: { type: String, default: '', maxlength: PROFILE_FIELD_MAX_LENGTH },
+  },
+  { _id: false }
+)
+
+const STAGE_UNITS = ['m', 'ft']
+const STAGE_OUTLINES = ['none', 'rect', 'polygon']
+// What the badge beside each icon shows, and how it's drawn.
+const BADGE_CONTENTS = ['none', 'channel', 'mix', 'tag']
+const BADGE_STYLES = ['circle', 'square', 'pill']
+const DEFAULT_STAGE = {
+  width: 12,
+  depth: 8,
+  unit: 'm',
+  outline: 'rect',
+  outlinePoints: [],
+  apron: 0,
+  wings: 0,
+  markers: true,
+  foh: null,
+  monitorWorld: null,
+  badgeContent: 'channel',
+  badgeStyle: 'circle',
+  badgeColor: '#dc2626',
+  underlay: null,
+}
+const MAX_STAGE_DIMENSION = 1000
+const MIN_UNDERLAY_OPACITY = 0.05
+const MAX_OUTLINE_POINTS = 100
+// Pre-units plots stored raw canvas pixels; the builder draws 80px per meter.
+const LEGACY_PX_PER_METER = 80
+
+const stagePositionSchema = new mongoose.Schema({ x: Number, y: Number }, { _id: false })
+
+// A venue drawing traced under the plot. The image lives in the 'underlays' GridFS bucket; its top-left
+// corner and size are in stage units so calibration and unit changes only touch these numbers.
+const stageUnderlaySchema = new mongoose.Schema(
+  {
+    fileId: { type: String, required: true },
+    x: { type: Number, default: 0 },
+    y: { type: Number, default: 0 },
+    width: { type: Number, required: true },
+    height: { type: Number, required: true },
+    opacity: { type: Number, default: 0.5, min: MIN_UNDERLAY_OPACITY, max: 1 },
+    locked: { type: Boolean, default: false },
+    visible: { type: Boolean, default: true },
+    exported: { type: Boolean, default: false },
+  },
+  { _id: false }
+)
+
+// The stage deck spans width × depth from the origin, audience at the bottom (downstage). The outline,
+// apron, wings and FOH / monitor-world positions are in stage units and may lie outside the deck.
+const plotStageSchema = new mongoose.Schema(
+  {
+    width: { type: Number, default: DEFAULT_STAGE.width, min: 0.1, max: MAX_STAGE_DIMENSION },
+    depth: { type: Number, default: DEFAULT_STAGE.depth, min: 0.1, max: MAX_STAGE_DIMENSION },
+    unit: { type: String, enum: STAGE_UNITS, default: DEFAULT_STAGE.unit },
+    outline: { type: String, enum: STAGE_OUTLINES, default: DEFAULT_STAGE.outline },
+    outlinePoints: { type: [Number], default: undefined },
+    apron: { type: Number, default: 0, min: 0, max: MAX_STAGE_DIMENSION },
+    wings: { type: Number, default: 0, min: 0, max: MAX_STAGE_DIMENSION },
+    markers: { type: Boolean, default: DEFAULT_STAGE.markers },
+    foh: { type: stagePositionSchema, default: null },
+    monitorWorld: { type: stagePositionSchema, default: null },
+    badgeContent: { type: String, enum: BADGE_CONTENTS, default: DEFAULT_STAGE.badgeContent },
+    badgeStyle: { type: String, enum: BADGE_STYLES, default: DEFAULT_STAGE.badgeStyle },
+    badgeColor: { type: String, default: DEFAULT_STAGE.badgeColor },
+    underlay: { type: stageUnderlaySchema, default: null },
+  },
+  { _id: false }
+)
+
+// 'asset' nodes are library icons; the rest are drawn primitives sized in stage units.
+const PLOT_NODE_TYPES = ['asset', 'riser', 'rect', 'polygon', 'text', 'arrow', 'cable']
+const MAX_NODE_POINTS = 200
+const MAX_NODE_TEXT_LENGTH = 2000
+const LABEL_PLACEMENTS = ['below', 'above', 'left', 'right', 'free']
+const MAX_LABEL_FONT_SIZE = 200
+const MAX_LABEL_OFFSET = 10000
+const MAX_CHANNEL_NUMBER = 999
+
+// Label styling for icon nodes. Font size and the free-placement offset are in canvas pixels relative
+// to the 80px icon, so they don't change with the stage unit.
+const nodeLabelStyleSchema = new mongoose.Schema(
+  {
+    fontSize: Number,
+    bold: Boolean,
+    color: String,
+    placement: { type: String, enum: LABEL_PLACEMENTS },
+    offsetX: Number,
+    offsetY: Number,
+  },
+  { _id: false }
+)
+
+const plotNodeSchema = new mongoose.Schema({
+  id: String,
+  type: String,
+  x: Number,
+  y: Number,
+  rotation: Number,
+  scale: Number,
+  label: String,
+  flipX: Boolean,
+  locked: Boolean,
+  assetId: String,
+  groupId: { type: String, default: '' },
+  layerId: { type: String, default: '' },
+  profile: { type: nodeProfileSchema, default: () => ({}) },
+  inputs: { type: [nodeInputSchema], default: undefined },
+  // Primitive geometry: box size (riser, rect, text), riser height, and x/y pairs relative to the node
+  // position (polygon, arrow, cable).
+  width: Number,
+  depth: Number,
+  height: Number,
+  points: { type: [Number], default: undefined },
+  text: String,
+  fontSize: Number,
+  color: String,
+  labelStyle: { type: nodeLabelStyleSchema, default: undefined },
+  // First input channel of an icon, further inputs follow on; null leaves it out of the numbering. Locked
+  // numbers survive auto-numbering.
+  channel: { type: Number, default: undefined },
+  channelLocked: Boolean,
+})
+
+const MAX_GROUP_NAME_LENGTH = 100
+
+// Named node groups ("Drum kit"). Members point at a group through node.groupId.
+const plotGroupSchema = new mongoose.Schema(
+  {
+    id: { type: String, required: true },
+    name: { type: String, default: '', maxlength: MAX_GROUP_NAME_LENGTH },
+  },
+  { _id: false }
+)
+
+const MAX_PLOT_LAYERS = 50
+
+// User-defined drawing layers ("Backline", "Power"), bottom-most first. Nodes point at a layer through
+// node.layerId; nodes without one sit underneath every layer.
+const plotLayerSchema = new mongoose.Schema(
+  {
+    id: { type: String, required: true },
+    name: { type: String, default: '', maxlength: MAX_GROUP_NAME_LENGTH },
+    visible: { type: Boolean, default: true },
+    locked: { type: Boolean, default: false },
+    exported: { type: Boolean, default: true },
+  },
+  { _id: false }
+)
+
 const stagePlotSchema = new mongoose.Schema(
   {
     userId: { type: mongoose.Schema.Types.ObjectId, index: true },
     name: { type: String, default: '' },
-    state: {
-      type: [
-        {
-          id: String,
-          type: String,
-          x: Number,
-          y: Number,
-          rotation: Number,
-          scale: Number,
-          label: String,
-          flipX: Boolean,
-          locked: Boolean,
-          assetId: String,
-        },
-      ],
-      default: [],
-    },
+    schemaVersion: { type: Number, default: 0 },
+    revision: { type: Number, default: 0 },
+    deletedAt: { type: Date, default: null, index: true },
+    stage: { type: plotStageSchema, default: () => ({}) },
+    state: { type: [plotNodeSchema], default: [] },
+    groups: { type: [plotGroupSchema], default: [] },
+    layers: { type: [plotLayerSchema], default: [] },
     inputs: {
       type: [
         {
@@ -173,6 +345,44 @@ const stagePlotSchema = new mongoose.Schema(
   { timestamps: true }
 )
 
+// Snapshot written on every save of a plot. Autosave snapshots are coalesced, see recordPlotRevision.
+const plotRevisionSchema = new mongoose.Schema(
+  {
+    plotId: { type: mongoose.Schema.Types.ObjectId, required: true, index: true },
+    userId: { type: mongoose.Schema.Types.ObjectId, index: true },
+    revision: { type: Number, required: true },
+    name: { type: String, default: '' },
+    message: { type: String, default: '', maxlength: 500 },
+    isAutosave: { type: Boolean, default: false },
+    authorName: { type: String, default: '' },
+    authorEmail: { type: String, default: '' },
+    schemaVersion: { type: Number, default: 0 },
+    stage: { type: plotStageSchema, default: () => ({}) },
+    state: { type: [plotNodeSchema], default: [] },
+    groups: { type: [plotGroupSchema], default: [] },
+    layers: { type: [plotLayerSchema], default: [] },
+  },
+  { timestamps: { createdAt: true, updatedAt: false } }
+)
+
+plotRevisionSchema.index({ plotId: 1, revision: -1 }, { unique: true })
+
+// Starting layouts for new plots. Admin-published templates have no userId and are visible to everyone;
+// user templates are private to their owner.
+const plotTemplateSchema = new mongoose.Schema(
+  {
+    userId: { type: mongoose.Schema.Types.ObjectId, default: null, index: true },
+    name: { type: String, required: true },
+    description: { type: String, default: '', maxlength: 500 },
+    schemaVersion: { type: Number, default: 0 },
+    stage: { type: plotStageSchema, default: () => ({}) },
+    state: { type: [plotNodeSchema], default: [] },
+    groups: { type: [plotGroupSchema], default: [] },
+    layers: { type: [plotLayerSchema], default: [] },
+  },
+  { timestamps: true }
+)
+
 const userSchema = new mongoose.Schema(
   {
     googleSub: { type: String, required: true, unique: true, index: true },
@@ -196,6 +406,8 @@ const feedbackSchema = new mongoose.Schema(
 
 const Asset = mongoose.model('Asset', assetSchema)
 const StagePlot = mongoose.model('StagePlot', stagePlotSchema)
+const PlotRevision = mongoose.model('PlotRevision', plotRevisionSchema)
+const PlotTemplate = mongoose.model('PlotTemplate', plotTemplateSchema)
 const User = mongoose.model('User', userSchema)
 const Feedback = mongoose.model('Feedback', feedbackSchema)
 
@@ -217,6 +429,7 @@ const taxonomySchema = new mongoose.Schema(
 const Taxonomy = mongoose.model('Taxonomy', taxonomySchema)
 
 let bucket = null
+let underlayBucket = null
 
 function isDbReady() {
   return mongoose.connection.readyState === 1 && Boolean(bucket)
@@ -387,10 +600,375 @@ const upload = multer({
   },
 })
 
+// Underlays are venue drawings users trace over, so they're bigger than icons and may be photos.
+const UNDERLAY_CONTENT_TYPES = ['image/png', 'image/x-png', 'image/jpeg', 'image/webp']
+const underlayUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: 10 * 1024 * 1024,
+  },
+  fileFilter: (req, file, cb) => {
+    if (!UNDERLAY_CONTENT_TYPES.includes(file.mimetype)) {
+      return cb(new Error('Only PNG, JPEG or WebP images can be used as an underlay'))
+    }
+    cb(null, true)
+  },
+})
+
 function normalizeName(value) {
   return String(value || '').trim()
 }
 
+function normalizeNodeProfile(profile) {
+  const src = profile && typeof profile === 'object' ? profile : {}
+  const out = {}
+  for (const field of PROFILE_FIELDS) {
+    out[field] = typeof src[field] === 'string' ? src[field] : ''
+  }
+  return out
+}
+
+function isValidLabelStyle(style) {
+  if (typeof style !== 'object' || Array.isArray(style)) return false
+  const { fontSize, bold, color, placement, offsetX, offsetY } = style
+  if (fontSize !== undefined && !(Number.isFinite(fontSize) && fontSize > 0 && fontSize <= MAX_LABEL_FONT_SIZE)) return false
+  if (bold !== undefined && typeof bold !== 'boolean') return false
+  if (color !== undefined && (typeof color !== 'string' || !/^#[0-9a-f]{6}$/i.test(color))) return false
+  if (placement !== undefined && !LABEL_PLACEMENTS.includes(placement)) return false
+  return [offsetX, offsetY].every((v) => v === undefined || (Number.isFinite(v) && Math.abs(v) <= MAX_LABEL_OFFSET))
+}
+
+// Returns an error message for the first invalid node, or '' when the state is acceptable.
+function validatePlotState(state) {
+  for (let i = 0; i < state.length; i++) {
+    const node = state[i]
+    if (!node || typeof node !== 'object') return `Invalid node at index ${i}`
+    if (typeof node.id !== 'string' || !node.id) return `Node at index ${i} is missing an id`
+    if (node.type !== undefined && !PLOT_NODE_TYPES.includes(node.type)) return `Node ${node.id} has an unknown type`
+    for (const key of ['x', 'y', 'rotation', 'scale']) {
+      if (node[key] !== undefined && !Number.isFinite(node[key])) return `Node ${node.id} has an invalid ${key}`
+    }
+    for (const key of ['width', 'depth', 'height', 'fontSize']) {
+      const value = node[key]
+      if (value === undefined) continue
+      if (!Number.isFinite(value) || value < 0 || value > MAX_STAGE_DIMENSION) return `Node ${node.id} has an invalid ${key}`
+    }
+    if (node.points !== undefined) {
+      const { points } = node
+      if (!Array.isArray(points) || points.length % 2 || points.length > MAX_NODE_POINTS * 2) {
+        return `Node ${node.id} has invalid points`
+      }
+      if (!points.every(Number.isFinite)) return `Node ${node.id} has invalid points`
+    }
+    if (node.text !== undefined && (typeof node.text !== 'string' || node.text.length > MAX_NODE_TEXT_LENGTH)) {
+      return `Node ${node.id} has invalid text`
+    }
+    if (node.color !== undefined && (typeof node.color !== 'string' || !/^#[0-9a-f]{6}$/i.test(node.color))) {
+      return `Node ${node.id} has an invalid color`
+    }
+    if (node.groupId !== undefined && node.groupId !== null && typeof node.groupId !== 'string') {
+      return `Node ${node.id} has an invalid groupId`
+    }
+    if (node.layerId !== undefined && node.layerId !== null && typeof node.layerId !== 'string') {
+      return `Node ${node.id} has an invalid layerId`
+    }
+    if (node.labelStyle !== undefined && node.labelStyle !== null && !isValidLabelStyle(node.labelStyle)) {
+      return `Node ${node.id} has an invalid label style`
+    }
+    if (
+      node.channel !== undefined &&
+      node.channel !== null &&
+      !(Number.isInteger(node.channel) && node.channel >= 1 && node.channel <= MAX_CHANNEL_NUMBER)
+    ) {
+      return `Node ${node.id} channel must be a whole number between 1 and ${MAX_CHANNEL_NUMBER}`
+    }
+    if (node.channelLocked !== undefined && typeof node.channelLocked !== 'boolean') {
+      return `Node ${node.id} has an invalid channelLocked`
+    }
+    if (node.inputs !== undefined && node.inputs !== null) {
+      const { inputs } = node
+      if (!Array.isArray(inputs) || inputs.length > MAX_NODE_INPUTS) return `Node ${node.id} has invalid inputs`
+      for (const input of inputs) {
+        if (!input || typeof input !== 'object' || typeof input.id !== 'string' || !input.id) {
+          return `Node ${node.id} has an invalid input`
+        }
+        for (const field of NODE_INPUT_FIELDS) {
+          const value = input[field]
+          if (value === undefined || value === null) continue
+          if (typeof value !== 'string') return `Node ${node.id} input ${field} must be a string`
+          if (value.length > PROFILE_FIELD_MAX_LENGTH) return `Node ${node.id} input ${field} is too long`
+        }
+      }
+      if (Number.isInteger(node.channel) && node.channel + inputs.length - 1 > MAX_CHANNEL_NUMBER) {
+        return `Node ${node.id} inputs run past channel ${MAX_CHANNEL_NUMBER}`
+      }
+    }
+
+    if (node.profile === undefined || node.profile === null) continue
+    if (typeof node.profile !== 'object' || Array.isArray(node.profile)) {
+      return `Node ${node.id} has an invalid profile`
+    }
+    for (const field of PROFILE_FIELDS) {
+      const value = node.profile[field]
+      if (value === undefined || value === null) continue
+      if (typeof value !== 'string') return `Node ${node.id} profile.${field} must be a string`
+      if (value.length > PROFILE_FIELD_MAX_LENGTH) return `Node ${node.id} profile.${field} is too long`
+    }
+  }
+  return ''
+}
+
+// Returns an error message, or '' when the stage settings are acceptable (or omitted).
+function validatePlotStage(stage) {
+  if (stage === undefined || stage === null) return ''
+  if (typeof stage !== 'object' || Array.isArray(stage)) return 'Invalid stage settings'
+  for (const key of ['width', 'depth']) {
+    const value = stage[key]
+    if (!Number.isFinite(value) || value <= 0 || value > MAX_STAGE_DIMENSION) {
+      return `Stage ${key} must be between 0 and ${MAX_STAGE_DIMENSION}`
+    }
+  }
+  if (!STAGE_UNITS.includes(stage.unit)) return `Stage unit must be one of ${STAGE_UNITS.join(', ')}`
+  if (stage.outline !== undefined && !STAGE_OUTLINES.includes(stage.outline)) {
+    return `Stage outline must be one of ${STAGE_OUTLINES.join(', ')}`
+  }
+  if (stage.outlinePoints !== undefined) {
+    const points = stage.outlinePoints
+    if (
+      !Array.isArray(points) ||
+      points.length % 2 !== 0 ||
+      points.length > MAX_OUTLINE_POINTS * 2 ||
+      points.some((v) => !Number.isFinite(v) || Math.abs(v) > MAX_STAGE_DIMENSION)
+    ) {
+      return 'Invalid stage outline points'
+    }
+  }
+  for (const key of ['apron', 'wings']) {
+    const value = stage[key]
+    if (value !== undefined && (!Number.isFinite(value) || value < 0 || value > MAX_STAGE_DIMENSION)) {
+      return `Stage ${key} must be between 0 and ${MAX_STAGE_DIMENSION}`
+    }
+  }
+  if (stage.markers !== undefined && typeof stage.markers !== 'boolean') return 'Invalid stage markers'
+  for (const key of ['foh', 'monitorWorld']) {
+    const pos = stage[key]
+    if (pos === undefined || pos === null) continue
+    if (
+      typeof pos !== 'object' ||
+      ![pos.x, pos.y].every((v) => Number.isFinite(v) && Math.abs(v) <= MAX_STAGE_DIMENSION)
+    ) {
+      return `Invalid stage ${key} position`
+    }
+  }
+  if (stage.badgeContent !== undefined && !BADGE_CONTENTS.includes(stage.badgeContent)) {
+    return `Badge content must be one of ${BADGE_CONTENTS.join(', ')}`
+  }
+  if (stage.badgeStyle !== undefined && !BADGE_STYLES.includes(stage.badgeStyle)) {
+    return `Badge style must be one of ${BADGE_STYLES.join(', ')}`
+  }
+  const { badgeColor } = stage
+  if (badgeColor !== undefined && (typeof badgeColor !== 'string' || !/^#[0-9a-f]{6}$/i.test(badgeColor))) {
+    return 'Invalid badge colour'
+  }
+  const { underlay } = stage
+  if (underlay !== undefined && underlay !== null) {
+    if (typeof underlay !== 'object' || !mongoose.isValidObjectId(underlay.fileId)) return 'Invalid underlay image'
+    if (
+      ![underlay.x, underlay.y].every((v) => Number.isFinite(v) && Math.abs(v) <= MAX_STAGE_DIMENSION) ||
+      ![underlay.width, underlay.height].every((v) => Number.isFinite(v) && v > 0 && v <= MAX_STAGE_DIMENSION)
+    ) {
+      return 'Invalid underlay position or size'
+    }
+    const { opacity } = underlay
+    if (opacity !== undefined && (!Number.isFinite(opacity) || opacity < MIN_UNDERLAY_OPACITY || opacity > 1)) {
+      return `Underlay opacity must be between ${MIN_UNDERLAY_OPACITY} and 1`
+    }
+    const flags = ['locked', 'visible', 'exported']
+    if (flags.some((key) => underlay[key] !== undefined && typeof underlay[key] !== 'boolean')) {
+      return 'Invalid underlay settings'
+    }
+  }
+  return ''
+}
+
+function normalizeStagePosition(pos) {
+  return pos && Number.isFinite(pos.x) && Number.isFinite(pos.y) ? { x: pos.x, y: pos.y } : null
+}
+
+function normalizeStageUnderlay(underlay) {
+  if (!underlay || !mongoose.isValidObjectId(underlay.fileId)) return null
+  if (![underlay.width, underlay.height].every((v) => Number.isFinite(v) && v > 0)) return null
+  return {
+    fileId: String(underlay.fileId),
+    x: Number.isFinite(underlay.x) ? underlay.x : 0,
+    y: Number.isFinite(underlay.y) ? underlay.y : 0,
+    width: underlay.width,
+    height: underlay.height,
+    opacity: Number.isFinite(underlay.opacity) ? Math.min(1, Math.max(MIN_UNDERLAY_OPACITY, underlay.opacity)) : 0.5,
+    locked: underlay.locked === true,
+    visible: underlay.visible !== false,
+    exported: underlay.exported === true,
+  }
+}
+
+function normalizePlotStage(stage) {
+  if (!stage || typeof stage !== 'object') return { ...DEFAULT_STAGE }
+  const outlinePoints = Array.isArray(stage.outlinePoints) ? stage.outlinePoints.filter(Number.isFinite) : []
+  return {
+    width: Number.isFinite(stage.width) && stage.width > 0 ? stage.width : DEFAULT_STAGE.width,
+    depth: Number.isFinite(stage.depth) && stage.depth > 0 ? stage.depth : DEFAULT_STAGE.depth,
+    unit: STAGE_UNITS.includes(stage.unit) ? stage.unit : DEFAULT_STAGE.unit,
+    outline: STAGE_OUTLINES.includes(stage.outline) ? stage.outline : DEFAULT_STAGE.outline,
+    outlinePoints: outlinePoints.length % 2 === 0 ? outlinePoints : [],
+    apron: Number.isFinite(stage.apron) && stage.apron > 0 ? stage.apron : 0,
+    wings: Number.isFinite(stage.wings) && stage.wings > 0 ? stage.wings : 0,
+    markers: typeof stage.markers === 'boolean' ? stage.markers : DEFAULT_STAGE.markers,
+    foh: normalizeStagePosition(stage.foh),
+    monitorWorld: normalizeStagePosition(stage.monitorWorld),
+    badgeContent: BADGE_CONTENTS.includes(stage.badgeContent) ? stage.badgeContent : DEFAULT_STAGE.badgeContent,
+    badgeStyle: BADGE_STYLES.includes(stage.badgeStyle) ? stage.badgeStyle : DEFAULT_STAGE.badgeStyle,
+    badgeColor: /^#[0-9a-f]{6}$/i.test(stage.badgeColor || '') ? stage.badgeColor : DEFAULT_STAGE.badgeColor,
+    underlay: normalizeStageUnderlay(stage.underlay),
+  }
+}
+
+function normalizePlotState(state) {
+  return state.map((node) => ({ ...node, profile: normalizeNodeProfile(node.profile) }))
+}
+
+// Returns an error message, or '' when the group list is acceptable (or omitted).
+function validatePlotGroups(groups) {
+  if (groups === undefined || groups === null) return ''
+  if (!Array.isArray(groups)) return 'Invalid groups'
+  const seen = new Set()
+  for (const group of groups) {
+    if (!group || typeof group !== 'object' || typeof group.id !== 'string' || !group.id) return 'Invalid group'
+    if (seen.has(group.id)) return `Duplicate group ${group.id}`
+    seen.add(group.id)
+    if (group.name !== undefined && typeof group.name !== 'string') return `Group ${group.id} has an invalid name`
+    if ((group.name || '').length > MAX_GROUP_NAME_LENGTH) return `Group ${group.id} name is too long`
+  }
+  return ''
+}
+
+// Returns an error message, or '' when the layer list is acceptable (or omitted).
+function validatePlotLayers(layers) {
+  if (layers === undefined || layers === null) return ''
+  if (!Array.isArray(layers)) return 'Invalid layers'
+  if (layers.length > MAX_PLOT_LAYERS) return `A plot can have at most ${MAX_PLOT_LAYERS} layers`
+  const seen = new Set()
+  for (const layer of layers) {
+    if (!layer || typeof layer !== 'object' || typeof layer.id !== 'string' || !layer.id) return 'Invalid layer'
+    if (seen.has(layer.id)) return `Duplicate layer ${layer.id}`
+    seen.add(layer.id)
+    if (layer.name !== undefined && typeof layer.name !== 'string') return `Layer ${layer.id} has an invalid name`
+    if ((layer.name || '').length > MAX_GROUP_NAME_LENGTH) return `Layer ${layer.id} name is too long`
+    for (const key of ['visible', 'locked', 'exported']) {
+      if (layer[key] !== undefined && typeof layer[key] !== 'boolean') return `Layer ${layer.id} has an invalid ${key} flag`
+    }
+  }
+  return ''
+}
+
+// Layers are kept even when empty; they are the plot's drawing structure.
+function normalizePlotLayers(layers) {
+  if (!Array.isArray(layers)) return []
+  return layers.map((layer) => ({
+    id: layer.id,
+    name: layer.name || '',
+    visible: layer.visible !== false,
+    locked: layer.locked === true,
+    exported: layer.exported !== false,
+  }))
+}
+
+// Drops groups that no node belongs to.
+function normalizePlotGroups(groups, state) {
+  if (!Array.isArray(groups)) return []
+  const used = new Set(state.map((node) => node.groupId).filter(Boolean))
+  return groups.filter((group) => used.has(group.id)).map((group) => ({ id: group.id, name: group.name || '' }))
+}
+
+// Each migration upgrades a lean plot document to `version`. Append new entries; never reorder.
+const PLOT_MIGRATIONS = [
+  {
+    version: 1,
+    // Plots saved before profiles were persisted lost them on save; backfill empty profiles.
+    up: (plot) => ({
+      ...plot,
+      state: (Array.isArray(plot.state) ? plot.state : []).map((node) => ({
+        ...node,
+        profile: normalizeNodeProfile(node?.profile),
+      })),
+    }),
+  },
+  {
+    version: 2,
+    // Node positions move from viewport pixels to meters; the stage grows to cover every node.
+    up: (plot) => {
+      const state = (Array.isArray(plot.state) ? plot.state : []).map((node) => ({
+        ...node,
+        x: Number.isFinite(node?.x) ? node.x / LEGACY_PX_PER_METER : 0,
+        y: Number.isFinite(node?.y) ? node.y / LEGACY_PX_PER_METER : 0,
+      }))
+      const maxX = state.reduce((m, n) => Math.max(m, n.x), 0)
+      const maxY = state.reduce((m, n) => Math.max(m, n.y), 0)
+      return {
+        ...plot,
+        state,
+        stage: {
+          width: Math.max(DEFAULT_STAGE.width, Math.ceil(maxX + 1)),
+          depth: Math.max(DEFAULT_STAGE.depth, Math.ceil(maxY + 1)),
+          unit: 'm',
+        },
+      }
+    },
+  },
+  {
+    version: 3,
+    // Channel numbers used to follow the icons' position; freeze that order so moving an icon keeps its number.
+    up: (plot) => {
+      const state = Array.isArray(plot.state) ? plot.state : []
+      const order = state
+        .filter((node) => node?.type === 'asset')
+        .sort((a, b) => (a.y || 0) - (b.y || 0) || (a.x || 0) - (b.x || 0))
+      const channels = new Map(order.map((node, i) => [node, i + 1]))
+      return {
+        ...plot,
+        state: state.map((node) =>
+          channels.has(node) && channels.get(node) <= MAX_CHANNEL_NUMBER ? { ...node, channel: channels.get(node) } : node
+        ),
+      }
+    },
+  },
+]
+
+const PLOT_SCHEMA_VERSION = PLOT_MIGRATIONS[PLOT_MIGRATIONS.length - 1].version
+
+function migratePlot(plot) {
+  let next = plot
+  for (const migration of PLOT_MIGRATIONS) {
+    if ((next.schemaVersion || 0) >= migration.version) continue
+    next = { ...migration.up(next), schemaVersion: migration.version }
+  }
+  return next
+}
+
+async function migratePlots() {
+  const filter = { $or: [{ schemaVersion: { $exists: false } }, { schemaVersion: { $lt: PLOT_SCHEMA_VERSION } }] }
+  let migrated = 0
+  for await (const plot of StagePlot.find(filter).lean().cursor()) {
+    const { state, stage, schemaVersion } = migratePlot(plot)
+    // Skip plots saved since they were read; the save has already migrated them.
+    const result = await StagePlot.collection.updateOne(
+      { _id: plot._id, schemaVersion: plot.schemaVersion ?? null, revision: plot.revision ?? null },
+      { $set: { state, stage, schemaVersion } }
+    )
+    migrated += result.modifiedCount
+  }
+  return migrated
+}
+
 async function getOrCreateTaxonomy() {
   const existing = await Taxonomy.findOne({}).lean()
   if (existing) return existing
@@ -598,8 +1176,93 @@ app.get('/api/assets/:id', async (req, res) => {
   downloadStream.pipe(res)
 })
 
+// Rejected files come back as a 400 instead of falling through to the default error page.
+function receiveUnderlayUpload(req, res, next) {
+  underlayUpload.single('file')(req, res, (err) => {
+    if (err) return res.status(400).json({ error: err.message || 'Upload failed' })
+    next()
+  })
+}
+
+app.post('/api/underlays', requireAuth, receiveUnderlayUpload, async (req, res) => {
+  try {
+    if (!req.file?.buffer) return res.status(400).json({ error: 'Missing upload file' })
+
+    const uploadStream = underlayBucket.openUploadStream(req.file.originalname, {
+      contentType: req.file.mimetype,
+      metadata: {
+        userId: String(req.user._id),
+        originalName: req.file.originalname,
+      },
+    })
+    uploadStream.end(req.file.buffer)
+    await finished(uploadStream)
+
+    res.status(201).json({ fileId: String(uploadStream.id) })
+  } catch (err) {
+    res.status(500).json({ error: err?.message || 'Upload failed' })
+  }
+})
+
+// Underlays are private to the user who uploaded them.
+app.get('/api/underlays/:id', requireAuth, async (req, res) => {
+  const { id } = req.params
+  if (!mongoose.isValidObjectId(id)) return res.status(400).json({ error: 'Invalid underlay id' })
+
+  const filesColl = mongoose.connection.db.collection('underlays.files')
+  const fileDoc = await filesColl.findOne({ _id: new ObjectId(id), 'metadata.userId': String(req.user._id) })
+  if (!fileDoc) return res.status(404).json({ error: 'Underlay not found' })
+
+  res.setHeader('Content-Type', fileDoc.contentType || 'application/octet-stream')
+  res.setHeader('Cache-Control', 'private, max-age=31536000, immutable')
+
+  const downloadStream = underlayBucket.openDownloadStream(fileDoc._id)
+  downloadStream.on('error', () => {
+    res.status(404).end()
+  })
+  downloadStream.pipe(res)
+})
+
+// Underlay images are private, so a plot or template may only point at one its owner uploaded.
+async function isOwnUnderlay(fileId, user) {
+  if (!mongoose.isValidObjectId(fileId)) return false
+  const filesColl = mongoose.connection.db.collection('underlays.files')
+  const fileDoc = await filesColl.findOne(
+    { _id: new ObjectId(fileId), 'metadata.userId': String(user._id) },
+    { projection: { _id: 1 } }
+  )
+  return Boolean(fileDoc)
+}
+
+// Drops underlay images that no plot, revision or template points at any more.
+async function deleteUnusedUnderlays(fileIds) {
+  for (const fileId of new Set(fileIds.filter(Boolean))) {
+    const inUse =
+      (await StagePlot.exists({ 'stage.underlay.fileId': fileId })) ||
+      (await PlotRevision.exists({ 'stage.underlay.fileId': fileId })) ||
+      (await PlotTemplate.exists({ 'stage.underlay.fileId': fileId }))
+    if (inUse) continue
+    try {
+      await underlayBucket.delete(new ObjectId(fileId))
+    } catch {
+      // ignore
+    }
+  }
+}
+
+// Uploads that were replaced before a save, or never saved at all, are collected once they are a day old.
+const UNDERLAY_SWEEP_INTERVAL_MS = 24 * 60 * 60 * 1000
+let underlaySweepTimer = null
+
+async function sweepUnusedUnderlays() {
+  const filesColl = mongoose.connection.db.collection('underlays.files')
+  const cutoff = new Date(Date.now() - UNDERLAY_SWEEP_INTERVAL_MS)
+  const files = await filesColl.find({ uploadDate: { $lt: cutoff } }, { projection: { _id: 1 } }).toArray()
+  await deleteUnusedUnderlays(files.map((f) => String(f._id)))
+}
+
 app.get('/api/plots', requireAuth, async (req, res) => {
-  const plots = await StagePlot.find({ userId: req.user._id })
+  const plots = await StagePlot.find({ userId: req.user._id, deletedAt: null })
     .sort({ updatedAt: -1 })
     .select({ name: 1, updatedAt: 1, createdAt: 1 })
     .lean()
@@ -614,43 +1277,567 @@ app.get('/api/plots', requireAuth, async (req, res) => {
   )
 })
 
+// Registered before /api/plots/:id so "trash" is not parsed as a plot id.
+app.get('/api/plots/trash', requireAuth, async (req, res) => {
+  const plots = await StagePlot.find({ userId: req.user._id, deletedAt: { $ne: null } })
+    .sort({ deletedAt: -1 })
+    .select({ name: 1, updatedAt: 1, createdAt: 1, deletedAt: 1 })
+    .lean()
+
+  res.json(
+    plots.map((p) => ({
+      _id: p._id,
+      name: p.name || 'Untitled',
+      updatedAt: p.updatedAt,
+      createdAt: p.createdAt,
+      deletedAt: p.deletedAt,
+    }))
+  )
+})
+
+function serializePlot(plot) {
+  return {
+    _id: plot._id,
+    name: plot.name || 'Untitled',
+    revision: plot.revision || 0,
+    stage: normalizePlotStage(plot.stage),
+    state: plot.state || [],
+    groups: plot.groups || [],
+    layers: normalizePlotLayers(plot.layers),
+    inputs: plot.inputs || [],
+    createdAt: plot.createdAt,
+    updatedAt: plot.updatedAt,
+  }
+}
+
+// An autosave within this long of the autosave revision before it replaces that revision, so an editing
+// session leaves a snapshot every few minutes instead of one per autosave. Explicit saves always add one.
+const AUTOSAVE_REVISION_INTERVAL_MS = 10 * 60 * 1000
+
+async function recordPlotRevision(plot, user, message, { isAutosave = false } = {}) {
+  const snapshot = {
+    plotId: plot._id,
+    userId: plot.userId,
+    revision: plot.revision,
+    name: plot.name || '',
+    message: String(message || '').slice(0, 500),
+    isAutosave,
+    authorName: user?.name || '',
+    authorEmail: user?.email || '',
+    schemaVersion: plot.schemaVersion || 0,
+    stage: normalizePlotStage(plot.stage),
+    state: plot.state || [],
+    groups: plot.groups || [],
+    layers: normalizePlotLayers(plot.layers),
+  }
+  if (isAutosave) {
+    const latest = await PlotRevision.findOne({ plotId: plot._id })
+      .sort({ revision: -1 })
+      .select({ isAutosave: 1, createdAt: 1, 'stage.underlay.fileId': 1 })
+      .lean()
+    if (latest?.isAutosave && Date.now() - new Date(latest.createdAt).getTime() < AUTOSAVE_REVISION_INTERVAL_MS) {
+      await PlotRevision.updateOne({ _id: latest._id }, { $set: snapshot })
+      await deleteUnusedUnderlays([latest.stage?.underlay?.fileId])
+      return
+    }
+  }
+  await PlotRevision.create(snapshot)
+}
+
 app.post('/api/plots', requireAuth, async (req, res) => {
-  const state = Array.isArray(req.body?.state) ? req.body.state : []
+  const rawState = Array.isArray(req.body?.state) ? req.body.state : []
   const name = typeof req.body?.name === 'string' ? req.body.name.trim() : ''
   const plotId = typeof req.body?.plotId === 'string' ? req.body.plotId.trim() : ''
+  const message = typeof req.body?.message === 'string' ? req.body.message.trim() : ''
+  const isAutosave = req.body?.autosave === true
+
+  const stateError = validatePlotState(rawState)
+  if (stateError) return res.status(400).json({ error: stateError })
+  const state = normalizePlotState(rawState)
+
+  const stageError = validatePlotStage(req.body?.stage)
+  if (stageError) return res.status(400).json({ error: stageError })
+  const stage = normalizePlotStage(req.body?.stage)
+  if (stage.underlay && !(await isOwnUnderlay(stage.underlay.fileId, req.user))) {
+    return res.status(400).json({ error: 'Underlay image not found' })
+  }
+
+  const groupsError = validatePlotGroups(req.body?.groups)
+  if (groupsError) return res.status(400).json({ error: groupsError })
+  const groups = normalizePlotGroups(req.body?.groups, state)
+
+  const layersError = validatePlotLayers(req.body?.layers)
+  if (layersError) return res.status(400).json({ error: layersError })
+  const layers = normalizePlotLayers(req.body?.layers)
 
   if (plotId) {
     if (!mongoose.isValidObjectId(plotId)) return res.status(400).json({ error: 'Invalid plot id' })
+
+    // Optimistic concurrency: the write only lands if the plot is still at the version the client edited.
+    const filter = { _id: plotId, userId: req.user._id, deletedAt: null }
+    const baseRevision = req.body?.baseRevision
+    const baseUpdatedAt = typeof req.body?.baseUpdatedAt === 'string' ? new Date(req.body.baseUpdatedAt) : null
+    if (Number.isInteger(baseRevision) && baseRevision >= 0) {
+      // Plots created before revisions were tracked have no revision field yet.
+      filter.revision = baseRevision === 0 ? { $in: [0, null] } : baseRevision
+    } else if (baseUpdatedAt && Number.isFinite(baseUpdatedAt.getTime())) {
+      filter.updatedAt = baseUpdatedAt
+    } else {
+      return res.status(400).json({ error: 'Missing baseRevision' })
+    }
+
+    const previous = await StagePlot.findOne(filter).select({ 'stage.underlay.fileId': 1 }).lean()
     const updated = await StagePlot.findOneAndUpdate(
-      { _id: plotId, userId: req.user._id },
-      { $set: { state, name } },
+      filter,
+      { $set: { state, stage, groups, layers, name, schemaVersion: PLOT_SCHEMA_VERSION }, $inc: { revision: 1 } },
       { new: true }
     ).lean()
-    if (!updated) return res.status(404).json({ error: 'Plot not found' })
-    return res.status(200).json({ _id: updated._id })
+    if (!updated) {
+      const current = await StagePlot.findOne({ _id: plotId, userId: req.user._id, deletedAt: null }).lean()
+      if (!current) return res.status(404).json({ error: 'Plot not found' })
+      return res.status(409).json({
+        error: 'This plot was changed elsewhere since you opened it',
+        current: serializePlot(migratePlot(current)),
+      })
+    }
+    await recordPlotRevision(updated, req.user, message, { isAutosave })
+    // A replaced or removed underlay goes once no revision needs it either.
+    await deleteUnusedUnderlays([previous?.stage?.underlay?.fileId])
+    return res.status(200).json({ _id: updated._id, revision: updated.revision, updatedAt: updated.updatedAt })
   }
 
-  const plot = await StagePlot.create({ userId: req.user._id, name, state, inputs: [] })
-  res.status(201).json({ _id: plot._id })
+  const plot = await StagePlot.create({
+    userId: req.user._id,
+    name,
+    stage,
+    state,
+    groups,
+    layers,
+    inputs: [],
+    schemaVersion: PLOT_SCHEMA_VERSION,
+    revision: 1,
+  })
+  await recordPlotRevision(plot.toObject(), req.user, message, { isAutosave })
+  res.status(201).json({ _id: plot._id, revision: plot.revision, updatedAt: plot.updatedAt })
+})
+
+// Portable .showplot documents. `schemaVersion` tracks PLOT_MIGRATIONS, so files written by older
+// builds go through the same upgrades as stored plots.
+const SHOWPLOT_FILE_FORMAT = 'showplot'
+
+function normalizeImportedInputs(inputs) {
+  if (!Array.isArray(inputs)) return []
+  return inputs
+    .filter((input) => input && typeof input === 'object')
+    .map((input) => ({
+      id: String(input.id ?? ''),
+      channel: String(input.channel ?? ''),
+      instrument: String(input.instrument ?? ''),
+      mic: String(input.mic ?? ''),
+    }))
+}
+
+// Maps each node's assetId onto this library: by id first, then by name (preferring the same category).
+// Returns the nodes that resolved plus the names of assets that could not be found.
+async function resolveImportedAssets(state, assetRefs) {
+  const refsById = new Map()
+  for (const ref of Array.isArray(assetRefs) ? assetRefs : []) {
+    if (ref && typeof ref.id === 'string') refsById.set(ref.id, ref)
+  }
+
+  const assetIds = [...new Set(state.map((n) => n.assetId).filter((id) => typeof id === 'string' && id))]
+  const validIds = assetIds.filter((id) => mongoose.isValidObjectId(id))
+  const existing = await Asset.find({ _id: { $in: validIds } }, { _id: 1 }).lean()
+  const resolved = new Map(existing.map((a) => [String(a._id), String(a._id)]))
+
+  const unresolvedNames = assetIds
+    .filter((id) => !resolved.has(id))
+    .map((id) => normalizeName(refsById.get(id)?.name))
+    .filter(Boolean)
+  if (unresolvedNames.length) {
+    const candidates = await Asset.find({ name: { $in: unresolvedNames } }, { name: 1, category: 1 }).lean()
+    for (const id of assetIds) {
+      if (resolved.has(id)) continue
+      const ref = refsById.get(id)
+      const name = normalizeName(ref?.name)
+      if (!name) continue
+      const byName = candidates.filter((a) => a.name === name)
+      const match = byName.find((a) => a.category === normalizeName(ref?.category)) || byName[0]
+      if (match) resolved.set(id, String(match._id))
+    }
+  }
+
+  const missing = new Set()
+  const nodes = []
+  for (const node of state) {
+    if (!node.assetId) {
+      nodes.push(node)
+      continue
+    }
+    const assetId = resolved.get(node.assetId)
+    if (assetId) nodes.push({ ...node, assetId })
+    else missing.add(normalizeName(refsById.get(node.assetId)?.name) || node.assetId)
+  }
+  return { nodes, missingAssets: [...missing] }
+}
+
+// Validates and upgrades a .showplot document. Resolves to { error } or { plot, missingAssets }.
+async function readShowplotDocument(doc) {
+  if (!doc || typeof doc !== 'object' || doc.format !== SHOWPLOT_FILE_FORMAT) {
+    return { error: 'Not a ShowPlot file' }
+  }
+  const schemaVersion = doc.schemaVersion
+  if (!Number.isInteger(schemaVersion) || schemaVersion < 0) return { error: 'Missing schemaVersion' }
+  if (schemaVersion > PLOT_SCHEMA_VERSION) return { error: 'This file was made by a newer version of ShowPlot' }
+  const source = doc.plot && typeof doc.plot === 'object' ? doc.plot : null
+  if (!source || !Array.isArray(source.nodes)) return { error: 'File has no plot nodes' }
+
+  const migrated = migratePlot({
+    schemaVersion,
+    name: source.name,
+    stage: source.stage,
+    state: source.nodes,
+    inputs: source.inputs,
+  })
+
+  const stateError = validatePlotState(migrated.state)
+  if (stateError) return { error: stateError }
+  const stageError = validatePlotStage(migrated.stage)
+  if (stageError) return { error: stageError }
+  const groupsError = validatePlotGroups(source.groups)
+  if (groupsError) return { error: groupsError }
+  const layersError = validatePlotLayers(source.layers)
+  if (layersError) return { error: layersError }
+
+  const { nodes, missingAssets } = await resolveImportedAssets(normalizePlotState(migrated.state), doc.assets)
+  return {
+    plot: {
+      name: typeof migrated.name === 'string' ? migrated.name.trim() : '',
+      stage: normalizePlotStage(migrated.stage),
+      state: nodes,
+      groups: normalizePlotGroups(source.groups, nodes),
+      layers: normalizePlotLayers(source.layers),
+      inputs: normalizeImportedInputs(migrated.inputs),
+    },
+    missingAssets,
+  }
+}
+
+app.post('/api/plots/import', requireAuth, async (req, res) => {
+  const { error, plot: imported, missingAssets } = await readShowplotDocument(req.body)
+  if (error) return res.status(400).json({ error })
+  // Files can come from another account or server; an underlay the importer can't read is left out.
+  if (imported.stage.underlay && !(await isOwnUnderlay(imported.stage.underlay.fileId, req.user))) {
+    imported.stage = { ...imported.stage, underlay: null }
+  }
+
+  const plot = await StagePlot.create({
+    userId: req.user._id,
+    name: imported.name || 'Imported plot',
+    stage: imported.stage,
+    state: imported.state,
+    groups: imported.groups,
+    layers: imported.layers,
+    inputs: imported.inputs,
+    schemaVersion: PLOT_SCHEMA_VERSION,
+    revision: 1,
+  })
+  await recordPlotRevision(plot.toObject(), req.user, 'Imported from file')
+
+  res.status(201).json({ ...serializePlot(plot.toObject()), missingAssets })
+})
+
+function serializeTemplate(template) {
+  const migrated = migratePlot(template)
+  return {
+    _id: migrated._id,
+    name: migrated.name,
+    description: migrated.description || '',
+    isPublic: !migrated.userId,
+    stage: normalizePlotStage(migrated.stage),
+    state: migrated.state || [],
+    groups: migrated.groups || [],
+    layers: normalizePlotLayers(migrated.layers),
+    updatedAt: migrated.updatedAt,
+  }
+}
+
+app.get('/api/templates', requireAuth, async (req, res) => {
+  const templates = await PlotTemplate.find({ $or: [{ userId: null }, { userId: req.user._id }] })
+    .sort({ userId: 1, name: 1 })
+    .lean()
+  res.json(templates.map(serializeTemplate))
+})
+
+app.post('/api/templates', requireAuth, async (req, res) => {
+  const name = typeof req.body?.name === 'string' ? req.body.name.trim() : ''
+  if (!name) return res.status(400).json({ error: 'Missing template name' })
+  const description = typeof req.body?.description === 'string' ? req.body.description.trim() : ''
+  const rawState = Array.isArray(req.body?.state) ? req.body.state : []
+
+  const stateError = validatePlotState(rawState)
+  if (stateError) return res.status(400).json({ error: stateError })
+  const stageError = validatePlotStage(req.body?.stage)
+  if (stageError) return res.status(400).json({ error: stageError })
+  const groupsError = validatePlotGroups(req.body?.groups)
+  if (groupsError) return res.status(400).json({ error: groupsError })
+  const layersError = validatePlotLayers(req.body?.layers)
+  if (layersError) return res.status(400).json({ error: layersError })
+  const stage = normalizePlotStage(req.body?.stage)
+  if (stage.underlay && !(await isOwnUnderlay(stage.underlay.fileId, req.user))) {
+    return res.status(400).json({ error: 'Underlay image not found' })
+  }
+
+  const state = normalizePlotState(rawState)
+  const template = await PlotTemplate.create({
+    userId: req.user._id,
+    name,
+    description: description.slice(0, 500),
+    schemaVersion: PLOT_SCHEMA_VERSION,
+    stage,
+    state,
+    groups: normalizePlotGroups(req.body?.groups, state),
+    layers: normalizePlotLayers(req.body?.layers),
+  })
+  res.status(201).json(serializeTemplate(template.toObject()))
+})
+
+app.delete('/api/templates/:id', requireAuth, async (req, res) => {
+  const { id } = req.params
+  if (!mongoose.isValidObjectId(id)) return res.status(400).json({ error: 'Invalid template id' })
+
+  const deleted = await PlotTemplate.findOneAndDelete({ _id: id, userId: req.user._id }).lean()
+  if (!deleted) return res.status(404).json({ error: 'Template not found' })
+  res.json({ ok: true })
 })
 
 app.get('/api/plots/:id', requireAuth, async (req, res) => {
   const { id } = req.params
   if (!mongoose.isValidObjectId(id)) return res.status(400).json({ error: 'Invalid plot id' })
 
-  const plot = await StagePlot.findOne({ _id: id, userId: req.user._id }).lean()
+  const found = await StagePlot.findOne({ _id: id, userId: req.user._id, deletedAt: null }).lean()
+  if (!found) return res.status(404).json({ error: 'Plot not found' })
+  const plot = migratePlot(found)
+
+  res.json(serializePlot(plot))
+})
+
+app.patch('/api/plots/:id', requireAuth, async (req, res) => {
+  const { id } = req.params
+  if (!mongoose.isValidObjectId(id)) return res.status(400).json({ error: 'Invalid plot id' })
+  const name = typeof req.body?.name === 'string' ? req.body.name.trim() : ''
+  if (!name) return res.status(400).json({ error: 'Missing plot name' })
+
+  const updated = await StagePlot.findOneAndUpdate(
+    { _id: id, userId: req.user._id, deletedAt: null },
+    { $set: { name } },
+    { new: true }
+  ).lean()
+  if (!updated) return res.status(404).json({ error: 'Plot not found' })
+
+  res.json({ _id: updated._id, name: updated.name, updatedAt: updated.updatedAt })
+})
+
+app.post('/api/plots/:id/duplicate', requireAuth, async (req, res) => {
+  const { id } = req.params
+  if (!mongoose.isValidObjectId(id)) return res.status(400).json({ error: 'Invalid plot id' })
+
+  const found = await StagePlot.findOne({ _id: id, userId: req.user._id, deletedAt: null }).lean()
+  if (!found) return res.status(404).json({ error: 'Plot not found' })
+  const source = migratePlot(found)
+
+  const requestedName = typeof req.body?.name === 'string' ? req.body.name.trim() : ''
+  const name = requestedName || `Copy of ${source.name || 'Untitled'}`
+
+  const plot = await StagePlot.create({
+    userId: req.user._id,
+    name,
+    stage: normalizePlotStage(source.stage),
+    state: source.state || [],
+    groups: source.groups || [],
+    layers: normalizePlotLayers(source.layers),
+    inputs: source.inputs || [],
+    schemaVersion: PLOT_SCHEMA_VERSION,
+    revision: 1,
+  })
+  await recordPlotRevision(plot.toObject(), req.user, `Duplicated from ${source.name || 'Untitled'}`)
+
+  res.status(201).json({ _id: plot._id, name: plot.name })
+})
+
+// Soft delete: the plot moves to the trash and can be restored until purged.
+app.delete('/api/plots/:id', requireAuth, async (req, res) => {
+  const { id } = req.params
+  if (!mongoose.isValidObjectId(id)) return res.status(400).json({ error: 'Invalid plot id' })
+
+  const updated = await StagePlot.findOneAndUpdate(
+    { _id: id, userId: req.user._id, deletedAt: null },
+    { $set: { deletedAt: new Date() } },
+    { new: true, timestamps: false }
+  ).lean()
+  if (!updated) return res.status(404).json({ error: 'Plot not found' })
+
+  res.json({ ok: true })
+})
+
+app.post('/api/plots/:id/restore', requireAuth, async (req, res) => {
+  const { id } = req.params
+  if (!mongoose.isValidObjectId(id)) return res.status(400).json({ error: 'Invalid plot id' })
+
+  const updated = await StagePlot.findOneAndUpdate(
+    { _id: id, userId: req.user._id, deletedAt: { $ne: null } },
+    { $set: { deletedAt: null } },
+    { new: true, timestamps: false }
+  ).lean()
+  if (!updated) return res.status(404).json({ error: 'Plot not found in trash' })
+
+  res.json({ _id: updated._id, name: updated.name || 'Untitled' })
+})
+
+// Permanent delete; only plots already in the trash can be purged.
+app.delete('/api/plots/:id/purge', requireAuth, async (req, res) => {
+  const { id } = req.params
+  if (!mongoose.isValidObjectId(id)) return res.status(400).json({ error: 'Invalid plot id' })
+
+  const deleted = await StagePlot.findOneAndDelete({
+    _id: id,
+    userId: req.user._id,
+    deletedAt: { $ne: null },
+  }).lean()
+  if (!deleted) return res.status(404).json({ error: 'Plot not found in trash' })
+
+  const revisions = await PlotRevision.find({ plotId: deleted._id }).select({ 'stage.underlay.fileId': 1 }).lean()
+  await PlotRevision.deleteMany({ plotId: deleted._id })
+  await deleteUnusedUnderlays([deleted, ...revisions].map((p) => p.stage?.underlay?.fileId))
+  res.json({ ok: true })
+})
+
+const DEFAULT_VERSIONS_PAGE_SIZE = 50
+const MAX_VERSIONS_PAGE_SIZE = 200
+
+// Newest first, one page at a time: `before` is the lowest revision of the previous page.
+app.get('/api/plots/:id/versions', requireAuth, async (req, res) => {
+  const { id } = req.params
+  if (!mongoose.isValidObjectId(id)) return res.status(400).json({ error: 'Invalid plot id' })
+
+  const limit = req.query.limit === undefined ? DEFAULT_VERSIONS_PAGE_SIZE : Number(req.query.limit)
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_VERSIONS_PAGE_SIZE) {
+    return res.status(400).json({ error: `limit must be between 1 and ${MAX_VERSIONS_PAGE_SIZE}` })
+  }
+  const match = { plotId: new mongoose.Types.ObjectId(id) }
+  if (req.query.before !== undefined) {
+    const before = Number(req.query.before)
+    if (!Number.isInteger(before) || before < 1) return res.status(400).json({ error: 'Invalid before' })
+    match.revision = { $lt: before }
+  }
+
+  const plot = await StagePlot.exists({ _id: id, userId: req.user._id, deletedAt: null })
   if (!plot) return res.status(404).json({ error: 'Plot not found' })
 
+  // One extra row tells whether there is another page; the node count is taken without loading the nodes.
+  const revisions = await PlotRevision.aggregate([
+    { $match: match },
+    { $sort: { revision: -1 } },
+    { $limit: limit + 1 },
+    {
+      $project: {
+        revision: 1,
+        name: 1,
+        message: 1,
+        isAutosave: 1,
+        authorName: 1,
+        authorEmail: 1,
+        createdAt: 1,
+        nodeCount: { $size: { $ifNull: ['$state', []] } },
+      },
+    },
+  ])
+
   res.json({
-    _id: plot._id,
-    name: plot.name || 'Untitled',
-    state: plot.state || [],
-    inputs: plot.inputs || [],
-    createdAt: plot.createdAt,
-    updatedAt: plot.updatedAt,
+    versions: revisions.slice(0, limit).map((r) => ({
+      revision: r.revision,
+      name: r.name || 'Untitled',
+      message: r.message || '',
+      isAutosave: Boolean(r.isAutosave),
+      authorName: r.authorName || '',
+      authorEmail: r.authorEmail || '',
+      nodeCount: r.nodeCount || 0,
+      createdAt: r.createdAt,
+    })),
+    hasMore: revisions.length > limit,
+  })
+})
+
+async function findPlotRevision(req, res) {
+  const { id } = req.params
+  const revision = Number(req.params.revision)
+  if (!mongoose.isValidObjectId(id)) {
+    res.status(400).json({ error: 'Invalid plot id' })
+    return null
+  }
+  if (!Number.isInteger(revision) || revision < 1) {
+    res.status(400).json({ error: 'Invalid revision' })
+    return null
+  }
+
+  const plot = await StagePlot.exists({ _id: id, userId: req.user._id, deletedAt: null })
+  if (!plot) {
+    res.status(404).json({ error: 'Plot not found' })
+    return null
+  }
+
+  const found = await PlotRevision.findOne({ plotId: id, revision }).lean()
+  if (!found) {
+    res.status(404).json({ error: 'Revision not found' })
+    return null
+  }
+  return migratePlot(found)
+}
+
+app.get('/api/plots/:id/versions/:revision', requireAuth, async (req, res) => {
+  const revision = await findPlotRevision(req, res)
+  if (!revision) return
+
+  res.json({
+    revision: revision.revision,
+    name: revision.name || 'Untitled',
+    message: revision.message || '',
+    authorName: revision.authorName || '',
+    authorEmail: revision.authorEmail || '',
+    stage: normalizePlotStage(revision.stage),
+    state: revision.state || [],
+    groups: revision.groups || [],
+    layers: normalizePlotLayers(revision.layers),
+    createdAt: revision.createdAt,
   })
 })
 
+// Restoring never rewrites history: the old snapshot becomes a new revision on top.
+app.post('/api/plots/:id/versions/:revision/restore', requireAuth, async (req, res) => {
+  const revision = await findPlotRevision(req, res)
+  if (!revision) return
+
+  const updated = await StagePlot.findOneAndUpdate(
+    { _id: req.params.id, userId: req.user._id, deletedAt: null },
+    {
+      $set: {
+        state: revision.state || [],
+        stage: normalizePlotStage(revision.stage),
+        groups: revision.groups || [],
+        layers: normalizePlotLayers(revision.layers),
+        name: revision.name || '',
+        schemaVersion: PLOT_SCHEMA_VERSION,
+      },
+      $inc: { revision: 1 },
+    },
+    { new: true }
+  ).lean()
+  if (!updated) return res.status(404).json({ error: 'Plot not found' })
+
+  await recordPlotRevision(updated, req.user, `Restored revision ${revision.revision}`)
+  res.json(serializePlot(updated))
+})
+
 app.post('/api/feedback', requireAuth, async (req, res) => {
   const message = typeof req.body?.message === 'string' ? req.body.message.trim() : ''
   const page = typeof req.body?.page === 'string' ? req.body.page.trim() : ''
@@ -667,6 +1854,44 @@ app.post('/api/feedback', requireAuth, async (req, res) => {
   res.status(201).json({ ok: true })
 })
 
+app.get('/api/admin/templates', requireAdmin, async (req, res) => {
+  const templates = await PlotTemplate.find({ userId: null }).sort({ name: 1 }).lean()
+  res.json(templates.map(serializeTemplate))
+})
+
+// Admins publish templates by uploading a .showplot file exported from the builder.
+app.post('/api/admin/templates', requireAdmin, async (req, res) => {
+  const { error, plot, missingAssets } = await readShowplotDocument(req.body?.file)
+  if (error) return res.status(400).json({ error })
+
+  const requestedName = typeof req.body?.name === 'string' ? req.body.name.trim() : ''
+  const name = requestedName || plot.name
+  if (!name) return res.status(400).json({ error: 'Missing template name' })
+  const description = typeof req.body?.description === 'string' ? req.body.description.trim() : ''
+
+  const template = await PlotTemplate.create({
+    userId: null,
+    name,
+    description: description.slice(0, 500),
+    schemaVersion: PLOT_SCHEMA_VERSION,
+    // Underlay images are private to their uploader, so public templates leave them out.
+    stage: { ...plot.stage, underlay: null },
+    state: plot.state,
+    groups: plot.groups,
+    layers: plot.layers,
+  })
+  res.status(201).json({ ...serializeTemplate(template.toObject()), missingAssets })
+})
+
+app.delete('/api/admin/templates/:id', requireAdmin, async (req, res) => {
+  const { id } = req.params
+  if (!mongoose.isValidObjectId(id)) return res.status(400).json({ error: 'Invalid template id' })
+
+  const deleted = await PlotTemplate.findOneAndDelete({ _id: id, userId: null }).lean()
+  if (!deleted) return res.status(404).json({ error: 'Template not found' })
+  res.json({ ok: true })
+})
+
 app.get('/api/admin/stats', async (req, res) => {
   const totalPlots = await StagePlot.countDocuments({})
   const totalUsers = await User.countDocuments({})
@@ -738,10 +1963,30 @@ async function start() {
       }
 
       bucket = new GridFSBucket(mongoose.connection.db, { bucketName: 'assets' })
+      underlayBucket = new GridFSBucket(mongoose.connection.db, { bucketName: 'underlays' })
       // eslint-disable-next-line no-console
       console.log('MongoDB connected; GridFS bucket ready.')
+
+      const sweep = () =>
+        sweepUnusedUnderlays().catch((err) => {
+          // eslint-disable-next-line no-console
+          console.error('Underlay cleanup failed:', err?.message || err)
+        })
+      sweep()
+      if (!underlaySweepTimer) underlaySweepTimer = setInterval(sweep, UNDERLAY_SWEEP_INTERVAL_MS)
+
+      migratePlots()
+        .then((count) => {
+          // eslint-disable-next-line no-console
+          if (count) console.log(`Migrated ${count} plot(s) to schema v${PLOT_SCHEMA_VERSION}.`)
+        })
+        .catch((err) => {
+          // eslint-disable-next-line no-console
+          console.error('Plot migration failed:', err?.message || err)
+        })
     } catch (err) {
       bucket = null
+      underlayBucket = null
       // eslint-disable-next-line no-console
       console.error('MongoDB connection failed; retrying in 5s...')
       // eslint-disable-next-line no-console
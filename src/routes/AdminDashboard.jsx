@@ -87,6 +87,35 @@ const API = {
     }
     return res.json()
   },
+  listTemplates: async () => {
+    const res = await fetch('/api/admin/templates', { credentials: 'include' })
+    if (!res.ok) {
+      throw new Error(await API._readError(res, 'Failed to load templates'))
+    }
+    return res.json()
+  },
+  publishTemplate: async ({ name, description, file }) => {
+    const res = await fetch('/api/admin/templates', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ name, description, file }),
+      credentials: 'include',
+    })
+    if (!res.ok) {
+      throw new Error(await API._readError(res, 'Failed to publish template'))
+    }
+    return res.json()
+  },
+  deleteTemplate: async (templateId) => {
+    const res = await fetch(`/api/admin/templates/${templateId}`, {
+      method: 'DELETE',
+      credentials: 'include',
+    })
+    if (!res.ok) {
+      throw new Error(await API._readError(res, 'Failed to delete template'))
+    }
+    return res.json()
+  },
   addSection: async ({ category, name }) => {
     const res = await fetch('/api/admin/taxonomy/sections', {
       method: 'POST',
@@ -110,6 +139,7 @@ export default function AdminDashboard() {
   const [stats, setStats] = useState({ totalPlots: 0, totalUsers: 0 })
   const [taxonomy, setTaxonomy] = useState({ categories: [] })
   const [users, setUsers] = useState([])
+  const [templates, setTemplates] = useState([])
   const [pendingFile, setPendingFile] = useState(null)
   const [name, setName] = useState('')
   const [category, setCategory] = useState('')
@@ -140,11 +170,18 @@ export default function AdminDashboard() {
   const canUpload = useMemo(() => Boolean(pendingFile && (name || pendingFile?.name)), [pendingFile, name])
 
   const refresh = async () => {
-    const [a, s, t, u] = await Promise.all([API.listAssets(), API.stats(), API.getTaxonomy(), API.listUsers()])
+    const [a, s, t, u, pt] = await Promise.all([
+      API.listAssets(),
+      API.stats(),
+      API.getTaxonomy(),
+      API.listUsers(),
+      API.listTemplates(),
+    ])
     setAssets(a)
     setStats(s)
     setTaxonomy(t)
     setUsers(Array.isArray(u) ? u : [])
+    setTemplates(Array.isArray(pt) ? pt : [])
   }
 
   useEffect(() => {
@@ -321,6 +358,34 @@ export default function AdminDashboard() {
         </div>
       </section>
 
+      <PlotTemplatesSection
+        templates={templates}
+        disabled={isBusy}
+        onPublish={async (payload) => {
+          setIsBusy(true)
+          try {
+            const created = await API.publishTemplate(payload)
+            await refresh()
+            return created
+          } finally {
+            setIsBusy(false)
+          }
+        }}
+        onDelete={async (template) => {
+          if (!window.confirm(`Delete template "${template.name}" for all users?`)) return
+          setIsBusy(true)
+          setError('')
+          try {
+            await API.deleteTemplate(template._id)
+            await refresh()
+          } catch (e) {
+            setError(String(e?.message || e))
+          } finally {
+            setIsBusy(false)
+          }
+        }}
+      />
+
       <section className="rounded-xl border border-slate-200 bg-white p-4 md:p-6">
         <div className="flex items-baseline justify-between gap-4">
           <div>
@@ -557,6 +622,128 @@ export default function AdminDashboard() {
   )
 }
 
+// Templates are published from .showplot files exported with the builder's Export menu.
+function PlotTemplatesSection({ templates, disabled, onPublish, onDelete }) {
+  const fileInputRef = useRef(null)
+  const [file, setFile] = useState(null)
+  const [name, setName] = useState('')
+  const [description, setDescription] = useState('')
+  const [message, setMessage] = useState('')
+  const [error, setError] = useState('')
+
+  const onPickFile = async (picked) => {
+    setError('')
+    setMessage('')
+    setFile(null)
+    if (!picked) return
+    try {
+      const doc = JSON.parse(await picked.text())
+      setFile(doc)
+      setName((prev) => prev || String(doc?.plot?.name || picked.name.replace(/\.[^.]+$/, '')))
+    } catch {
+      setError('This file is not valid ShowPlot JSON.')
+    }
+  }
+
+  const onSubmit = async () => {
+    if (!file) return
+    setError('')
+    setMessage('')
+    try {
+      const created = await onPublish({ name: name.trim(), description: description.trim(), file })
+      const missing = Array.isArray(created?.missingAssets) ? created.missingAssets : []
+      setMessage(
+        missing.length
+          ? `Published without ${missing.length} missing icon(s): ${missing.join(', ')}`
+          : `Published “${created?.name || name}”.`
+      )
+      setFile(null)
+      setName('')
+      setDescription('')
+      if (fileInputRef.current) fileInputRef.current.value = ''
+    } catch (e) {
+      setError(String(e?.message || e))
+    }
+  }
+
+  return (
+    <section className="rounded-xl border border-slate-200 bg-white p-4 md:p-6">
+      <div className="flex items-baseline justify-between gap-4">
+        <div>
+          <div className="text-sm font-semibold">Plot Templates</div>
+          <div className="mt-1 text-sm text-slate-600">
+            Upload a .showplot file exported from the builder. Published templates appear under New for every user.
+          </div>
+        </div>
+        <div className="text-xs font-medium uppercase tracking-wide text-slate-500">{templates.length} templates</div>
+      </div>
+
+      <div className="mt-4 grid gap-3 md:grid-cols-4">
+        <input
+          ref={fileInputRef}
+          type="file"
+          accept=".showplot,application/json"
+          onChange={(e) => onPickFile(e.target.files?.[0] || null)}
+          className="block text-sm text-slate-700 file:mr-3 file:rounded-lg file:border-0 file:bg-slate-900 file:px-3 file:py-2 file:text-sm file:font-semibold file:text-white hover:file:bg-slate-800"
+        />
+        <input
+          value={name}
+          onChange={(e) => setName(e.target.value)}
+          className="h-10 w-full rounded-lg border border-slate-200 bg-white px-3 text-sm outline-none focus:border-slate-400"
+          placeholder="Template name, e.g. 4-piece rock band"
+        />
+        <input
+          value={description}
+          onChange={(e) => setDescription(e.target.value)}
+          className="h-10 w-full rounded-lg border border-slate-200 bg-white px-3 text-sm outline-none focus:border-slate-400"
+          placeholder="Description (optional)"
+        />
+        <button
+          type="button"
+          onClick={onSubmit}
+          disabled={!file || !name.trim() || disabled}
+          className="h-10 rounded-lg bg-slate-900 px-4 text-sm font-semibold text-white hover:bg-slate-800 disabled:bg-slate-200 disabled:text-slate-500"
+        >
+          Publish
+        </button>
+      </div>
+
+      {error ? (
+        <div className="mt-4 rounded-lg border border-rose-200 bg-rose-50 px-3 py-2 text-sm text-rose-700">{error}</div>
+      ) : null}
+      {message ? (
+        <div className="mt-4 rounded-lg border border-slate-200 bg-slate-50 px-3 py-2 text-sm text-slate-700">{message}</div>
+      ) : null}
+
+      <div className="mt-4 divide-y divide-slate-200 rounded-lg border border-slate-200">
+        {templates.length ? (
+          templates.map((t) => (
+            <div key={t._id} className="flex items-center justify-between gap-4 px-3 py-2">
+              <div className="min-w-0">
+                <div className="truncate text-sm font-semibold text-slate-900">{t.name}</div>
+                <div className="truncate text-xs text-slate-500">
+                  {(t.state || []).length} nodes · {t.stage?.width} × {t.stage?.depth} {t.stage?.unit}
+                  {t.description ? ` · ${t.description}` : ''}
+                </div>
+              </div>
+              <button
+                type="button"
+                onClick={() => onDelete(t)}
+                disabled={disabled}
+                className="h-9 rounded-lg border border-slate-200 bg-white px-3 text-xs font-semibold text-slate-700 hover:bg-slate-50 disabled:text-slate-400"
+              >
+                Delete
+              </button>
+            </div>
+          ))
+        ) : (
+          <div className="px-3 py-2 text-sm text-slate-600">No templates published yet.</div>
+        )}
+      </div>
+    </section>
+  )
+}
+
 function AssetCard({ asset, taxonomy, onDelete, onUpdate, disabled }) {
   const [category, setCategory] = useState(asset.category || '')
   const [section, setSection] = useState(asset.section || '')
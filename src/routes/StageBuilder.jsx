@@ -1,11 +1,12 @@
-import { useCallback, useEffect, useMemo, useReducer, useRef, useState } from 'react'
-import { Circle, Group, Image as KonvaImage, Layer, Line, Rect, Stage, Text, Transformer } from 'react-konva'
+import { useCallback, useEffect, useEffectEvent, useMemo, useReducer, useRef, useState } from 'react'
+import { Arrow, Circle, Group, Image as KonvaImage, Layer, Line, Rect, Stage, Text, Transformer } from 'react-konva'
 import html2canvas from 'html2canvas'
 import jsPDF from 'jspdf'
 import * as XLSX from 'xlsx'
 import { useAuth } from '../auth/authContext.js'
 import SignIn from './SignIn.jsx'
 import afrimaChannelListCsvUrl from '../assets/AFRIMA AWARD 2026 - Sheet1 (1).csv?url'
+import pdfWorkerUrl from 'pdfjs-dist/build/pdf.worker.min.mjs?url'
 
 function parseCsvLine(line) {
   const out = []
@@ -103,6 +104,104 @@ const API = {
     }
     return res.json()
   },
+  renamePlot: async (plotId, name) => {
+    const res = await fetch(`/api/plots/${encodeURIComponent(plotId)}`, {
+      method: 'PATCH',
+      credentials: 'include',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ name }),
+    })
+    if (!res.ok) {
+      const body = await res.json().catch(() => null)
+      throw new Error(body?.error || 'Failed to rename plot')
+    }
+    return res.json()
+  },
+  duplicatePlot: async (plotId) => {
+    const res = await fetch(`/api/plots/${encodeURIComponent(plotId)}/duplicate`, {
+      method: 'POST',
+      credentials: 'include',
+    })
+    if (!res.ok) {
+      const body = await res.json().catch(() => null)
+      throw new Error(body?.error || 'Failed to duplicate plot')
+    }
+    return res.json()
+  },
+  trashPlot: async (plotId) => {
+    const res = await fetch(`/api/plots/${encodeURIComponent(plotId)}`, {
+      method: 'DELETE',
+      credentials: 'include',
+    })
+    if (!res.ok) {
+      const body = await res.json().catch(() => null)
+      throw new Error(body?.error || 'Failed to move plot to trash')
+    }
+    return res.json()
+  },
+  listTrashedPlots: async () => {
+    const res = await fetch('/api/plots/trash', { credentials: 'include' })
+    if (!res.ok) {
+      const body = await res.json().catch(() => null)
+      throw new Error(body?.error || 'Failed to load trash')
+    }
+    return res.json()
+  },
+  restoreTrashedPlot: async (plotId) => {
+    const res = await fetch(`/api/plots/${encodeURIComponent(plotId)}/restore`, {
+      method: 'POST',
+      credentials: 'include',
+    })
+    if (!res.ok) {
+      const body = await res.json().catch(() => null)
+      throw new Error(body?.error || 'Failed to restore plot')
+    }
+    return res.json()
+  },
+  purgePlot: async (plotId) => {
+    const res = await fetch(`/api/plots/${encodeURIComponent(plotId)}/purge`, {
+      method: 'DELETE',
+      credentials: 'include',
+    })
+    if (!res.ok) {
+      const body = await res.json().catch(() => null)
+      throw new Error(body?.error || 'Failed to delete plot')
+    }
+    return res.json()
+  },
+  listPlotVersions: async (plotId, before = null) => {
+    const query = before ? `?before=${encodeURIComponent(before)}` : ''
+    const res = await fetch(`/api/plots/${encodeURIComponent(plotId)}/versions${query}`, {
+      credentials: 'include',
+    })
+    if (!res.ok) {
+      const body = await res.json().catch(() => null)
+      throw new Error(body?.error || 'Failed to load plot history')
+    }
+    return res.json()
+  },
+  getPlotVersion: async (plotId, revision) => {
+    const res = await fetch(
+      `/api/plots/${encodeURIComponent(plotId)}/versions/${encodeURIComponent(revision)}`,
+      { credentials: 'include' }
+    )
+    if (!res.ok) {
+      const body = await res.json().catch(() => null)
+      throw new Error(body?.error || 'Failed to load revision')
+    }
+    return res.json()
+  },
+  restorePlotVersion: async (plotId, revision) => {
+    const res = await fetch(
+      `/api/plots/${encodeURIComponent(plotId)}/versions/${encodeURIComponent(revision)}/restore`,
+      { method: 'POST', credentials: 'include' }
+    )
+    if (!res.ok) {
+      const body = await res.json().catch(() => null)
+      throw new Error(body?.error || 'Failed to restore revision')
+    }
+    return res.json()
+  },
   savePlot: async (payload) => {
     const res = await fetch('/api/plots', {
       method: 'POST',
@@ -112,189 +211,1110 @@ const API = {
     })
     if (!res.ok) {
       const body = await res.json().catch(() => null)
-      throw new Error(body?.error || 'Failed to save plot')
+      const err = new Error(body?.error || 'Failed to save plot')
+      err.status = res.status
+      // 409 responses carry the server copy so the caller can resolve the conflict.
+      err.current = body?.current || null
+      throw err
+    }
+    return res.json()
+  },
+  listTemplates: async () => {
+    const res = await fetch('/api/templates', { credentials: 'include' })
+    if (!res.ok) {
+      const body = await res.json().catch(() => null)
+      throw new Error(body?.error || 'Failed to load templates')
+    }
+    return res.json()
+  },
+  saveTemplate: async (payload) => {
+    const res = await fetch('/api/templates', {
+      method: 'POST',
+      credentials: 'include',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(payload),
+    })
+    if (!res.ok) {
+      const body = await res.json().catch(() => null)
+      throw new Error(body?.error || 'Failed to save template')
+    }
+    return res.json()
+  },
+  deleteTemplate: async (templateId) => {
+    const res = await fetch(`/api/templates/${encodeURIComponent(templateId)}`, {
+      method: 'DELETE',
+      credentials: 'include',
+    })
+    if (!res.ok) {
+      const body = await res.json().catch(() => null)
+      throw new Error(body?.error || 'Failed to delete template')
+    }
+    return res.json()
+  },
+  uploadUnderlay: async (file) => {
+    const form = new FormData()
+    form.append('file', file)
+    const res = await fetch('/api/underlays', {
+      method: 'POST',
+      credentials: 'include',
+      body: form,
+    })
+    if (!res.ok) {
+      const body = await res.json().catch(() => null)
+      throw new Error(body?.error || 'Failed to upload underlay')
+    }
+    return res.json()
+  },
+  importPlot: async (doc) => {
+    const res = await fetch('/api/plots/import', {
+      method: 'POST',
+      credentials: 'include',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(doc),
+    })
+    if (!res.ok) {
+      const body = await res.json().catch(() => null)
+      throw new Error(body?.error || 'Failed to import plot')
     }
     return res.json()
   },
 }
 
-function clamp(n, min, max) {
-  return Math.max(min, Math.min(max, n))
+const DRAFT_STORAGE_PREFIX = 'showplot:draft:'
+// Bump when the draft shape changes so stale drafts are ignored instead of misread.
+const DRAFT_VERSION = 2
+const AUTOSAVE_DELAY_MS = 4000
+
+// Portable plot files. PLOT_SCHEMA_VERSION mirrors server.js; the server migrates older files on import.
+const SHOWPLOT_FILE_FORMAT = 'showplot'
+const SHOWPLOT_FILE_EXTENSION = '.showplot'
+const PLOT_SCHEMA_VERSION = 3
+
+// Node positions are stored in stage units. The canvas draws a fixed number of world pixels
+// per unit and scales the whole world to fit the viewport, so a plot looks the same anywhere.
+const STAGE_UNITS = {
+  m: { label: 'm', name: 'Meters', pxPerUnit: 80, gridStep: 1 },
+  ft: { label: 'ft', name: 'Feet', pxPerUnit: 80 * 0.3048, gridStep: 2 },
+}
+const FEET_PER_METER = 1 / 0.3048
+const STAGE_OUTLINES = { none: 'None', rect: 'Rectangle', polygon: 'Custom polygon' }
+const BADGE_CONTENTS = { none: 'None', channel: 'Channel number', mix: 'Monitor mix', tag: 'Custom tag' }
+const BADGE_STYLES = { circle: 'Circle', square: 'Square', pill: 'Tag' }
+const PROFILE_FIELD_MAX_LENGTH = 500
+const PROFILE_FIELD_LABELS = {
+  instrument: 'Instrument',
+  mic: 'Mic / DI',
+  stand: 'Stand',
+  notes: 'Notes',
+  cables: 'Cables',
+  mix: 'Monitor mix',
+  tag: 'Tag',
+}
+// The deck spans width × depth from the origin with the audience below it (downstage). Outline points,
+// apron, wings, the FOH / monitor-world positions and the underlay's box are in stage units.
+const DEFAULT_STAGE = {
+  width: 12,
+  depth: 8,
+  unit: 'm',
+  outline: 'rect',
+  outlinePoints: [],
+  apron: 0,
+  wings: 0,
+  markers: true,
+  foh: null,
+  monitorWorld: null,
+  badgeContent: 'channel',
+  badgeStyle: 'circle',
+  badgeColor: '#dc2626',
+  underlay: null,
+}
+const MAX_STAGE_DIMENSION = 1000
+const MIN_UNDERLAY_OPACITY = 0.05
+// World pixels kept around the stage for the UPSTAGE / AUDIENCE / STAGE LEFT / STAGE RIGHT captions.
+const STAGE_MARKER_MARGIN_PX = 72
+const STAGE_VIEW_PADDING = 24
+// Zoom limits relative to the zoom-to-fit scale.
+const MIN_ZOOM = 0.5
+const MAX_ZOOM = 10
+const WHEEL_ZOOM_STEP = 1.1
+const DUPLICATE_OFFSET_PX = 24
+const NUDGE_PX = 4
+const NUDGE_COARSE_PX = 40
+
+// Rotation snaps pull toward every 15°; holding Shift steps strictly by 45°.
+const ROTATION_SNAPS = Array.from({ length: 24 }, (_, i) => i * 15)
+const ROTATION_SNAPS_COARSE = Array.from({ length: 8 }, (_, i) => i * 45)
+// Screen pixels within which a dragged node locks onto another node's centre or edge.
+const SNAP_GUIDE_TOLERANCE_PX = 6
+
+// Copied nodes travel as JSON under a ShowPlot type (plus text/plain) so they can be pasted into another plot or tab.
+const SHOWPLOT_CLIPBOARD_FORMAT = 'showplot-nodes'
+const SHOWPLOT_CLIPBOARD_MIME = 'application/x-showplot+json'
+
+const MOD_KEY_LABEL = typeof navigator !== 'undefined' && /Mac|iPhone|iPad/.test(navigator.userAgent) ? '⌘' : 'Ctrl'
+
+const KEYBOARD_SHORTCUTS = [
+  { keys: ['Delete'], label: 'Delete selection' },
+  { keys: ['Arrows'], label: 'Nudge selection' },
+  { keys: ['Shift', 'Arrows'], label: 'Nudge further' },
+  { keys: [MOD_KEY_LABEL, 'Z'], label: 'Undo' },
+  { keys: [MOD_KEY_LABEL, 'Shift', 'Z'], label: `Redo (also ${MOD_KEY_LABEL}+Y)` },
+  { keys: [MOD_KEY_LABEL, 'A'], label: 'Select all' },
+  { keys: [MOD_KEY_LABEL, 'D'], label: 'Duplicate' },
+  { keys: [MOD_KEY_LABEL, 'C'], label: 'Copy' },
+  { keys: [MOD_KEY_LABEL, 'X'], label: 'Cut' },
+  { keys: [MOD_KEY_LABEL, 'V'], label: 'Paste' },
+  { keys: [MOD_KEY_LABEL, 'Shift', 'L'], label: 'Lock / unlock' },
+  { keys: [MOD_KEY_LABEL, 'G'], label: 'Group' },
+  { keys: [MOD_KEY_LABEL, 'Shift', 'G'], label: 'Ungroup' },
+  { keys: ['Esc'], label: 'Leave group / clear selection' },
+  { keys: ['Space', 'Drag'], label: 'Pan the view' },
+  { keys: ['Wheel'], label: 'Zoom (pans while something is selected)' },
+  { keys: [MOD_KEY_LABEL, 'Wheel'], label: 'Zoom' },
+  { keys: ['?'], label: 'Show this list' },
+]
+
+function isEditableTarget(target) {
+  if (!(target instanceof Element)) return false
+  return target.isContentEditable || Boolean(target.closest('input, textarea, select'))
 }
 
-function uid() {
-  return Math.random().toString(16).slice(2) + Date.now().toString(16)
+// Longest side, in pixels, of the image a PDF page is rendered to before it is uploaded as an underlay.
+const PDF_UNDERLAY_MAX_PX = 4000
+// Mirrors the upload limit in server.js.
+const MAX_UNDERLAY_BYTES = 10 * 1024 * 1024
+
+// Renders one page of a PDF to a PNG file, or a JPEG when the PNG is over the upload limit. pdf.js is only loaded once someone picks a PDF.
+async function renderPdfPage(file, pickPage) {
+  const pdfjs = await import('pdfjs-dist')
+  pdfjs.GlobalWorkerOptions.workerSrc = pdfWorkerUrl
+  const pdf = await pdfjs.getDocument({ data: await file.arrayBuffer() }).promise
+  try {
+    const pageNumber = pdf.numPages > 1 ? pickPage(pdf.numPages) : 1
+    if (!pageNumber) return null
+    const page = await pdf.getPage(pageNumber)
+    const base = page.getViewport({ scale: 1 })
+    const viewport = page.getViewport({ scale: PDF_UNDERLAY_MAX_PX / Math.max(base.width, base.height) })
+    const canvas = document.createElement('canvas')
+    canvas.width = Math.round(viewport.width)
+    canvas.height = Math.round(viewport.height)
+    await page.render({ canvas, viewport, background: '#ffffff' }).promise
+    const toBlob = (type) => new Promise((resolve) => canvas.toBlob(resolve, type, 0.9))
+    let blob = await toBlob('image/png')
+    if (blob && blob.size > MAX_UNDERLAY_BYTES) blob = await toBlob('image/jpeg')
+    if (!blob) throw new Error('Could not render that PDF page')
+    const name = `${file.name.replace(/\.pdf$/i, '')}-p${pageNumber}.${blob.type === 'image/png' ? 'png' : 'jpg'}`
+    return new File([blob], name, { type: blob.type })
+  } finally {
+    pdf.destroy()
+  }
 }
 
-function historyReducer(state, action) {
-  const limit = 50
-  switch (action.type) {
-    case 'set': {
-      const next = typeof action.updater === 'function' ? action.updater(state.present) : action.updater
-      if (next === state.present) return state
-      const past = state.past.length >= limit ? state.past.slice(1) : state.past
-      return { past: [...past, state.present], present: next, future: [] }
-    }
-    case 'undo': {
-      if (!state.past.length) return state
-      const previous = state.past[state.past.length - 1]
-      return {
-        past: state.past.slice(0, -1),
-        present: previous,
-        future: [state.present, ...state.future],
-      }
-    }
-    case 'redo': {
-      if (!state.future.length) return state
-      const next = state.future[0]
-      return {
-        past: [...state.past, state.present],
-        present: next,
-        future: state.future.slice(1),
-      }
-    }
-    case 'reset': {
-      return { past: [], present: action.value, future: [] }
-    }
-    default:
-      return state
+function normalizeUnderlay(underlay) {
+  if (!underlay || typeof underlay.fileId !== 'string' || !underlay.fileId) return null
+  const size = [underlay.width, underlay.height]
+  if (!size.every((v) => Number.isFinite(v) && v > 0 && v <= MAX_STAGE_DIMENSION)) return null
+  const coord = (v) => (Number.isFinite(v) ? clamp(v, -MAX_STAGE_DIMENSION, MAX_STAGE_DIMENSION) : 0)
+  return {
+    fileId: underlay.fileId,
+    x: coord(underlay.x),
+    y: coord(underlay.y),
+    width: underlay.width,
+    height: underlay.height,
+    opacity: Number.isFinite(underlay.opacity) ? clamp(underlay.opacity, MIN_UNDERLAY_OPACITY, 1) : 0.5,
+    locked: underlay.locked === true,
+    visible: underlay.visible !== false,
+    exported: underlay.exported === true,
   }
 }
 
-function useHistoryState(initialValue) {
-  const [state, dispatch] = useReducer(historyReducer, {
-    past: [],
-    present: initialValue,
-    future: [],
-  })
+function normalizeStage(stage) {
+  const src = stage && typeof stage === 'object' ? stage : {}
+  const dim = (value, fallback) =>
+    Number.isFinite(value) && value > 0 ? Math.min(value, MAX_STAGE_DIMENSION) : fallback
+  const position = (pos) =>
+    pos && [pos.x, pos.y].every((v) => Number.isFinite(v) && Math.abs(v) <= MAX_STAGE_DIMENSION)
+      ? { x: pos.x, y: pos.y }
+      : null
+  const outlinePoints =
+    Array.isArray(src.outlinePoints) &&
+    src.outlinePoints.length % 2 === 0 &&
+    src.outlinePoints.every((v) => Number.isFinite(v) && Math.abs(v) <= MAX_STAGE_DIMENSION)
+      ? src.outlinePoints
+      : []
+  const outline = STAGE_OUTLINES[src.outline] ? src.outline : DEFAULT_STAGE.outline
+  return {
+    width: dim(src.width, DEFAULT_STAGE.width),
+    depth: dim(src.depth, DEFAULT_STAGE.depth),
+    unit: STAGE_UNITS[src.unit] ? src.unit : DEFAULT_STAGE.unit,
+    // A polygon needs at least a triangle; fall back to the plain deck rectangle.
+    outline: outline === 'polygon' && outlinePoints.length < 6 ? 'rect' : outline,
+    outlinePoints,
+    apron: dim(src.apron, 0),
+    wings: dim(src.wings, 0),
+    markers: typeof src.markers === 'boolean' ? src.markers : DEFAULT_STAGE.markers,
+    foh: position(src.foh),
+    monitorWorld: position(src.monitorWorld),
+    badgeContent: BADGE_CONTENTS[src.badgeContent] ? src.badgeContent : DEFAULT_STAGE.badgeContent,
+    badgeStyle: BADGE_STYLES[src.badgeStyle] ? src.badgeStyle : DEFAULT_STAGE.badgeStyle,
+    badgeColor: /^#[0-9a-f]{6}$/i.test(src.badgeColor || '') ? src.badgeColor : DEFAULT_STAGE.badgeColor,
+    underlay: normalizeUnderlay(src.underlay),
+  }
+}
+
+// Undo history names for stage setting changes, by the setting changed.
+const STAGE_CHANGE_LABELS = {
+  width: 'Resize stage',
+  depth: 'Resize stage',
+  apron: 'Resize stage',
+  wings: 'Resize stage',
+  unit: 'Change units',
+  outline: 'Change stage outline',
+  outlinePoints: 'Reshape stage',
+  markers: 'Toggle direction markers',
+  foh: 'Edit FOH position',
+  monitorWorld: 'Edit monitor world',
+  badgeContent: 'Change badges',
+  badgeStyle: 'Change badges',
+  badgeColor: 'Change badges',
+  underlay: 'Change underlay',
+}
+
+function stageChangeLabel(patch) {
+  const key = Object.keys(patch || {}).find((k) => STAGE_CHANGE_LABELS[k])
+  return STAGE_CHANGE_LABELS[key] || 'Change stage'
+}
+
+function underlayChangeLabel(patch) {
+  if ('width' in patch) return 'Calibrate underlay'
+  if ('x' in patch) return 'Move underlay'
+  if ('opacity' in patch) return 'Change underlay opacity'
+  if ('visible' in patch) return patch.visible ? 'Show underlay' : 'Hide underlay'
+  if ('locked' in patch) return patch.locked ? 'Lock underlay' : 'Unlock underlay'
+  return 'Change underlay'
+}
 
-  const set = (updater) => dispatch({ type: 'set', updater })
-  const undo = () => dispatch({ type: 'undo' })
-  const redo = () => dispatch({ type: 'redo' })
-  const reset = (value) => dispatch({ type: 'reset', value })
+// Stage edge as x/y pairs in stage units. The rectangle outline grows a slightly narrower apron downstage.
+function stageOutlinePoints(stage) {
+  if (stage.outline === 'polygon') return stage.outlinePoints
+  const { width: w, depth: d, apron } = stage
+  if (!apron) return [0, 0, w, 0, w, d, 0, d]
+  const inset = roundTo(w * 0.1, 3)
+  return [0, 0, w, 0, w, d, w - inset, d + apron, inset, d + apron, 0, d]
+}
+
+// Stage-unit box around the deck, outline, wings and positioned markers.
+function stageExtent(stage) {
+  const xs = [0, stage.width]
+  const ys = [0, stage.depth]
+  if (stage.outline !== 'none') {
+    const points = stageOutlinePoints(stage)
+    for (let i = 0; i + 1 < points.length; i += 2) {
+      xs.push(points[i])
+      ys.push(points[i + 1])
+    }
+  }
+  if (stage.wings) xs.push(-stage.wings, stage.width + stage.wings)
+  for (const pos of [stage.foh, stage.monitorWorld]) {
+    if (!pos) continue
+    xs.push(pos.x)
+    ys.push(pos.y)
+  }
+  return { left: Math.min(...xs), top: Math.min(...ys), right: Math.max(...xs), bottom: Math.max(...ys) }
+}
 
+// World-pixel area shown and exported for a stage: the extent plus room for the marker captions.
+function stageWorldBox(stage, unitPx) {
+  const extent = stageExtent(stage)
+  const hasMarkers = stage.markers || stage.foh || stage.monitorWorld
+  const margin = hasMarkers ? STAGE_MARKER_MARGIN_PX : 0
   return {
-    value: state.present,
-    set,
-    undo,
-    redo,
-    reset,
-    canUndo: state.past.length > 0,
-    canRedo: state.future.length > 0,
+    x: extent.left * unitPx - margin,
+    y: extent.top * unitPx - margin,
+    width: (extent.right - extent.left) * unitPx + margin * 2,
+    height: (extent.bottom - extent.top) * unitPx + margin * 2,
   }
 }
 
-function useFontLoaded(fontFamily) {
-  const [ready, setReady] = useState(false)
-  useEffect(() => {
-    let alive = true
-    const load = async () => {
-      try {
-        if (document?.fonts?.load) {
-          await document.fonts.load(`16px "${fontFamily}"`)
-          await document.fonts.ready
-        }
-      } catch {
-        // ignore
-      } finally {
-        if (alive) setReady(true)
-      }
-    }
-    load()
-    return () => {
-      alive = false
-    }
-  }, [fontFamily])
-  return ready
+// Icon labels: font size and free offsets are canvas pixels relative to the 80px icon, not stage units.
+const LABEL_PLACEMENTS = { below: 'Below', above: 'Above', left: 'Left', right: 'Right', free: 'Free' }
+const DEFAULT_LABEL_STYLE = { fontSize: 12, bold: true, color: '#0f172a', placement: 'below', offsetX: 0, offsetY: 0 }
+const LABEL_FONT_SIZES = [10, 12, 14, 16, 20, 24, 32, 48]
+const LABEL_WIDTH = 200
+const LABEL_GAP_PX = 12
+
+function labelStyleOf(node) {
+  return { ...DEFAULT_LABEL_STYLE, ...node?.labelStyle }
 }
 
-export default function StageBuilder() {
-  const auth = useAuth()
-  const stageRef = useRef(null)
-  const transformerRef = useRef(null)
-  const [stageWrapEl, setStageWrapEl] = useState(null)
-  const stageWrapRef = useCallback((node) => {
-    setStageWrapEl(node || null)
-  }, [])
-  const exportRef = useRef(null)
-  const menuRef = useRef(null)
+function isSameLabelStyle(a, b) {
+  return Object.keys(DEFAULT_LABEL_STYLE).every((key) => a[key] === b[key])
+}
 
-  const debugSizeEnabled =
-    import.meta.env.DEV &&
-    typeof window !== 'undefined' &&
-    new URLSearchParams(window.location.search).get('debugSize') === '1'
+// Where a label's text box sits for an icon at (x, y). The anchor turns with the icon so the label
+// stays on the same side of it; the text itself stays upright.
+function labelBox(text, style, x, y, rotation, scale) {
+  const half = 40 * scale
+  const anchors = {
+    below: [0, half + LABEL_GAP_PX],
+    above: [0, -half - LABEL_GAP_PX],
+    left: [-half - LABEL_GAP_PX, 0],
+    right: [half + LABEL_GAP_PX, 0],
+    free: [style.offsetX || 0, style.offsetY || 0],
+  }
+  const [ax, ay] = anchors[style.placement] || anchors.below
+  const rad = ((rotation || 0) * Math.PI) / 180
+  const px = x + ax * Math.cos(rad) - ay * Math.sin(rad)
+  const py = y + ax * Math.sin(rad) + ay * Math.cos(rad)
+  const height = String(text || ' ').split('\n').length * style.fontSize
+  if (style.placement === 'above') return { x: px - LABEL_WIDTH / 2, y: py - height, height, align: 'center' }
+  if (style.placement === 'left') return { x: px - LABEL_WIDTH, y: py - height / 2, height, align: 'right' }
+  if (style.placement === 'right') return { x: px, y: py - height / 2, height, align: 'left' }
+  if (style.placement === 'free') return { x: px - LABEL_WIDTH / 2, y: py - height / 2, height, align: 'center' }
+  return { x: px - LABEL_WIDTH / 2, y: py, height, align: 'center' }
+}
 
-  const [assets, setAssets] = useState([])
+// Badges sit on the icon's top-right corner and, like labels, stay upright.
+function badgePosition(x, y, scale) {
+  const corner = 32 * scale
+  return { x: x + corner, y: y - corner }
+}
 
-  const [channelDefaultsByInstrument, setChannelDefaultsByInstrument] = useState(() => new Map())
-  const nodesHistory = useHistoryState([])
-  const nodes = nodesHistory.value
-  const setNodes = nodesHistory.set
-  const [selectedId, setSelectedId] = useState(null)
+const MAX_GROUP_NAME_LENGTH = 100
+const MAX_PLOT_LAYERS = 50
+const STANDARD_LAYER_NAMES = ['Risers', 'Backline', 'Monitors', 'Power', 'Notes']
+
+// Drawn primitives, next to the 80×80 'asset' icons. Box sizes, riser height, font size and points are
+// in stage units; points are x/y pairs relative to the node position.
+const SHAPE_TYPES = {
+  riser: { label: 'Riser', icon: 'view_comfy', color: '#cbd5e1' },
+  rect: { label: 'Platform', icon: 'rectangle', color: '#e2e8f0' },
+  polygon: { label: 'Polygon', icon: 'pentagon', color: '#e2e8f0' },
+  text: { label: 'Text', icon: 'title', color: '#0f172a' },
+  arrow: { label: 'Arrow', icon: 'arrow_right_alt', color: '#0f172a' },
+  cable: { label: 'Cable run', icon: 'cable', color: '#d97706' },
+}
+const POINT_SHAPE_MIN_POINTS = { polygon: 3, arrow: 2, cable: 2 }
+// Shapes the Transformer may stretch along one axis; icons, text and groups keep their aspect ratio.
+const FREE_RESIZE_TYPES = new Set(['riser', 'rect', 'polygon', 'arrow', 'cable'])
+const MAX_NODE_TEXT_LENGTH = 2000
 
-  useFontLoaded('Material Symbols Outlined')
+function isShapeNode(node) {
+  return Boolean(SHAPE_TYPES[node?.type])
+}
 
-  const [selectedCategory, setSelectedCategory] = useState('')
-  const [selectedSection, setSelectedSection] = useState('')
+// Defaults are in meters, converted for plots measured in feet.
+function createShapeNode(type, x, y, unit) {
+  const f = unit === 'ft' ? FEET_PER_METER : 1
+  const len = (m) => roundTo(m * f, 3)
+  const base = { id: uid(), type, x, y, rotation: 0, label: '', locked: false, groupId: '', color: SHAPE_TYPES[type].color }
+  if (type === 'riser') return { ...base, width: len(2.4), depth: len(2.4), height: len(0.4) }
+  if (type === 'rect') return { ...base, width: len(3), depth: len(2) }
+  if (type === 'polygon') return { ...base, points: [0, -1, 1.2, 0.8, -1.2, 0.8].map(len) }
+  if (type === 'text') return { ...base, text: 'Text', fontSize: len(0.4), width: len(3) }
+  if (type === 'arrow') return { ...base, points: [-1, 0, 1, 0].map(len) }
+  return { ...base, points: [-2, 0, 0, 0.6, 2, 0].map(len) }
+}
 
-  const groupedAssets = useMemo(() => {
-    const normalizeLabel = (value, fallback) => {
-      const v = typeof value === 'string' ? value.trim() : ''
-      return v ? v : fallback
+// Stretches a primitive's geometry by (sx, sy); negative factors mirror point shapes.
+function resizeShape(node, sx, sy) {
+  if (Array.isArray(node.points)) {
+    return { ...node, points: node.points.map((v, i) => roundTo(v * (i % 2 ? sy : sx), 3)) }
+  }
+  if (node.type === 'text') {
+    return {
+      ...node,
+      width: roundTo((node.width || 0) * Math.abs(sx), 3),
+      fontSize: roundTo((node.fontSize || 0) * Math.abs(sy), 3),
     }
+  }
+  return {
+    ...node,
+    width: roundTo((node.width || 0) * Math.abs(sx), 3),
+    depth: roundTo((node.depth || 0) * Math.abs(sy), 3),
+  }
+}
 
-    const byCategory = new Map()
-    for (const asset of assets) {
-      const category = normalizeLabel(asset?.category, 'Uncategorized')
-      const section = normalizeLabel(asset?.section, 'General')
+// Footprint corners in world pixels relative to the node position, before rotation.
+function nodeOutline(node, unitPx) {
+  if (Array.isArray(node.points) && node.points.length) {
+    const corners = []
+    for (let i = 0; i + 1 < node.points.length; i += 2) corners.push([node.points[i] * unitPx, node.points[i + 1] * unitPx])
+    return corners
+  }
+  let halfW = 40 * (node.scale || 1)
+  let top = -halfW
+  let bottom = halfW
+  if (node.type === 'text') {
+    halfW = ((node.width || 0) * unitPx) / 2
+    top = 0
+    bottom = (node.fontSize || 0) * unitPx * String(node.text || '').split('\n').length
+  } else if (isShapeNode(node)) {
+    halfW = ((node.width || 0) * unitPx) / 2
+    top = (-(node.depth || 0) * unitPx) / 2
+    bottom = -top
+  }
+  return [
+    [-halfW, top],
+    [halfW, top],
+    [halfW, bottom],
+    [-halfW, bottom],
+  ]
+}
 
-      if (!byCategory.has(category)) byCategory.set(category, new Map())
-      const bySection = byCategory.get(category)
-      if (!bySection.has(section)) bySection.set(section, [])
-      bySection.get(section).push(asset)
-    }
+function createEmptyPlot() {
+  return { nodes: [], stage: { ...DEFAULT_STAGE }, groups: [], layers: [] }
+}
 
-    return [...byCategory.entries()]
-      .sort(([a], [b]) => a.localeCompare(b))
-      .map(([category, sectionsMap]) => ({
-        category,
-        sections: [...sectionsMap.entries()]
-          .sort(([a], [b]) => a.localeCompare(b))
-          .map(([section, items]) => ({
-            section,
-            items: items
-              .slice()
-              .sort((a, b) => String(a?.name || '').localeCompare(String(b?.name || ''))),
-          })),
-      }))
-  }, [assets])
+function createLayer(name) {
+  return { id: uid(), name, visible: true, locked: false, exported: true }
+}
 
-  const categories = useMemo(() => groupedAssets.map((g) => g.category), [groupedAssets])
-  const activeCategory = selectedCategory || categories[0] || ''
-  const activeGroup = useMemo(
-    () => groupedAssets.find((g) => g.category === activeCategory) || null,
-    [groupedAssets, activeCategory]
-  )
-  const sections = activeGroup?.sections || []
-  const activeSection = selectedSection || sections[0]?.section || ''
-  const activeSectionItems =
-    sections.find((s) => s.section === activeSection)?.items || []
+// Layers are listed bottom-most first.
+function normalizeLayers(layers) {
+  if (!Array.isArray(layers)) return []
+  return layers
+    .filter((l) => l && typeof l.id === 'string' && l.id)
+    .map((l) => ({
+      id: l.id,
+      name: String(l.name || ''),
+      visible: l.visible !== false,
+      locked: l.locked === true,
+      exported: l.exported !== false,
+    }))
+}
 
-  const [plotName, setPlotName] = useState('')
-  const [currentPlotId, setCurrentPlotId] = useState('')
-  const [plotPickerId, setPlotPickerId] = useState('')
-  const [savedPlots, setSavedPlots] = useState([])
+function normalizeGroups(groups) {
+  if (!Array.isArray(groups)) return []
+  return groups
+    .filter((g) => g && typeof g.id === 'string' && g.id)
+    .map((g) => ({ id: g.id, name: String(g.name || '') }))
+}
 
-  const [stageSize, setStageSize] = useState({ width: 900, height: 520 })
-  const [hasMeasuredStage, setHasMeasuredStage] = useState(false)
-  const [stageWrapDebug, setStageWrapDebug] = useState({
-    w: 0,
-    h: 0,
-    rectW: 0,
-    rectH: 0,
-    updates: 0,
+// Builds the editor's plot document from a server, draft or template payload.
+// Input channels are assigned per icon. Mirrors the validation in server.js.
+const MAX_CHANNEL_NUMBER = 999
+const MAX_NODE_INPUTS = 64
+// Profile fields that each input of a multi-input icon carries itself.
+const NODE_INPUT_FIELDS = ['mic', 'stand', 'notes', 'cables']
+
+function channelOf(node) {
+  const channel = node?.channel
+  return Number.isInteger(channel) && channel >= 1 && channel <= MAX_CHANNEL_NUMBER ? channel : null
+}
+
+// An icon's own input list, or null when its profile describes its single input.
+function nodeInputs(node) {
+  return Array.isArray(node?.inputs) && node.inputs.length ? node.inputs : null
+}
+
+// How many consecutive channels an icon occupies, starting at its channel number.
+function inputCountOf(node) {
+  return nodeInputs(node)?.length || 1
+}
+
+function hasFixedChannel(node) {
+  return Boolean(node?.channelLocked) && channelOf(node) !== null
+}
+
+// Numbered inputs first in channel order, then the unnumbered ones upstage to downstage, left to right.
+function compareChannelOrder(a, b) {
+  const ca = channelOf(a)
+  const cb = channelOf(b)
+  if (ca !== cb) return (ca ?? Infinity) - (cb ?? Infinity)
+  return (a.y || 0) - (b.y || 0) || (a.x || 0) - (b.x || 0)
+}
+
+// The channel after the highest one in use, or null when the range is exhausted.
+function nextChannelNumber(nodes) {
+  const held = channelsHeldBy(nodes)
+  const next = held.size ? Math.max(...held) + 1 : 1
+  return next <= MAX_CHANNEL_NUMBER ? next : null
+}
+
+// Every channel held by the given icons.
+function channelsHeldBy(nodes) {
+  const held = new Set()
+  for (const n of nodes) {
+    const channel = channelOf(n)
+    if (channel !== null) for (let i = 0; i < inputCountOf(n); i++) held.add(channel + i)
+  }
+  return held
+}
+
+// The first channel from `start` on with `count` free channels in a row, or null when none fit.
+function freeChannelRun(taken, start, count) {
+  for (let first = Math.max(1, start); first + count - 1 <= MAX_CHANNEL_NUMBER; first++) {
+    let fits = true
+    for (let i = 0; i < count && fits; i++) fits = !taken.has(first + i)
+    if (fits) return first
+  }
+  return null
+}
+
+// Numbers unlocked icons 1, 2, 3… by position, skipping the channels locked icons hold.
+function autoNumberChannels(nodes) {
+  const taken = channelsHeldBy(nodes.filter(hasFixedChannel))
+  const order = nodes
+    .filter((n) => n?.type === 'asset' && !hasFixedChannel(n))
+    .sort((a, b) => (a.y || 0) - (b.y || 0) || (a.x || 0) - (b.x || 0))
+  const channels = new Map()
+  let next = 1
+  for (const n of order) {
+    const channel = next === null ? null : freeChannelRun(taken, next, inputCountOf(n))
+    channels.set(n.id, channel)
+    next = channel === null ? null : channel + inputCountOf(n)
+  }
+  return nodes.map((n) => (channels.has(n.id) ? { ...n, channel: channels.get(n.id) } : n))
+}
+
+// Copied icons take fresh channels after the highest in use rather than doubling up on the originals.
+function withNextChannels(copies, nodes) {
+  let next = nextChannelNumber(nodes)
+  return copies.map((n) => {
+    if (channelOf(n) === null) return n
+    const count = inputCountOf(n)
+    const channel = next !== null && next + count - 1 <= MAX_CHANNEL_NUMBER ? next : null
+    next = channel === null ? null : channel + count
+    return { ...n, channel, channelLocked: false }
+  })
+}
+
+// "5" for one channel, "5–8" for a run of them.
+function formatChannelRange(channels) {
+  if (channels.length < 2) return channels.join('')
+  const sorted = [...channels].sort((a, b) => a - b)
+  const isRun = sorted.every((c, i) => c === sorted[0] + i)
+  return isRun ? `${sorted[0]}–${sorted[sorted.length - 1]}` : sorted.join(',')
+}
+
+function newNodeInput(fields = {}) {
+  return { id: uid(), name: '', mic: '', stand: '', notes: '', cables: '', ...fields }
+}
+
+function plotFromDocument(doc) {
+  return {
+    nodes: Array.isArray(doc?.state) ? doc.state : [],
+    stage: normalizeStage(doc?.stage),
+    groups: normalizeGroups(doc?.groups),
+    layers: normalizeLayers(doc?.layers),
+  }
+}
+
+// Runs `capture` with the given Konva nodes hidden, then shows them again.
+function withNodesHidden(konvaNodes, capture) {
+  const hidden = konvaNodes.filter((n) => n?.visible())
+  hidden.forEach((n) => n.visible(false))
+  try {
+    return capture()
+  } finally {
+    hidden.forEach((n) => n.visible(true))
+  }
+}
+
+function withoutEmptyGroups(plot) {
+  const used = new Set(plot.nodes.map((n) => n.groupId).filter(Boolean))
+  const groups = plot.groups.filter((g) => used.has(g.id))
+  return groups.length === plot.groups.length ? plot : { ...plot, groups }
+}
+
+// World-pixel box around a set of nodes. Icons count as their unrotated 80px square; primitives
+// count their rotated footprint.
+function nodeBounds(list, unitPx, dx = 0, dy = 0) {
+  if (!list.length) return null
+  let left = Infinity
+  let top = Infinity
+  let right = -Infinity
+  let bottom = -Infinity
+  for (const n of list) {
+    const rad = isShapeNode(n) ? ((n.rotation || 0) * Math.PI) / 180 : 0
+    const cos = Math.cos(rad)
+    const sin = Math.sin(rad)
+    for (const [px, py] of nodeOutline(n, unitPx)) {
+      const x = (n.x || 0) * unitPx + dx + px * cos - py * sin
+      const y = (n.y || 0) * unitPx + dy + px * sin + py * cos
+      left = Math.min(left, x)
+      top = Math.min(top, y)
+      right = Math.max(right, x)
+      bottom = Math.max(bottom, y)
+    }
+  }
+  return { left, top, right, bottom, centerX: (left + right) / 2, centerY: (top + bottom) / 2 }
+}
+
+function roundTo(value, digits) {
+  const f = 10 ** digits
+  return Math.round(value * f) / f
+}
+
+// Re-expresses the stage and every node position in another unit; the layout itself is unchanged.
+function convertPlotUnits(plot, unit) {
+  if (!STAGE_UNITS[unit] || plot.stage.unit === unit) return plot
+  const factor = unit === 'ft' ? FEET_PER_METER : 1 / FEET_PER_METER
+  return {
+    ...plot,
+    stage: {
+      ...plot.stage,
+      unit,
+      width: roundTo(plot.stage.width * factor, 2),
+      depth: roundTo(plot.stage.depth * factor, 2),
+      outlinePoints: (plot.stage.outlinePoints || []).map((v) => roundTo(v * factor, 3)),
+      apron: roundTo((plot.stage.apron || 0) * factor, 3),
+      wings: roundTo((plot.stage.wings || 0) * factor, 3),
+      foh: plot.stage.foh && { x: roundTo(plot.stage.foh.x * factor, 3), y: roundTo(plot.stage.foh.y * factor, 3) },
+      monitorWorld: plot.stage.monitorWorld && {
+        x: roundTo(plot.stage.monitorWorld.x * factor, 3),
+        y: roundTo(plot.stage.monitorWorld.y * factor, 3),
+      },
+      underlay: plot.stage.underlay && {
+        ...plot.stage.underlay,
+        x: roundTo(plot.stage.underlay.x * factor, 3),
+        y: roundTo(plot.stage.underlay.y * factor, 3),
+        width: roundTo(plot.stage.underlay.width * factor, 3),
+        height: roundTo(plot.stage.underlay.height * factor, 3),
+      },
+    },
+    nodes: plot.nodes.map((n) => {
+      const moved = { ...n, x: (n.x || 0) * factor, y: (n.y || 0) * factor }
+      if (!isShapeNode(n)) return moved
+      const resized = resizeShape(moved, factor, factor)
+      return Number.isFinite(n.height) ? { ...resized, height: roundTo(n.height * factor, 3) } : resized
+    }),
+  }
+}
+
+// Local drafts are best-effort: storage can be full, disabled or hold junk from older builds.
+function readDraft(key) {
+  try {
+    const raw = window.localStorage.getItem(key)
+    if (!raw) return null
+    const draft = JSON.parse(raw)
+    if (!draft || draft.version !== DRAFT_VERSION) return null
+    if (!Array.isArray(draft.state) || !Number.isFinite(draft.updatedAt)) return null
+    return draft
+  } catch {
+    return null
+  }
+}
+
+function writeDraft(key, draft) {
+  try {
+    window.localStorage.setItem(key, JSON.stringify(draft))
+  } catch {
+    // ignore
+  }
+}
+
+function clearDraft(key) {
+  try {
+    window.localStorage.removeItem(key)
+  } catch {
+    // ignore
+  }
+}
+
+const HISTORY_LIMIT_STORAGE_KEY = 'showplot:historyLimit'
+const HISTORY_LIMITS = [25, 50, 100, 200]
+const DEFAULT_HISTORY_LIMIT = 50
+const HISTORY_START_LABEL = 'Start'
+
+function readHistoryLimit() {
+  try {
+    const limit = Number(window.localStorage.getItem(HISTORY_LIMIT_STORAGE_KEY))
+    return HISTORY_LIMITS.includes(limit) ? limit : DEFAULT_HISTORY_LIMIT
+  } catch {
+    return DEFAULT_HISTORY_LIMIT
+  }
+}
+
+function writeHistoryLimit(limit) {
+  try {
+    window.localStorage.setItem(HISTORY_LIMIT_STORAGE_KEY, String(limit))
+  } catch {
+    // ignore
+  }
+}
+
+// A node as the server would store it, for comparison: keys sorted, Mongo subdocument ids dropped and the
+// empty values the schema fills in as defaults (groupId: '', blank profile fields) left out.
+function canonicalNode(value) {
+  if (Array.isArray(value)) return value.map(canonicalNode)
+  if (!value || typeof value !== 'object') return value
+  const out = {}
+  for (const key of Object.keys(value).sort()) {
+    if (key === '_id') continue
+    const v = canonicalNode(value[key])
+    if (v === undefined || v === null || v === '') continue
+    if (typeof v === 'object' && !Array.isArray(v) && !Object.keys(v).length) continue
+    out[key] = v
+  }
+  return out
+}
+
+function nodeSignature(node) {
+  return node ? JSON.stringify(canonicalNode(node)) : ''
+}
+
+// Three-way merge of node, group or layer lists by id. Changes made on only one side are applied;
+// when both sides changed (or one edited what the other deleted) "mine" wins.
+function mergeListChanges(base, mine, theirs) {
+  const toMap = (list) => new Map(list.map((n) => [n.id, n]))
+  const baseById = toMap(base)
+  const mineById = toMap(mine)
+  const theirsById = toMap(theirs)
+
+  const order = theirs.map((n) => n.id)
+  for (const n of mine) {
+    if (!theirsById.has(n.id)) order.push(n.id)
+  }
+
+  const merged = []
+  let conflicts = 0
+  for (const id of order) {
+    const b = baseById.get(id)
+    const m = mineById.get(id)
+    const t = theirsById.get(id)
+    const mineChanged = nodeSignature(b) !== nodeSignature(m)
+    const theirsChanged = nodeSignature(b) !== nodeSignature(t)
+
+    if (m && t) {
+      if (mineChanged && theirsChanged && nodeSignature(m) !== nodeSignature(t)) conflicts++
+      merged.push(mineChanged ? m : t)
+    } else if (m) {
+      // Theirs deleted it (or mine added it).
+      if (!b) merged.push(m)
+      else if (mineChanged) {
+        conflicts++
+        merged.push(m)
+      }
+    } else if (t) {
+      // Mine deleted it (or theirs added it).
+      if (!b) merged.push(t)
+      else if (theirsChanged) conflicts++
+    }
+  }
+
+  return { items: merged, conflicts }
+}
+
+// The same merge for a plot-level object such as the stage, field by field.
+function mergeFieldChanges(base, mine, theirs) {
+  const signature = (value) => JSON.stringify(canonicalNode(value)) ?? ''
+  const merged = {}
+  let conflicts = 0
+  for (const key of new Set([...Object.keys(mine), ...Object.keys(theirs)])) {
+    const b = signature(base[key])
+    const mineChanged = signature(mine[key]) !== b
+    const theirsChanged = signature(theirs[key]) !== b
+    if (mineChanged && theirsChanged && signature(mine[key]) !== signature(theirs[key])) conflicts++
+    merged[key] = mineChanged ? mine[key] : theirs[key]
+  }
+  return { value: merged, conflicts }
+}
+
+// Merges whole plot documents. Nodes whose group or layer did not survive the merge drop that reference.
+function mergePlotChanges(base, mine, theirs) {
+  const nodes = mergeListChanges(base.nodes, mine.nodes, theirs.nodes)
+  const groups = mergeListChanges(base.groups, mine.groups, theirs.groups)
+  const layers = mergeListChanges(base.layers, mine.layers, theirs.layers)
+  const stage = mergeFieldChanges(base.stage, mine.stage, theirs.stage)
+  const groupIds = new Set(groups.items.map((g) => g.id))
+  const layerIds = new Set(layers.items.map((l) => l.id))
+  const plot = withoutEmptyGroups({
+    nodes: nodes.items.map((n) => {
+      if (n.groupId && !groupIds.has(n.groupId)) n = { ...n, groupId: '' }
+      if (n.layerId && !layerIds.has(n.layerId)) n = { ...n, layerId: '' }
+      return n
+    }),
+    stage: stage.value,
+    groups: groups.items,
+    layers: layers.items,
+  })
+  return { plot, conflicts: nodes.conflicts + groups.conflicts + layers.conflicts + stage.conflicts }
+}
+
+function clamp(n, min, max) {
+  return Math.max(min, Math.min(max, n))
+}
+
+function uid() {
+  return Math.random().toString(16).slice(2) + Date.now().toString(16)
+}
+
+// Undo history is a list of snapshots, each labelled with the command that produced it; `index` is the one
+// on screen. A set carrying the same key as the latest entry (one pinch, drag or typed edit) replaces it.
+// A reset starts over from one snapshot, so undo never crosses into another plot.
+function historyReducer(state, action) {
+  switch (action.type) {
+    case 'set': {
+      const current = state.entries[state.index]
+      const next = typeof action.updater === 'function' ? action.updater(current.value) : action.updater
+      if (next === current.value) return state
+      const entry = { value: next, label: action.label || 'Edit', key: action.key || null }
+      const isLatest = state.index === state.entries.length - 1
+      if (entry.key && isLatest && current.key === entry.key) {
+        return { ...state, entries: [...state.entries.slice(0, -1), entry] }
+      }
+      const entries = [...state.entries.slice(0, state.index + 1), entry]
+      const drop = Math.max(0, entries.length - 1 - state.limit)
+      return { ...state, entries: entries.slice(drop), index: entries.length - 1 - drop }
+    }
+    case 'undo':
+      return state.index > 0 ? { ...state, index: state.index - 1 } : state
+    case 'redo':
+      return state.index < state.entries.length - 1 ? { ...state, index: state.index + 1 } : state
+    case 'jump': {
+      if (!Number.isInteger(action.index) || action.index < 0 || action.index >= state.entries.length) return state
+      return { ...state, index: action.index }
+    }
+    case 'reset': {
+      const entry = { value: action.value, label: action.label || HISTORY_START_LABEL, key: null }
+      return { ...state, entries: [entry], index: 0 }
+    }
+    case 'limit': {
+      const drop = Math.max(0, state.index - action.limit)
+      return { entries: state.entries.slice(drop), index: state.index - drop, limit: action.limit }
+    }
+    default:
+      return state
+  }
+}
+
+function useHistoryState(initialValue) {
+  const [state, dispatch] = useReducer(historyReducer, undefined, () => ({
+    entries: [{ value: initialValue, label: HISTORY_START_LABEL, key: null }],
+    index: 0,
+    limit: readHistoryLimit(),
+  }))
+
+  const set = useCallback((updater, label, key) => dispatch({ type: 'set', updater, label, key }), [])
+  const undo = useCallback(() => dispatch({ type: 'undo' }), [])
+  const redo = useCallback(() => dispatch({ type: 'redo' }), [])
+  const jumpTo = useCallback((index) => dispatch({ type: 'jump', index }), [])
+  const reset = useCallback((value, label) => dispatch({ type: 'reset', value, label }), [])
+  const setLimit = useCallback((limit) => {
+    writeHistoryLimit(limit)
+    dispatch({ type: 'limit', limit })
+  }, [])
+  const labels = useMemo(() => state.entries.map((e) => e.label), [state.entries])
+
+  return {
+    value: state.entries[state.index].value,
+    set,
+    undo,
+    redo,
+    jumpTo,
+    reset,
+    labels,
+    index: state.index,
+    limit: state.limit,
+    setLimit,
+    canUndo: state.index > 0,
+    canRedo: state.index < state.entries.length - 1,
+  }
+}
+
+function useFontLoaded(fontFamily) {
+  const [ready, setReady] = useState(false)
+  useEffect(() => {
+    let alive = true
+    const load = async () => {
+      try {
+        if (document?.fonts?.load) {
+          await document.fonts.load(`16px "${fontFamily}"`)
+          await document.fonts.ready
+        }
+      } catch {
+        // ignore
+      } finally {
+        if (alive) setReady(true)
+      }
+    }
+    load()
+    return () => {
+      alive = false
+    }
+  }, [fontFamily])
+  return ready
+}
+
+export default function StageBuilder() {
+  const auth = useAuth()
+  const stageRef = useRef(null)
+  const transformerRef = useRef(null)
+  const [stageWrapEl, setStageWrapEl] = useState(null)
+  const stageWrapRef = useCallback((node) => {
+    setStageWrapEl(node || null)
+  }, [])
+  const exportRef = useRef(null)
+  const importInputRef = useRef(null)
+  const menuRef = useRef(null)
+  const plotMenuRef = useRef(null)
+
+  const debugSizeEnabled =
+    import.meta.env.DEV &&
+    typeof window !== 'undefined' &&
+    new URLSearchParams(window.location.search).get('debugSize') === '1'
+
+  const [assets, setAssets] = useState([])
+
+  const [channelDefaultsByInstrument, setChannelDefaultsByInstrument] = useState(() => new Map())
+  // One undoable document per plot: the node list plus plot-level settings.
+  const plotHistory = useHistoryState(createEmptyPlot())
+  const plot = plotHistory.value
+  const nodes = plot.nodes
+  const stageSettings = plot.stage
+  const groups = plot.groups
+  const groupsById = useMemo(() => new Map(groups.map((g) => [g.id, g])), [groups])
+  const groupMemberIds = useMemo(() => {
+    const map = new Map()
+    for (const n of nodes) {
+      if (!n.groupId || !groupsById.has(n.groupId)) continue
+      if (!map.has(n.groupId)) map.set(n.groupId, [])
+      map.get(n.groupId).push(n.id)
+    }
+    return map
+  }, [nodes, groupsById])
+  const layers = plot.layers
+  const layersById = useMemo(() => new Map(layers.map((l) => [l.id, l])), [layers])
+  // Nodes on hidden or locked layers can't be picked; nodes on no (or a missing) layer always can.
+  const selectableNodes = useMemo(
+    () =>
+      nodes.filter((n) => {
+        const layer = layersById.get(n.layerId)
+        return !layer || (layer.visible && !layer.locked)
+      }),
+    [nodes, layersById]
+  )
+  // New nodes land on the active layer while it's visible and unlocked.
+  const [activeLayerId, setActiveLayerId] = useState('')
+  const activeLayer = layersById.get(activeLayerId)
+  const drawLayerId = activeLayer && activeLayer.visible && !activeLayer.locked ? activeLayer.id : ''
+  // A group that has been "entered" exposes its members for individual editing.
+  const [enteredGroupId, setEnteredGroupId] = useState(null)
+  const [groupChannelList, setGroupChannelList] = useState(false)
+  const setPlot = plotHistory.set
+  // Every edit names itself for the undo history; edits sharing a key merge into one entry.
+  const setNodes = useCallback(
+    (updater, label, key) =>
+      setPlot(
+        (prev) => {
+          const next = typeof updater === 'function' ? updater(prev.nodes) : updater
+          return next === prev.nodes ? prev : { ...prev, nodes: next }
+        },
+        label,
+        key
+      ),
+    [setPlot]
+  )
+  const setStageSettings = useCallback(
+    (patch, label = stageChangeLabel(patch)) =>
+      setPlot((prev) => {
+        const withUnit = patch.unit ? convertPlotUnits(prev, patch.unit) : prev
+        return { ...withUnit, stage: normalizeStage({ ...withUnit.stage, ...patch, unit: withUnit.stage.unit }) }
+      }, label),
+    [setPlot]
+  )
+  const [isEditingOutline, setIsEditingOutline] = useState(false)
+  const moveStageMarker = (key, x, y) => {
+    setStageSettings({ [key]: { x: roundTo(x, 3), y: roundTo(y, 3) } })
+  }
+  // Selection order matters: the last id is the primary node that carries the action overlay.
+  const [selectedIds, setSelectedIds] = useState([])
+
+  // The plot document last known to match the server copy; any other object means unsaved edits.
+  const [baselinePlot, setBaselinePlot] = useState(plot)
+  const isDirty = plot !== baselinePlot
+  const [saveStatus, setSaveStatus] = useState('idle')
+  // Server revision the canvas is based on; sent with every save for conflict detection.
+  const [currentRevision, setCurrentRevision] = useState(0)
+  const [saveConflict, setSaveConflict] = useState(null)
+  const [recoverableDraft, setRecoverableDraft] = useState(null)
+  const isSavingRef = useRef(false)
+  // In-flight autosave; resolves to the revision it created, or null when it failed.
+  const autosaveRequestRef = useRef(null)
+
+  useFontLoaded('Material Symbols Outlined')
+
+  const [selectedCategory, setSelectedCategory] = useState('')
+  const [selectedSection, setSelectedSection] = useState('')
+
+  const groupedAssets = useMemo(() => {
+    const normalizeLabel = (value, fallback) => {
+      const v = typeof value === 'string' ? value.trim() : ''
+      return v ? v : fallback
+    }
+
+    const byCategory = new Map()
+    for (const asset of assets) {
+      const category = normalizeLabel(asset?.category, 'Uncategorized')
+      const section = normalizeLabel(asset?.section, 'General')
+
+      if (!byCategory.has(category)) byCategory.set(category, new Map())
+      const bySection = byCategory.get(category)
+      if (!bySection.has(section)) bySection.set(section, [])
+      bySection.get(section).push(asset)
+    }
+
+    return [...byCategory.entries()]
+      .sort(([a], [b]) => a.localeCompare(b))
+      .map(([category, sectionsMap]) => ({
+        category,
+        sections: [...sectionsMap.entries()]
+          .sort(([a], [b]) => a.localeCompare(b))
+          .map(([section, items]) => ({
+            section,
+            items: items
+              .slice()
+              .sort((a, b) => String(a?.name || '').localeCompare(String(b?.name || ''))),
+          })),
+      }))
+  }, [assets])
+
+  const categories = useMemo(() => groupedAssets.map((g) => g.category), [groupedAssets])
+  const activeCategory = selectedCategory || categories[0] || ''
+  const activeGroup = useMemo(
+    () => groupedAssets.find((g) => g.category === activeCategory) || null,
+    [groupedAssets, activeCategory]
+  )
+  const sections = activeGroup?.sections || []
+  const activeSection = selectedSection || sections[0]?.section || ''
+  const activeSectionItems =
+    sections.find((s) => s.section === activeSection)?.items || []
+
+  const [plotName, setPlotName] = useState('')
+  const [currentPlotId, setCurrentPlotId] = useState('')
+  const [plotPickerId, setPlotPickerId] = useState('')
+  const [savedPlots, setSavedPlots] = useState([])
+  const [isHistoryOpen, setIsHistoryOpen] = useState(false)
+  const [plotVersions, setPlotVersions] = useState([])
+  const [hasMorePlotVersions, setHasMorePlotVersions] = useState(false)
+  const [isVersionsLoading, setIsVersionsLoading] = useState(false)
+  const [previewRevision, setPreviewRevision] = useState(null)
+  const [isTrashOpen, setIsTrashOpen] = useState(false)
+  const [trashedPlots, setTrashedPlots] = useState([])
+  const [isTemplateGalleryOpen, setIsTemplateGalleryOpen] = useState(false)
+  const [isShortcutsOpen, setIsShortcutsOpen] = useState(false)
+  const [isSnapEnabled, setIsSnapEnabled] = useState(true)
+  // Alt bypasses snapping while held; Shift coarsens rotation snaps.
+  const [heldModifiers, setHeldModifiers] = useState({ alt: false, shift: false })
+  const isSnapActive = isSnapEnabled && !heldModifiers.alt
+  const [snapGuides, setSnapGuides] = useState([])
+  const [templates, setTemplates] = useState([])
+  const [isTemplatesLoading, setIsTemplatesLoading] = useState(false)
+
+  const [stageSize, setStageSize] = useState({ width: 900, height: 520 })
+  const [hasMeasuredStage, setHasMeasuredStage] = useState(false)
+  const [stageWrapDebug, setStageWrapDebug] = useState({
+    w: 0,
+    h: 0,
+    rectW: 0,
+    rectH: 0,
+    updates: 0,
   })
   const [isSheetOpen, setIsSheetOpen] = useState(false)
+  // Below xl the inspector is a bottom sheet instead of a side column.
+  const [isInspectorOpen, setIsInspectorOpen] = useState(false)
   const [isListOpen, setIsListOpen] = useState(false)
   const [error, setError] = useState('')
   const [isBusy, setIsBusy] = useState(false)
@@ -303,15 +1323,23 @@ export default function StageBuilder() {
   const mobileDragRef = useRef(null)
   const [mobileDragPreview, setMobileDragPreview] = useState(null)
 
+  const selectedIdSet = useMemo(() => new Set(selectedIds), [selectedIds])
+  const primarySelectedId = selectedIds.length ? selectedIds[selectedIds.length - 1] : null
   const selectedNode = useMemo(
-    () => nodes.find((n) => n.id === selectedId) || null,
-    [nodes, selectedId]
+    () => nodes.find((n) => n.id === primarySelectedId) || null,
+    [nodes, primarySelectedId]
   )
 
   useEffect(() => {
-    if (!selectedId) return
-    if (!nodes.some((n) => n.id === selectedId)) setSelectedId(null)
-  }, [nodes, selectedId])
+    if (enteredGroupId && !groupMemberIds.has(enteredGroupId)) setEnteredGroupId(null)
+  }, [enteredGroupId, groupMemberIds])
+
+  useEffect(() => {
+    if (!selectedIds.length) return
+    const existing = new Set(nodes.map((n) => n.id))
+    if (selectedIds.every((id) => existing.has(id))) return
+    setSelectedIds((prev) => prev.filter((id) => existing.has(id)))
+  }, [nodes, selectedIds])
 
   useEffect(() => {
     let alive = true
@@ -398,21 +1426,228 @@ export default function StageBuilder() {
     refreshSavedPlots().catch((e) => setError(String(e?.message || e)))
   }, [auth.user, refreshSavedPlots])
 
-  const assetsById = useMemo(() => {
-    const map = new Map()
-    for (const a of assets) {
-      if (a?._id) map.set(a._id, a)
+  const draftKey = auth.user?._id ? `${DRAFT_STORAGE_PREFIX}${auth.user._id}` : ''
+
+  useEffect(() => {
+    if (!draftKey || !isDirty || previewRevision) return
+    writeDraft(draftKey, {
+      version: DRAFT_VERSION,
+      schemaVersion: PLOT_SCHEMA_VERSION,
+      plotId: currentPlotId,
+      baseRevision: currentRevision,
+      name: plotName,
+      state: plot.nodes,
+      stage: plot.stage,
+      groups: plot.groups,
+      layers: plot.layers,
+      updatedAt: Date.now(),
+    })
+  }, [draftKey, isDirty, plot, baselinePlot, plotName, currentPlotId, currentRevision, previewRevision])
+
+  // Offer a draft left behind by a crash or expired session, unless the plot was saved again since the
+  // revision the draft was edited from. Revisions rather than timestamps, so clock skew doesn't matter.
+  useEffect(() => {
+    if (!draftKey) return
+    const draft = readDraft(draftKey)
+    if (!draft) return
+
+    let alive = true
+    const check = async () => {
+      if (draft.plotId) {
+        try {
+          const server = await API.getPlot(draft.plotId)
+          const baseRevision = Number.isInteger(draft.baseRevision) ? draft.baseRevision : 0
+          if ((Number(server?.revision) || 0) > baseRevision) {
+            clearDraft(draftKey)
+            return
+          }
+        } catch {
+          // offline or plot gone; still offer the draft
+        }
+      }
+      if (alive) setRecoverableDraft(draft)
     }
-    return map
-  }, [assets])
+    check()
+    return () => {
+      alive = false
+    }
+  }, [draftKey])
+
+  const recoverDraft = () => {
+    const draft = recoverableDraft
+    if (!draft) return
+    const recovered = plotFromDocument(draft)
+    // Drafts written before channels were stored get the numbering the server migration gives saved plots.
+    if ((Number(draft.schemaVersion) || 0) < 3) recovered.nodes = autoNumberChannels(recovered.nodes)
+    plotHistory.reset(recovered, 'Recover draft')
+    setSelectedIds([])
+    setPreviewRevision(null)
+    setCurrentPlotId(draft.plotId || '')
+    setCurrentRevision(Number.isInteger(draft.baseRevision) ? draft.baseRevision : 0)
+    setPlotPickerId(draft.plotId || '')
+    setPlotName(String(draft.name || ''))
+    setRecoverableDraft(null)
+  }
 
-  const visualInputRows = useMemo(() => {
-    const rows = nodes
-      .filter((n) => n?.type === 'asset')
-      .map((n) => {
-        const asset = assetsById.get(n.assetId)
+  const discardDraft = () => {
+    if (draftKey) clearDraft(draftKey)
+    setRecoverableDraft(null)
+  }
+
+  const autosavePlot = useCallback(async () => {
+    if (!auth.user || !currentPlotId || isSavingRef.current || autosaveRequestRef.current) return
+    const sent = plot
+    setSaveStatus('saving')
+    const request = (async () => {
+      const saved = await API.savePlot({
+        plotId: currentPlotId,
+        baseRevision: currentRevision,
+        name: (plotName || '').trim() || 'Untitled',
+        state: sent.nodes,
+        stage: sent.stage,
+        groups: sent.groups,
+        layers: sent.layers,
+        autosave: true,
+      })
+      const revision = Number(saved?.revision) || 0
+      setBaselinePlot(sent)
+      setCurrentRevision(revision)
+      if (draftKey) clearDraft(draftKey)
+      setSaveStatus('saved')
+      return revision
+    })().catch((e) => {
+      setSaveStatus('error')
+      if (e?.status === 409 && e.current) {
+        setSaveConflict({ mine: sent, theirs: e.current })
+      } else {
+        setError(`Autosave failed: ${String(e?.message || e)}. Your changes are kept on this device.`)
+      }
+      return null
+    })
+    autosaveRequestRef.current = request
+    try {
+      await request
+    } finally {
+      autosaveRequestRef.current = null
+    }
+  }, [auth.user, currentPlotId, currentRevision, plot, plotName, draftKey])
+
+  useEffect(() => {
+    if (!isDirty || !currentPlotId || previewRevision || saveConflict) return
+    const t = window.setTimeout(autosavePlot, AUTOSAVE_DELAY_MS)
+    return () => window.clearTimeout(t)
+  }, [isDirty, currentPlotId, previewRevision, saveConflict, baselinePlot, autosavePlot])
+
+  const conflictMerge = useMemo(() => {
+    if (!saveConflict) return null
+    return mergePlotChanges(baselinePlot, plot, plotFromDocument(saveConflict.theirs))
+  }, [saveConflict, baselinePlot, plot])
+
+  // Every resolution rebases the canvas on the server copy; the result is then saved by autosave.
+  const resolveSaveConflict = (choice) => {
+    const theirs = saveConflict?.theirs
+    if (!theirs) return
+    const theirsPlot = plotFromDocument(theirs)
+
+    setCurrentRevision(Number(theirs.revision) || 0)
+    setBaselinePlot(theirsPlot)
+    if (choice === 'theirs') {
+      plotHistory.set(theirsPlot, 'Take saved version')
+      setPlotName(String(theirs.name || 'Untitled'))
+      if (draftKey) clearDraft(draftKey)
+      setSaveStatus('idle')
+    } else if (choice === 'merge') {
+      setPlot(conflictMerge?.plot || plot, 'Merge saved changes')
+    }
+    setSelectedIds([])
+    setSaveConflict(null)
+    setError('')
+  }
+
+  const refreshTemplates = useCallback(async () => {
+    if (!auth.user) return
+    setIsTemplatesLoading(true)
+    try {
+      const list = await API.listTemplates()
+      setTemplates(Array.isArray(list) ? list : [])
+    } finally {
+      setIsTemplatesLoading(false)
+    }
+  }, [auth.user])
+
+  useEffect(() => {
+    if (!isTemplateGalleryOpen) return
+    refreshTemplates().catch((e) => setError(String(e?.message || e)))
+  }, [isTemplateGalleryOpen, refreshTemplates])
+
+  const refreshTrashedPlots = useCallback(async () => {
+    if (!auth.user) return
+    const list = await API.listTrashedPlots()
+    setTrashedPlots(Array.isArray(list) ? list : [])
+  }, [auth.user])
+
+  useEffect(() => {
+    if (!isTrashOpen) return
+    refreshTrashedPlots().catch((e) => setError(String(e?.message || e)))
+  }, [isTrashOpen, refreshTrashedPlots])
+
+  const refreshPlotVersions = useCallback(async () => {
+    if (!auth.user || !currentPlotId) {
+      setPlotVersions([])
+      setHasMorePlotVersions(false)
+      return
+    }
+    setIsVersionsLoading(true)
+    try {
+      const page = await API.listPlotVersions(currentPlotId)
+      setPlotVersions(Array.isArray(page?.versions) ? page.versions : [])
+      setHasMorePlotVersions(Boolean(page?.hasMore))
+    } finally {
+      setIsVersionsLoading(false)
+    }
+  }, [auth.user, currentPlotId])
+
+  const loadOlderPlotVersions = async () => {
+    const oldest = plotVersions[plotVersions.length - 1]
+    if (!currentPlotId || !oldest) return
+    setIsVersionsLoading(true)
+    try {
+      const page = await API.listPlotVersions(currentPlotId, oldest.revision)
+      setPlotVersions((prev) => [...prev, ...(Array.isArray(page?.versions) ? page.versions : [])])
+      setHasMorePlotVersions(Boolean(page?.hasMore))
+    } catch (e) {
+      setError(String(e?.message || e))
+    } finally {
+      setIsVersionsLoading(false)
+    }
+  }
+
+  useEffect(() => {
+    if (!isHistoryOpen) return
+    refreshPlotVersions().catch((e) => setError(String(e?.message || e)))
+  }, [isHistoryOpen, refreshPlotVersions])
+
+  const assetsById = useMemo(() => {
+    const map = new Map()
+    for (const a of assets) {
+      if (a?._id) map.set(a._id, a)
+    }
+    return map
+  }, [assets])
+
+  const visualInputRows = useMemo(() => {
+    const rows = nodes
+      .filter((n) => n?.type === 'asset')
+      .sort(compareChannelOrder)
+      .flatMap((n) => {
+        const asset = assetsById.get(n.assetId)
         const profile = n.profile && typeof n.profile === 'object' ? n.profile : {}
-        return {
+        const group = n.groupId ? groupsById.get(n.groupId) : null
+        const channel = channelOf(n)
+        const row = {
+          nodeId: n.id,
+          groupId: group ? group.id : '',
+          group: group ? group.name : '',
           assetId: n.assetId,
           item: asset?.name || 'Unknown',
           category: asset?.category || '',
@@ -423,25 +1658,87 @@ export default function StageBuilder() {
           rotation: Number.isFinite(n.rotation) ? n.rotation : 0,
           scale: Number.isFinite(n.scale) ? n.scale : 1,
           locked: Boolean(n.locked),
+          channel,
+          channelLocked: hasFixedChannel(n),
+          inputId: '',
+          inputIndex: 0,
+          inputCount: 1,
           instrument: String(profile.instrument || asset?.name || ''),
+          profileInstrument: String(profile.instrument || ''),
+          defaultInstrument: asset?.name || '',
           mic: String(profile.mic || ''),
           stand: String(profile.stand || ''),
           notes: String(profile.notes || ''),
           cables: String(profile.cables || ''),
         }
+        const inputs = nodeInputs(n)
+        if (!inputs) return [row]
+        // One row per input on consecutive channels; unnamed inputs are numbered after the instrument.
+        return inputs.map((input, i) => ({
+          ...row,
+          channel: channel === null ? null : channel + i,
+          inputId: input.id,
+          inputIndex: i,
+          inputCount: inputs.length,
+          instrument: String(input.name || `${row.instrument} ${i + 1}`),
+          profileInstrument: String(input.name || ''),
+          defaultInstrument: `${row.instrument} ${i + 1}`,
+          mic: String(input.mic || ''),
+          stand: String(input.stand || ''),
+          notes: String(input.notes || ''),
+          cables: String(input.cables || ''),
+        }))
       })
-      .sort((a, b) => (a.y - b.y) || (a.x - b.x))
-      .map((r, idx) => ({
-        order: idx + 1,
-        ...r,
-        x: Math.round(r.x),
-        y: Math.round(r.y),
-        rotation: Math.round(r.rotation),
-        scale: Math.round(r.scale * 100) / 100,
-      }))
 
-    return rows
-  }, [nodes, assetsById])
+    const uses = new Map()
+    for (const r of rows) if (r.channel !== null) uses.set(r.channel, (uses.get(r.channel) || 0) + 1)
+
+    // Numbers are settled before grouping, which only moves rows under their group's sub-heading.
+    const numbered = rows.map((r) => ({
+      order: r.channel ?? '',
+      duplicateChannel: uses.get(r.channel) > 1,
+      ...r,
+      x: roundTo(r.x, 2),
+      y: roundTo(r.y, 2),
+      rotation: Math.round(r.rotation),
+      scale: Math.round(r.scale * 100) / 100,
+    }))
+
+    if (groupChannelList) {
+      // Keep rows of a group together, groups ordered by their lowest channel; ungrouped rows last.
+      const rank = new Map()
+      for (const r of numbered) if (r.groupId && !rank.has(r.groupId)) rank.set(r.groupId, rank.size)
+      const rankOf = (r) => (r.groupId ? rank.get(r.groupId) : rank.size)
+      numbered.sort((a, b) => rankOf(a) - rankOf(b))
+    }
+    return numbered
+  }, [nodes, assetsById, groupsById, groupChannelList])
+
+  const channelNumbersByNode = useMemo(() => {
+    const map = new Map()
+    for (const r of visualInputRows) {
+      if (r.channel !== null) map.set(r.nodeId, [...(map.get(r.nodeId) || []), r.channel])
+    }
+    return map
+  }, [visualInputRows])
+
+  // Selecting an icon brings its Channel List row into view.
+  const channelListRef = useRef(null)
+  const mobileChannelListRef = useRef(null)
+  useEffect(() => {
+    if (!primarySelectedId) return
+    const selector = `tr[data-node-id="${CSS.escape(primarySelectedId)}"]`
+    const container = channelListRef.current
+    const row = container?.querySelector(selector)
+    if (row) {
+      // Scroll the table only; scrollIntoView would also move the page.
+      const box = container.getBoundingClientRect()
+      const rowBox = row.getBoundingClientRect()
+      if (rowBox.top < box.top) container.scrollTop -= box.top - rowBox.top
+      else if (rowBox.bottom > box.bottom) container.scrollTop += rowBox.bottom - box.bottom
+    }
+    if (isListOpen) mobileChannelListRef.current?.querySelector(selector)?.scrollIntoView({ block: 'center' })
+  }, [primarySelectedId, isListOpen])
 
   const downloadBlob = (filename, blob) => {
     const url = URL.createObjectURL(blob)
@@ -505,18 +1802,190 @@ export default function StageBuilder() {
     return { left, top, right, bottom }
   }, [stageWrapEl])
 
+  const displayStage = previewRevision?.stage || stageSettings
+  const unitInfo = STAGE_UNITS[displayStage.unit] || STAGE_UNITS.m
+  const unitPx = unitInfo.pxPerUnit
+  const worldWidth = displayStage.width * unitPx
+  const worldHeight = displayStage.depth * unitPx
+  const worldBox = useMemo(() => stageWorldBox(displayStage, unitPx), [displayStage, unitPx])
+
+  // Fits the whole stage area, surround and markers included, into the viewport, centred.
+  const fitView = useMemo(() => {
+    const availW = Math.max(1, stageSize.width - STAGE_VIEW_PADDING * 2)
+    const availH = Math.max(1, stageSize.height - STAGE_VIEW_PADDING * 2)
+    const scale = Math.max(0.01, Math.min(availW / worldBox.width, availH / worldBox.height))
+    return {
+      scale,
+      x: (stageSize.width - worldBox.width * scale) / 2 - worldBox.x * scale,
+      y: (stageSize.height - worldBox.height * scale) / 2 - worldBox.y * scale,
+    }
+  }, [stageSize, worldBox])
+
+  // An explicit {scale, x, y} once the user zooms or pans; null follows the fit view. A different
+  // stage size (another plot, edited dimensions) drops back to fit.
+  const [viewport, setViewport] = useState(null)
+  const [viewportWorld, setViewportWorld] = useState({ width: worldWidth, height: worldHeight })
+  if (viewportWorld.width !== worldWidth || viewportWorld.height !== worldHeight) {
+    setViewportWorld({ width: worldWidth, height: worldHeight })
+    setViewport(null)
+  }
+  const stageView = viewport || fitView
+  const zoomLevel = stageView.scale / fitView.scale
+
+  // Zooms by `factor` keeping the world point under the container point (px, py) fixed.
+  const zoomAt = useCallback(
+    (factor, px, py) => {
+      setViewport((prev) => {
+        const view = prev || fitView
+        const scale = clamp(view.scale * factor, fitView.scale * MIN_ZOOM, fitView.scale * MAX_ZOOM)
+        const worldX = (px - view.x) / view.scale
+        const worldY = (py - view.y) / view.scale
+        return { scale, x: px - worldX * scale, y: py - worldY * scale }
+      })
+    },
+    [fitView]
+  )
+
+  const scaleBar = useMemo(() => {
+    const pxPerUnitOnScreen = unitPx * stageView.scale
+    const steps = [1, 2, 5, 10, 20, 50].map((m) => m * unitInfo.gridStep)
+    const units = steps.find((u) => u * pxPerUnitOnScreen >= 60) || steps[steps.length - 1]
+    return { units, px: units * pxPerUnitOnScreen }
+  }, [unitPx, unitInfo.gridStep, stageView.scale])
+
+  // Client coordinates -> stage units, or null when the point is outside the canvas.
+  const clientToStagePoint = useCallback(
+    (clientX, clientY) => {
+      const content = getStageContentRect()
+      if (!content) return null
+      const inStage =
+        clientX >= content.left && clientX <= content.right && clientY >= content.top && clientY <= content.bottom
+      if (!inStage) return null
+      const worldX = (clientX - content.left - stageView.x) / stageView.scale
+      const worldY = (clientY - content.top - stageView.y) / stageView.scale
+      return { x: worldX / unitPx, y: worldY / unitPx }
+    },
+    [getStageContentRect, stageView, unitPx]
+  )
+
+  const zoomToSelection = () => {
+    const box = nodeBounds(nodes.filter((n) => selectedIdSet.has(n.id)), unitPx)
+    if (!box) return
+    const availW = Math.max(1, stageSize.width - STAGE_VIEW_PADDING * 4)
+    const availH = Math.max(1, stageSize.height - STAGE_VIEW_PADDING * 4)
+    const scale = clamp(
+      Math.min(availW / (box.right - box.left), availH / (box.bottom - box.top)),
+      fitView.scale * MIN_ZOOM,
+      fitView.scale * MAX_ZOOM
+    )
+    setViewport({
+      scale,
+      x: stageSize.width / 2 - box.centerX * scale,
+      y: stageSize.height / 2 - box.centerY * scale,
+    })
+  }
+
+  // Recentres the view on a world point, e.g. from the minimap.
+  const centerViewOn = (worldX, worldY) => {
+    setViewport((prev) => {
+      const view = prev || fitView
+      return { ...view, x: stageSize.width / 2 - worldX * view.scale, y: stageSize.height / 2 - worldY * view.scale }
+    })
+  }
+
+  // Wheel zooms around the cursor with nothing selected (or with Ctrl/Cmd, which trackpad pinches
+  // send); otherwise it pans.
+  const onStageWheel = (e) => {
+    e.evt.preventDefault()
+    const stage = e.target.getStage()
+    const pointer = stage?.getPointerPosition()
+    if (!pointer) return
+    if (!selectedIds.length || e.evt.ctrlKey || e.evt.metaKey) {
+      zoomAt(e.evt.deltaY < 0 ? WHEEL_ZOOM_STEP : 1 / WHEEL_ZOOM_STEP, pointer.x, pointer.y)
+      return
+    }
+    setViewport((prev) => {
+      const view = prev || fitView
+      return { ...view, x: view.x - e.evt.deltaX, y: view.y - e.evt.deltaY }
+    })
+  }
+
+  // Space-drag or middle-button drag pans the view.
+  const [isSpaceDown, setIsSpaceDown] = useState(false)
+  const [panDrag, setPanDrag] = useState(null)
+
+  useEffect(() => {
+    if (!panDrag) return
+    const onMove = (ev) => {
+      setViewport({
+        ...panDrag.view,
+        x: panDrag.view.x + ev.clientX - panDrag.clientX,
+        y: panDrag.view.y + ev.clientY - panDrag.clientY,
+      })
+    }
+    const onUp = () => setPanDrag(null)
+    window.addEventListener('mousemove', onMove)
+    window.addEventListener('mouseup', onUp)
+    return () => {
+      window.removeEventListener('mousemove', onMove)
+      window.removeEventListener('mouseup', onUp)
+    }
+  }, [panDrag])
+
+  useEffect(() => {
+    const onKeyDown = (e) => {
+      // Only when nothing has focus, so Space still presses focused buttons.
+      if (e.key !== ' ' || (e.target !== document.body && e.target !== document.documentElement)) return
+      e.preventDefault()
+      setIsSpaceDown(true)
+    }
+    const onKeyUp = (e) => {
+      if (e.key === ' ') setIsSpaceDown(false)
+    }
+    const onBlur = () => setIsSpaceDown(false)
+    window.addEventListener('keydown', onKeyDown)
+    window.addEventListener('keyup', onKeyUp)
+    window.addEventListener('blur', onBlur)
+    return () => {
+      window.removeEventListener('keydown', onKeyDown)
+      window.removeEventListener('keyup', onKeyUp)
+      window.removeEventListener('blur', onBlur)
+    }
+  }, [])
+
   useEffect(() => {
     const transformer = transformerRef.current
     const stage = stageRef.current
     if (!transformer || !stage) return
 
-    const selected =
-      selectedId && !selectedNode?.locked ? stage.findOne(`#node-${selectedId}`) : null
-    transformer.nodes(selected ? [selected] : [])
+    // Closed groups transform as one Konva Group; a group with a locked member stays put.
+    const attached = []
+    const seenGroups = new Set()
+    for (const n of nodes) {
+      if (!selectedIdSet.has(n.id) || n.locked) continue
+      const groupId = groupMemberIds.has(n.groupId) && n.groupId !== enteredGroupId ? n.groupId : null
+      if (!groupId) {
+        attached.push(stage.findOne(`#node-${n.id}`))
+        continue
+      }
+      if (seenGroups.has(groupId)) continue
+      seenGroups.add(groupId)
+      if (nodes.some((m) => m.groupId === groupId && m.locked)) continue
+      attached.push(stage.findOne(`#group-${groupId}`))
+    }
+    transformer.nodes(attached.filter(Boolean))
     transformer.getLayer()?.batchDraw()
-  }, [selectedId, nodes, selectedNode?.locked])
+  }, [selectedIdSet, nodes, groupMemberIds, enteredGroupId])
 
   const addNodeAt = useCallback((asset, x, y) => {
+    // The stage is read-only while an old revision is on screen.
+    if (previewRevision) return
+
+    if (isSnapActive) {
+      x = roundTo(Math.round(x / unitInfo.gridStep) * unitInfo.gridStep, 3)
+      y = roundTo(Math.round(y / unitInfo.gridStep) * unitInfo.gridStep, 3)
+    }
+
     const getDefaultProfile = (a) => {
       const nameKey = normalizeKey(a?.name)
 
@@ -566,323 +2035,1112 @@ export default function StageBuilder() {
         label: '',
         flipX: false,
         locked: false,
+        layerId: drawLayerId,
         profile: getDefaultProfile(asset),
+        channel: nextChannelNumber(prev),
       },
-    ])
-    setSelectedId(id)
-  }, [setNodes, channelDefaultsByInstrument])
-
-  const deleteNode = (nodeId) => {
-    setNodes((prev) => prev.filter((n) => n.id !== nodeId))
-    setSelectedId((prev) => (prev === nodeId ? null : prev))
+    ], `Add ${asset?.name || 'icon'}`)
+    setSelectedIds([id])
+  }, [setNodes, channelDefaultsByInstrument, previewRevision, isSnapActive, unitInfo.gridStep, drawLayerId])
+
+  const selectNode = (nodeId, e) => {
+    const node = nodes.find((n) => n.id === nodeId)
+    const groupId = groupMemberIds.has(node?.groupId) ? node.groupId : null
+    if (groupId !== enteredGroupId) setEnteredGroupId(null)
+    // Outside an entered group a click picks the whole group; the clicked node stays primary.
+    const ids =
+      groupId && groupId !== enteredGroupId
+        ? [...groupMemberIds.get(groupId).filter((id) => id !== nodeId), nodeId]
+        : [nodeId]
+    const evt = e?.evt
+    if (evt?.shiftKey || evt?.ctrlKey || evt?.metaKey) {
+      setSelectedIds((prev) =>
+        ids.every((id) => prev.includes(id))
+          ? prev.filter((id) => !ids.includes(id))
+          : [...prev.filter((id) => !ids.includes(id)), ...ids]
+      )
+    } else {
+      setSelectedIds(ids)
+    }
   }
 
-  const rotateNode = (nodeId, deltaDeg) => {
-    setNodes((prev) =>
-      prev.map((n) => (n.id === nodeId ? { ...n, rotation: (n.rotation || 0) + deltaDeg } : n))
-    )
+  const enterGroup = (nodeId) => {
+    const node = nodes.find((n) => n.id === nodeId)
+    if (!groupMemberIds.has(node?.groupId)) return
+    setEnteredGroupId(node.groupId)
+    setSelectedIds([nodeId])
   }
 
-  const scaleNode = (nodeId, factor) => {
-    setNodes((prev) =>
-      prev.map((n) =>
-        n.id === nodeId
-          ? { ...n, scale: clamp((n.scale || 1) * factor, 0.25, 4) }
-          : n
-      )
+  // Groups touched by the current selection.
+  const selectedGroupIds = useMemo(() => {
+    const ids = new Set()
+    for (const n of nodes) if (selectedIdSet.has(n.id) && groupMemberIds.has(n.groupId)) ids.add(n.groupId)
+    return ids
+  }, [nodes, selectedIdSet, groupMemberIds])
+
+  // The group the selection consists of exactly, if any.
+  const selectedGroup = useMemo(() => {
+    if (selectedGroupIds.size !== 1) return null
+    const [groupId] = selectedGroupIds
+    const members = groupMemberIds.get(groupId)
+    if (members.length !== selectedIds.length) return null
+    return groupsById.get(groupId) || null
+  }, [selectedGroupIds, groupMemberIds, selectedIds, groupsById])
+
+  // A group lives on a single layer: the members join the primary node's layer.
+  const groupSelectedNodes = () => {
+    if (selectedIds.length < 2) return
+    const next = window.prompt('Group name:', `Group ${groups.length + 1}`)
+    if (next === null) return
+    const id = uid()
+    const name = String(next).trim().slice(0, MAX_GROUP_NAME_LENGTH) || `Group ${groups.length + 1}`
+    const layerId = nodes.find((n) => n.id === selectedIds[selectedIds.length - 1])?.layerId || ''
+    setPlot((prev) =>
+      withoutEmptyGroups({
+        ...prev,
+        nodes: prev.nodes.map((n) => (selectedIdSet.has(n.id) ? { ...n, groupId: id, layerId } : n)),
+        groups: [...prev.groups, { id, name }],
+      }),
+      `Group ${selectedIds.length} items`
     )
+    setEnteredGroupId(null)
   }
 
-  const flipNodeX = (nodeId) => {
-    setNodes((prev) => prev.map((n) => (n.id === nodeId ? { ...n, flipX: !n.flipX } : n)))
+  const ungroupSelection = () => {
+    if (!selectedGroupIds.size) return
+    setPlot((prev) => ({
+      ...prev,
+      nodes: prev.nodes.map((n) => (selectedGroupIds.has(n.groupId) ? { ...n, groupId: '' } : n)),
+      groups: prev.groups.filter((g) => !selectedGroupIds.has(g.id)),
+    }), 'Ungroup')
+    setEnteredGroupId(null)
   }
 
-  const setNodeLabel = (nodeId) => {
-    const current = nodes.find((n) => n.id === nodeId)?.label || ''
-    const next = window.prompt('Label text (leave blank to clear):', current)
+  const renameGroup = (groupId) => {
+    const current = groupsById.get(groupId)
+    if (!current) return
+    const next = window.prompt('Group name:', current.name)
     if (next === null) return
-    setNodes((prev) => prev.map((n) => (n.id === nodeId ? { ...n, label: String(next) } : n)))
+    const name = String(next).trim().slice(0, MAX_GROUP_NAME_LENGTH)
+    if (!name) return
+    setPlot(
+      (prev) => ({ ...prev, groups: prev.groups.map((g) => (g.id === groupId ? { ...g, name } : g)) }),
+      'Rename group'
+    )
   }
 
-  const toggleNodeLock = (nodeId) => {
-    setNodes((prev) => prev.map((n) => (n.id === nodeId ? { ...n, locked: !n.locked } : n)))
+  // History labels name a single node ("Kick Drum") or count several ("3 items").
+  const nodeName = (n) =>
+    String(n.label || assetsById.get(n.assetId)?.name || SHAPE_TYPES[n.type]?.label || 'item')
+      .split('\n')[0]
+      .slice(0, 40)
+  const itemsLabel = (list) => (list.length === 1 ? nodeName(list[0]) : `${list.length} items`)
+  const selectionLabel = (verb) => `${verb} ${itemsLabel(nodes.filter((n) => selectedIdSet.has(n.id)))}`
+
+  // Selection edits go through a single setNodes call so each one is a single undo step.
+  // Locked nodes keep their position, size and orientation.
+  const updateSelectedNodes = (updater, label, key) => {
+    setNodes((prev) => prev.map((n) => (selectedIdSet.has(n.id) && !n.locked ? updater(n) : n)), label, key)
   }
 
-  const moveLayer = (nodeId, delta) => {
-    setNodes((prev) => {
-      const from = prev.findIndex((n) => n.id === nodeId)
-      if (from < 0) return prev
-      const to = clamp(from + delta, 0, prev.length - 1)
-      if (to === from) return prev
-      const next = prev.slice()
-      const [item] = next.splice(from, 1)
-      next.splice(to, 0, item)
-      return next
-    })
+  const deleteSelectedNodes = () => {
+    setPlot(
+      (prev) => withoutEmptyGroups({ ...prev, nodes: prev.nodes.filter((n) => !selectedIdSet.has(n.id)) }),
+      selectionLabel('Delete')
+    )
+    setSelectedIds([])
   }
 
-  useEffect(() => {
-    const onMove = (ev) => {
-      const drag = mobileDragRef.current
-      if (!drag) return
-      ev.preventDefault()
-      setMobileDragPreview({ asset: drag.asset, x: ev.clientX, y: ev.clientY })
+  // Whole groups in the selection are copied as new groups; a member copied on its own stays in its group.
+  const duplicateSelectedNodes = () => {
+    const offset = DUPLICATE_OFFSET_PX / unitPx
+    const byId = new Map(nodes.map((n) => [n.id, n]))
+    const groupCopies = new Map()
+    for (const groupId of selectedGroupIds) {
+      if (groupMemberIds.get(groupId).every((id) => selectedIdSet.has(id))) groupCopies.set(groupId, uid())
     }
+    const copies = selectedIds
+      .map((id) => byId.get(id))
+      .filter(Boolean)
+      .map((src) => ({
+        ...src,
+        id: uid(),
+        x: (src.x || 0) + offset,
+        y: (src.y || 0) + offset,
+        groupId: groupCopies.get(src.groupId) || src.groupId || '',
+      }))
+    if (!copies.length) return
+    const newGroups = [...groupCopies].map(([groupId, id]) => ({
+      id,
+      name: `${groupsById.get(groupId)?.name || 'Group'} copy`.slice(0, MAX_GROUP_NAME_LENGTH),
+    }))
+    setPlot(
+      (prev) => ({
+        ...prev,
+        nodes: [...prev.nodes, ...withNextChannels(copies, prev.nodes)],
+        groups: [...prev.groups, ...newGroups],
+      }),
+      selectionLabel('Duplicate')
+    )
+    setSelectedIds(copies.map((c) => c.id))
+  }
 
-    const onUp = (ev) => {
-      const drag = mobileDragRef.current
-      if (!drag) return
-      mobileDragRef.current = null
-      setMobileDragPreview(null)
+  const rotateSelectedNodes = (deltaDeg) => {
+    updateSelectedNodes((n) => ({ ...n, rotation: (n.rotation || 0) + deltaDeg }), selectionLabel('Rotate'))
+  }
 
-      const content = getStageContentRect()
-      if (!content) return
-      const inStage =
-        ev.clientX >= content.left &&
-        ev.clientX <= content.right &&
-        ev.clientY >= content.top &&
-        ev.clientY <= content.bottom
-      if (!inStage) return
+  const scaleSelectedNodes = (factor) => {
+    updateSelectedNodes(
+      (n) => (isShapeNode(n) ? n : { ...n, scale: clamp((n.scale || 1) * factor, 0.25, 4) }),
+      selectionLabel(factor > 1 ? 'Enlarge' : 'Shrink')
+    )
+  }
+
+  const flipSelectedNodesX = () => {
+    updateSelectedNodes((n) => (isShapeNode(n) ? n : { ...n, flipX: !n.flipX }), selectionLabel('Flip'))
+  }
 
-      addNodeAt(drag.asset, ev.clientX - content.left, ev.clientY - content.top)
+  // Locks everything when any selected node is unlocked, otherwise unlocks everything.
+  const toggleSelectedLock = () => {
+    const locked = nodes.some((n) => selectedIdSet.has(n.id) && !n.locked)
+    setNodes(
+      (prev) => prev.map((n) => (selectedIdSet.has(n.id) ? { ...n, locked } : n)),
+      selectionLabel(locked ? 'Lock' : 'Unlock')
+    )
+  }
+
+  // Arrange commands treat a closed group as one block. Locked nodes, and groups holding one, keep
+  // their place but still count toward the selection's bounds.
+  const selectionUnits = () => {
+    const units = new Map()
+    for (const n of nodes) {
+      if (!selectedIdSet.has(n.id)) continue
+      const key = groupMemberIds.has(n.groupId) && n.groupId !== enteredGroupId ? `group:${n.groupId}` : n.id
+      if (!units.has(key)) units.set(key, [])
+      units.get(key).push(n)
     }
+    return [...units.values()].map((members) => ({
+      members,
+      box: nodeBounds(members, unitPx),
+      locked: members.some((m) => m.locked),
+    }))
+  }
 
-    window.addEventListener('pointermove', onMove, { passive: false })
-    window.addEventListener('pointerup', onUp)
-    window.addEventListener('pointercancel', onUp)
-    return () => {
-      window.removeEventListener('pointermove', onMove)
-      window.removeEventListener('pointerup', onUp)
-      window.removeEventListener('pointercancel', onUp)
+  // Moves whole units by world-pixel offsets in a single undo step.
+  const shiftUnits = (moves, label) => {
+    const offsets = new Map()
+    for (const { unit, dx, dy } of moves) {
+      if (unit.locked || (!dx && !dy)) continue
+      for (const m of unit.members) offsets.set(m.id, { dx: dx / unitPx, dy: dy / unitPx })
     }
-  }, [addNodeAt, getStageContentRect])
+    if (!offsets.size) return
+    setNodes((prev) =>
+      prev.map((n) => {
+        const o = offsets.get(n.id)
+        return o ? { ...n, x: roundTo((n.x || 0) + o.dx, 3), y: roundTo((n.y || 0) + o.dy, 3) } : n
+      }),
+      label
+    )
+  }
 
-  const onDrop = (ev) => {
-    ev.preventDefault()
-    const assetId = ev.dataTransfer.getData('application/showplot-asset-id')
-    const asset = assets.find((a) => a._id === assetId)
-    if (!asset) return
-    const content = getStageContentRect()
-    if (!content) return
-    const x = ev.clientX - content.left
-    const y = ev.clientY - content.top
-    addNodeAt(asset, x, y)
+  // edge: left, centerX, right, top, centerY or bottom.
+  const alignSelection = (edge) => {
+    const units = selectionUnits()
+    if (units.length < 2) return
+    const bounds = nodeBounds(units.flatMap((u) => u.members), unitPx)
+    const horizontal = edge === 'left' || edge === 'centerX' || edge === 'right'
+    shiftUnits(
+      units.map((unit) => {
+        const d = bounds[edge] - unit.box[edge]
+        return { unit, dx: horizontal ? d : 0, dy: horizontal ? 0 : d }
+      }),
+      selectionLabel('Align')
+    )
   }
 
-  const touchGestureRef = useRef(null)
+  // Spaces units evenly between the outermost two, keeping equal gaps between their edges.
+  const distributeSelection = (axis) => {
+    const units = selectionUnits()
+    if (units.length < 3) return
+    const [start, end, center] = axis === 'x' ? ['left', 'right', 'centerX'] : ['top', 'bottom', 'centerY']
+    units.sort((a, b) => a.box[center] - b.box[center])
+    const first = Math.min(...units.map((u) => u.box[start]))
+    const last = Math.max(...units.map((u) => u.box[end]))
+    const occupied = units.reduce((sum, u) => sum + (u.box[end] - u.box[start]), 0)
+    const gap = (last - first - occupied) / (units.length - 1)
+    let cursor = first
+    const moves = units.map((unit) => {
+      const d = cursor - unit.box[start]
+      cursor += unit.box[end] - unit.box[start] + gap
+      return { unit, dx: axis === 'x' ? d : 0, dy: axis === 'y' ? d : 0 }
+    })
+    shiftUnits(moves, selectionLabel('Distribute'))
+  }
 
-  const onStagePointerDown = useCallback((e) => {
-    const stage = e.target?.getStage?.()
-    if (!stage) return
-    if (e.target === stage) setSelectedId(null)
-  }, [])
+  // Reflects positions across the stage's centre line (stage left <-> stage right).
+  // Reflects the selection across the stage centre line: positions, rotations and point shapes flip, and
+  // icons toggle their mirror image.
+  const mirrorSelection = () => {
+    const width = stageSettings.width
+    const mirror = (n) => {
+      const next = { ...n, x: roundTo(width - (n.x || 0), 3) }
+      if (n.rotation) next.rotation = roundTo(-n.rotation, 3)
+      if (Array.isArray(n.points)) next.points = n.points.map((v, i) => (i % 2 === 0 && v ? -v : v))
+      if (n.type === 'asset') next.flipX = !n.flipX
+      return next
+    }
+    updateSelectedNodes(mirror, selectionLabel('Mirror'))
+  }
 
-  const onStageTouchStart = (e) => {
-    const stage = stageRef.current
-    if (!stage) return
+  // Konva drags every Transformer-attached node along with the grabbed one and fires dragmove and
+  // dragend for each of them. Only the grabbed "lead" is handled: it positions the followers while
+  // moving and commits one offset for the whole selection. Konva Groups go back to the origin on
+  // commit since their members store absolute positions.
+  const dragRef = useRef(null)
+
+  const beginDrag = (e, draggedIds) => {
+    if (dragRef.current && !dragRef.current.ended) return
+    const attached = transformerRef.current?.nodes() || []
+    const followers = attached.includes(e.target) ? attached.filter((t) => t !== e.target) : []
+    const movingIds = new Set(draggedIds)
+    for (const t of followers) {
+      const id = t.id()
+      if (id.startsWith('node-')) movingIds.add(id.slice('node-'.length))
+      else if (id.startsWith('group-')) groupMemberIds.get(id.slice('group-'.length))?.forEach((m) => movingIds.add(m))
+    }
+    dragRef.current = {
+      lead: e.target,
+      start: e.target.position(),
+      grabbedId: e.target.id().startsWith('node-') ? draggedIds[0] : null,
+      followers: followers.map((t) => ({ node: t, start: t.position() })),
+      movingIds,
+      ended: false,
+    }
+  }
 
-    const touch1 = e.evt.touches?.[0]
-    const touch2 = e.evt.touches?.[1]
-    if (!touch1 || !touch2) {
-      touchGestureRef.current = null
-      return
+  const dragMove = (e) => {
+    const drag = dragRef.current
+    if (!drag || drag.ended || drag.lead !== e.target) return
+    const lead = e.target
+    if (isSnapActive && !e.evt?.altKey) {
+      snapLead(drag)
+    } else if (snapGuides.length) {
+      setSnapGuides([])
     }
+    const dx = lead.x() - drag.start.x
+    const dy = lead.y() - drag.start.y
+    for (const f of drag.followers) f.node.position({ x: f.start.x + dx, y: f.start.y + dy })
+    syncAttachedShapes([lead, ...drag.followers.map((f) => f.node)])
+  }
 
-    if (!selectedNode) return
+  // Konva moves and turns icons itself during drags and transforms; their labels and badges are
+  // separate shapes and follow here until the gesture commits and the node is redrawn.
+  const syncAttachedShapes = (konvaNodes) => {
+    const stage = stageRef.current
+    for (const t of konvaNodes) {
+      if (!stage || !t.id().startsWith('node-')) continue
+      const id = t.id().slice('node-'.length)
+      const node = nodes.find((n) => n.id === id)
+      if (!node) continue
+      const scale = Math.abs(t.scaleY())
+      const label = stage.findOne(`#label-${id}`)
+      if (label) {
+        const box = labelBox(node.label, labelStyleOf(node), t.x(), t.y(), t.rotation(), scale)
+        label.position({ x: box.x, y: box.y })
+      }
+      stage.findOne(`#badge-${id}`)?.position(badgePosition(t.x(), t.y(), scale))
+    }
+  }
 
-    const dx = touch2.clientX - touch1.clientX
-    const dy = touch2.clientY - touch1.clientY
-    const dist = Math.sqrt(dx * dx + dy * dy)
-    const angle = Math.atan2(dy, dx)
-    touchGestureRef.current = {
-      dist,
-      angle,
-      startScale: selectedNode.scale || 1,
-      startRotation: selectedNode.rotation || 0,
-      nodeId: selectedNode.id,
+  // Moves the lead so the grabbed node's centre (or the dragged group's centre) sits on the grid,
+  // unless an edge or centre lines up with another node, which wins on its axis.
+  const snapLead = (drag) => {
+    const lead = drag.lead
+    const dx = lead.x() - drag.start.x
+    const dy = lead.y() - drag.start.y
+    const box = nodeBounds(nodes.filter((n) => drag.movingIds.has(n.id)), unitPx, dx, dy)
+    if (!box) return
+
+    const grid = unitInfo.gridStep * unitPx
+    const grabbed = drag.grabbedId ? nodes.find((n) => n.id === drag.grabbedId) : null
+    const refX = grabbed ? (grabbed.x || 0) * unitPx + dx : box.centerX
+    const refY = grabbed ? (grabbed.y || 0) * unitPx + dy : box.centerY
+    let shiftX = Math.round(refX / grid) * grid - refX
+    let shiftY = Math.round(refY / grid) * grid - refY
+
+    const tolerance = SNAP_GUIDE_TOLERANCE_PX / stageView.scale
+    let bestX = null
+    let bestY = null
+    for (const n of nodes) {
+      if (drag.movingIds.has(n.id)) continue
+      const other = nodeBounds([n], unitPx)
+      for (const from of [box.left, box.centerX, box.right]) {
+        for (const to of [other.left, other.centerX, other.right]) {
+          const d = to - from
+          if (Math.abs(d) <= tolerance && (!bestX || Math.abs(d) < Math.abs(bestX.d))) bestX = { d, at: to }
+        }
+      }
+      for (const from of [box.top, box.centerY, box.bottom]) {
+        for (const to of [other.top, other.centerY, other.bottom]) {
+          const d = to - from
+          if (Math.abs(d) <= tolerance && (!bestY || Math.abs(d) < Math.abs(bestY.d))) bestY = { d, at: to }
+        }
+      }
     }
+    if (bestX) shiftX = bestX.d
+    if (bestY) shiftY = bestY.d
+
+    lead.position({ x: lead.x() + shiftX, y: lead.y() + shiftY })
+    const guides = []
+    if (bestX) guides.push([bestX.at, 0, bestX.at, worldHeight])
+    if (bestY) guides.push([0, bestY.at, worldWidth, bestY.at])
+    if (guides.length || snapGuides.length) setSnapGuides(guides)
   }
 
-  const onStageTouchMove = (e) => {
-    const g = touchGestureRef.current
-    if (!g) return
-    const touch1 = e.evt.touches?.[0]
-    const touch2 = e.evt.touches?.[1]
-    if (!touch1 || !touch2) return
-    e.evt.preventDefault()
+  const commitDrag = (e) => {
+    const drag = dragRef.current
+    if (!drag || drag.ended || drag.lead !== e.target) return
+    drag.ended = true
+    const dx = (e.target.x() - drag.start.x) / unitPx
+    const dy = (e.target.y() - drag.start.y) / unitPx
+    setSnapGuides([])
+    for (const t of [e.target, ...drag.followers.map((f) => f.node)]) {
+      if (t.id().startsWith('group-')) t.position({ x: 0, y: 0 })
+    }
+    setNodes(
+      (prev) =>
+        prev.map((n) =>
+          drag.movingIds.has(n.id) ? { ...n, x: roundTo((n.x || 0) + dx, 3), y: roundTo((n.y || 0) + dy, 3) } : n
+        ),
+      `Move ${itemsLabel(nodes.filter((n) => drag.movingIds.has(n.id)))}`
+    )
+  }
 
-    const dx = touch2.clientX - touch1.clientX
-    const dy = touch2.clientY - touch1.clientY
-    const dist = Math.sqrt(dx * dx + dy * dy)
-    const angle = Math.atan2(dy, dx)
+  const nodeTransformPatch = (x, y, rotation, scaleX, scaleY) => {
+    // A mirrored transform decomposes as a negative scaleY; express it as flipX plus half a turn.
+    const flipX = scaleX * scaleY < 0
+    return {
+      x: roundTo(x / unitPx, 3),
+      y: roundTo(y / unitPx, 3),
+      scale: clamp(Math.abs(scaleY), 0.25, 4),
+      rotation: scaleY < 0 ? rotation - 180 : rotation,
+      flipX,
+    }
+  }
 
-    const scale = clamp(g.startScale * (dist / g.dist), 0.25, 4)
-    const rotation = g.startRotation + ((angle - g.angle) * 180) / Math.PI
+  // Primitives take the Transformer's scale into their geometry and keep a scale of 1.
+  const shapeTransformPatch = (node, x, y, rotation, scaleX, scaleY) => ({
+    ...resizeShape(node, scaleX, scaleY),
+    x: roundTo(x / unitPx, 3),
+    y: roundTo(y / unitPx, 3),
+    rotation,
+  })
 
-    setNodes((prev) =>
-      prev.map((n) => (n.id === g.nodeId ? { ...n, scale, rotation } : n))
+  const onTransformerEnd = () => {
+    const transformer = transformerRef.current
+    if (!transformer) return
+    const byId = new Map(nodes.map((n) => [n.id, n]))
+    const patches = new Map()
+    for (const t of transformer.nodes()) {
+      if (t.id().startsWith('group-')) {
+        // Bake the group's transform into each member, then reset the group.
+        const m = t.getTransform()
+        for (const child of t.getChildren()) {
+          if (!child.id().startsWith('node-')) continue
+          const pos = m.point({ x: child.x(), y: child.y() })
+          const d = m
+            .copy()
+            .rotate((child.rotation() * Math.PI) / 180)
+            .scale(child.scaleX(), child.scaleY())
+            .decompose()
+          const id = child.id().slice('node-'.length)
+          patches.set(
+            id,
+            isShapeNode(byId.get(id))
+              ? shapeTransformPatch(byId.get(id), pos.x, pos.y, d.rotation, d.scaleX, d.scaleY)
+              : nodeTransformPatch(pos.x, pos.y, d.rotation, d.scaleX, d.scaleY)
+          )
+        }
+        t.setAttrs({ x: 0, y: 0, rotation: 0, scaleX: 1, scaleY: 1 })
+        continue
+      }
+      const id = t.id().slice('node-'.length)
+      if (isShapeNode(byId.get(id))) {
+        patches.set(id, shapeTransformPatch(byId.get(id), t.x(), t.y(), t.rotation(), t.scaleX(), t.scaleY()))
+        t.scaleX(1)
+        t.scaleY(1)
+        continue
+      }
+      const patch = nodeTransformPatch(t.x(), t.y(), t.rotation(), t.scaleX(), t.scaleY())
+      // Write the clamped scale back so Konva matches what React will render.
+      t.scaleX(patch.flipX ? -patch.scale : patch.scale)
+      t.scaleY(patch.scale)
+      patches.set(id, patch)
+    }
+    if (!patches.size) return
+    setNodes(
+      (prev) => prev.map((n) => (patches.has(n.id) ? { ...n, ...patches.get(n.id) } : n)),
+      `Transform ${itemsLabel(nodes.filter((n) => patches.has(n.id)))}`
     )
   }
 
-  const exportPDF = async () => {
-    const stage = stageRef.current
-    if (!stage) return
-    setIsBusy(true)
-    setError('')
+  // Only whole groups travel with a copy; a member copied on its own is pasted ungrouped.
+  const buildClipboardPayload = () => {
+    const copied = nodes.filter((n) => selectedIdSet.has(n.id))
+    if (!copied.length) return null
+    const wholeGroups = groups.filter((g) => groupMemberIds.get(g.id)?.every((id) => selectedIdSet.has(id)))
+    const wholeGroupIds = new Set(wholeGroups.map((g) => g.id))
+    return {
+      format: SHOWPLOT_CLIPBOARD_FORMAT,
+      schemaVersion: PLOT_SCHEMA_VERSION,
+      unit: stageSettings.unit,
+      nodes: copied.map((n) => (wholeGroupIds.has(n.groupId) ? n : { ...n, groupId: '' })),
+      groups: wholeGroups,
+    }
+  }
 
-    try {
-      const stageDataUrl = stage.toDataURL({ pixelRatio: 2 })
-      const exportEl = exportRef.current
-      if (!exportEl) throw new Error('Export surface not ready')
+  // Returns false when the payload isn't ShowPlot nodes, so the browser's own paste can proceed.
+  const pasteClipboardPayload = (payload) => {
+    if (payload?.format !== SHOWPLOT_CLIPBOARD_FORMAT || !Array.isArray(payload.nodes)) return false
+    if (Number(payload.schemaVersion) > PLOT_SCHEMA_VERSION) {
+      setError('These nodes were copied from a newer version of ShowPlot.')
+      return true
+    }
+    const source = payload.nodes.filter((n) => n && ((typeof n.assetId === 'string' && n.assetId) || isShapeNode(n)))
+    if (!source.length) return false
+    const sourceUnit = STAGE_UNITS[payload.unit] ? payload.unit : DEFAULT_STAGE.unit
+    const converted = convertPlotUnits({ stage: { ...DEFAULT_STAGE, unit: sourceUnit }, nodes: source }, stageSettings.unit).nodes
+
+    // Step the copies away from any node they would land exactly on, e.g. when pasting into the source plot.
+    const step = DUPLICATE_OFFSET_PX / unitPx
+    const spot = (n, offset) =>
+      `${n.assetId || n.type}@${roundTo((n.x || 0) + offset, 3)},${roundTo((n.y || 0) + offset, 3)}`
+    const taken = new Set(nodes.map((n) => spot(n, 0)))
+    let offset = 0
+    while (offset < step * 50 && converted.some((n) => taken.has(spot(n, offset)))) offset += step
+
+    const groupCopies = new Map(normalizeGroups(payload.groups).map((g) => [g.id, { id: uid(), name: g.name }]))
+    const copies = converted.map((n) => ({
+      ...n,
+      id: uid(),
+      x: roundTo((n.x || 0) + offset, 3),
+      y: roundTo((n.y || 0) + offset, 3),
+      groupId: groupCopies.get(n.groupId)?.id || '',
+      layerId: layersById.has(n.layerId) ? n.layerId : drawLayerId,
+    }))
+    const newGroups = [...groupCopies.values()].filter((g) => copies.some((c) => c.groupId === g.id))
+    setPlot(
+      (prev) => ({
+        ...prev,
+        nodes: [...prev.nodes, ...withNextChannels(copies, prev.nodes)],
+        groups: [...prev.groups, ...newGroups],
+      }),
+      `Paste ${itemsLabel(copies)}`
+    )
+    setEnteredGroupId(null)
+    setSelectedIds(copies.map((c) => c.id))
+    return true
+  }
 
-      const imgEl = exportEl.querySelector('img[data-stage-image]')
-      if (imgEl) imgEl.src = stageDataUrl
+  const isEditorBlocked = Boolean(isTemplateGalleryOpen || saveConflict || isShortcutsOpen)
 
-      await new Promise((r) => setTimeout(r, 50))
-      const canvas = await html2canvas(exportEl, {
-        backgroundColor: '#ffffff',
-        scale: 2,
-      })
+  const onClipboardEvent = useEffectEvent((e) => {
+    if (isEditorBlocked || previewRevision || isEditableTarget(e.target)) return
+    if (e.type === 'paste') {
+      const data = e.clipboardData
+      let payload = null
+      try {
+        payload = JSON.parse(data?.getData(SHOWPLOT_CLIPBOARD_MIME) || data?.getData('text/plain') || 'null')
+      } catch {
+        return
+      }
+      if (pasteClipboardPayload(payload)) e.preventDefault()
+      return
+    }
+    const payload = buildClipboardPayload()
+    if (!payload || !e.clipboardData) return
+    const text = JSON.stringify(payload)
+    e.clipboardData.setData(SHOWPLOT_CLIPBOARD_MIME, text)
+    e.clipboardData.setData('text/plain', text)
+    e.preventDefault()
+    if (e.type === 'cut') deleteSelectedNodes()
+  })
 
-      const pdf = new jsPDF({ orientation: 'portrait', unit: 'pt', format: 'a4' })
-      const pageWidth = pdf.internal.pageSize.getWidth()
-      const pageHeight = pdf.internal.pageSize.getHeight()
+  useEffect(() => {
+    const onClipboard = (e) => onClipboardEvent(e)
+    document.addEventListener('copy', onClipboard)
+    document.addEventListener('cut', onClipboard)
+    document.addEventListener('paste', onClipboard)
+    return () => {
+      document.removeEventListener('copy', onClipboard)
+      document.removeEventListener('cut', onClipboard)
+      document.removeEventListener('paste', onClipboard)
+    }
+  }, [])
 
-      const imgData = canvas.toDataURL('image/png')
-      const ratio = Math.min(pageWidth / canvas.width, pageHeight / canvas.height)
-      const w = canvas.width * ratio
-      const h = canvas.height * ratio
-      const x = (pageWidth - w) / 2
-      const y = (pageHeight - h) / 2
+  const onShortcutKeyDown = useEffectEvent((e) => {
+    if (e.defaultPrevented || isEditableTarget(e.target)) return
+    if (isShortcutsOpen) {
+      if (e.key === 'Escape' || e.key === '?') {
+        e.preventDefault()
+        setIsShortcutsOpen(false)
+      }
+      return
+    }
+    if (isEditorBlocked) return
 
-      pdf.addImage(imgData, 'PNG', x, y, w, h)
-      const safeName = toSafeFilename(plotName) || 'showplot'
-      pdf.save(`${safeName}-inputs.pdf`)
-    } catch (e) {
-      setError(String(e?.message || e))
-    } finally {
-      setIsBusy(false)
+    const mod = e.ctrlKey || e.metaKey
+    const key = e.key.toLowerCase()
+    if (e.key === '?') {
+      e.preventDefault()
+      setIsShortcutsOpen(true)
+      return
+    }
+    if (e.key === 'Escape') {
+      if (enteredGroupId) setEnteredGroupId(null)
+      else setSelectedIds([])
+      return
+    }
+    if (previewRevision) return
+
+    if (mod && (key === 'y' || (key === 'z' && e.shiftKey))) {
+      e.preventDefault()
+      plotHistory.redo()
+    } else if (mod && key === 'z') {
+      e.preventDefault()
+      plotHistory.undo()
+    } else if (mod && key === 'a') {
+      e.preventDefault()
+      setEnteredGroupId(null)
+      setSelectedIds(selectableNodes.map((n) => n.id))
+    } else if (mod && key === 'd') {
+      e.preventDefault()
+      duplicateSelectedNodes()
+    } else if (mod && e.shiftKey && key === 'l') {
+      e.preventDefault()
+      toggleSelectedLock()
+    } else if (mod && key === 'g') {
+      e.preventDefault()
+      if (e.shiftKey) ungroupSelection()
+      else groupSelectedNodes()
+    } else if (!mod && selectedIds.length && (e.key === 'Delete' || e.key === 'Backspace')) {
+      e.preventDefault()
+      deleteSelectedNodes()
+    } else if (!mod && selectedIds.length && e.key.startsWith('Arrow')) {
+      e.preventDefault()
+      const step = (e.shiftKey ? NUDGE_COARSE_PX : NUDGE_PX) / unitPx
+      const dx = e.key === 'ArrowLeft' ? -step : e.key === 'ArrowRight' ? step : 0
+      const dy = e.key === 'ArrowUp' ? -step : e.key === 'ArrowDown' ? step : 0
+      // Holding an arrow key down is one nudge as far as undo is concerned.
+      if (!e.repeat) endContinuedEdit()
+      setPlotContinued(`nudge:${selectedIds.join(',')}`, selectionLabel('Nudge'), (prev) => ({
+        ...prev,
+        nodes: prev.nodes.map((n) =>
+          selectedIdSet.has(n.id) && !n.locked
+            ? { ...n, x: roundTo((n.x || 0) + dx, 3), y: roundTo((n.y || 0) + dy, 3) }
+            : n
+        ),
+      }))
+    }
+  })
+
+  useEffect(() => {
+    const onKeyDown = (e) => onShortcutKeyDown(e)
+    window.addEventListener('keydown', onKeyDown)
+    return () => window.removeEventListener('keydown', onKeyDown)
+  }, [])
+
+  useEffect(() => {
+    const onModifiers = (e) => {
+      const alt = Boolean(e.altKey)
+      const shift = Boolean(e.shiftKey)
+      setHeldModifiers((prev) => (prev.alt === alt && prev.shift === shift ? prev : { alt, shift }))
+    }
+    const onBlur = () => setHeldModifiers({ alt: false, shift: false })
+    window.addEventListener('keydown', onModifiers)
+    window.addEventListener('keyup', onModifiers)
+    window.addEventListener('blur', onBlur)
+    return () => {
+      window.removeEventListener('keydown', onModifiers)
+      window.removeEventListener('keyup', onModifiers)
+      window.removeEventListener('blur', onBlur)
+    }
+  }, [])
+
+  const addShapeAt = (type, x, y) => {
+    if (previewRevision) return
+    if (isSnapActive) {
+      x = Math.round(x / unitInfo.gridStep) * unitInfo.gridStep
+      y = Math.round(y / unitInfo.gridStep) * unitInfo.gridStep
     }
+    const node = { ...createShapeNode(type, roundTo(x, 3), roundTo(y, 3), stageSettings.unit), layerId: drawLayerId }
+    setNodes((prev) => [...prev, node], `Add ${SHAPE_TYPES[type].label}`)
+    setEnteredGroupId(null)
+    setSelectedIds([node.id])
   }
 
-  const exportCSV = () => {
-    try {
-      // Match the layout pattern from the AFRIMA channel list CSV:
-      // - blank spacer rows
-      // - title row
-      // - leading empty column + trailing empty column
-      const title = 'AFRIMA AWARD 2026 EKO HOTEL CHANNEL LIST '
-      const headerRow = ['', 'TOTAL', 'INSTRUMENT', 'MIC / DI', 'STAND', 'NOTES', 'CABLES', '']
+  // Palette clicks drop the shape in the middle of what's on screen.
+  const addShapeInView = (type) => {
+    addShapeAt(
+      type,
+      (stageSize.width / 2 - stageView.x) / stageView.scale / unitPx,
+      (stageSize.height / 2 - stageView.y) / stageView.scale / unitPx
+    )
+  }
 
-      const escape = (value) => {
-        const s = String(value ?? '')
-        if (/[\n\r,"]/g.test(s)) return `"${s.replaceAll('"', '""')}"`
-        return s
-      }
+  const updateNodePoints = (nodeId, points) => {
+    const node = nodes.find((n) => n.id === nodeId)
+    setNodes(
+      (prev) => prev.map((n) => (n.id === nodeId ? { ...n, points } : n)),
+      `Reshape ${node ? nodeName(node) : 'shape'}`
+    )
+  }
 
-      const blankRow = new Array(headerRow.length).fill('')
+  // Text boxes are written in the label editor, laid over the box in its own font.
+  const editShapeText = (nodeId) => {
+    const node = nodes.find((n) => n.id === nodeId)
+    if (!node || node.locked || previewRevision) return
+    const style = {
+      ...DEFAULT_LABEL_STYLE,
+      fontSize: (node.fontSize || 0) * unitPx,
+      bold: true,
+      color: node.color || SHAPE_TYPES.text.color,
+    }
+    setLabelDraft({ nodeId, field: 'text', text: node.text || '', style })
+  }
 
-      const lines = []
-      lines.push(blankRow.map(escape).join(','))
-      lines.push(['', title, '', '', '', '', '', ''].map(escape).join(','))
-      lines.push(blankRow.map(escape).join(','))
-      lines.push(headerRow.map(escape).join(','))
+  const editRiserHeight = (nodeId) => {
+    const node = nodes.find((n) => n.id === nodeId)
+    if (!node || node.locked) return
+    const next = window.prompt(`Riser height (${stageSettings.unit}):`, String(node.height ?? ''))
+    if (next === null) return
+    const height = Number(next)
+    if (!String(next).trim() || !Number.isFinite(height) || height < 0 || height > MAX_STAGE_DIMENSION) {
+      setError('Enter a valid riser height.')
+      return
+    }
+    setNodes(
+      (prev) => prev.map((n) => (n.id === nodeId ? { ...n, height: roundTo(height, 3) } : n)),
+      `Set height of ${nodeName(node)}`
+    )
+  }
 
-      for (const r of visualInputRows) {
-        lines.push(
-          [
-            '',
-            r.order,
-            r.instrument || r.item,
-            r.mic,
-            r.stand,
-            r.notes,
-            r.cables,
-            '',
-          ]
-            .map(escape)
-            .join(',')
-        )
-      }
+  // Double-click enters a closed group first; otherwise it edits a text box or riser.
+  const onNodeDoubleClick = (nodeId) => {
+    const node = nodes.find((n) => n.id === nodeId)
+    if (!node) return
+    if (groupMemberIds.has(node.groupId) && node.groupId !== enteredGroupId) {
+      enterGroup(nodeId)
+    } else if (node.type === 'text') {
+      editShapeText(nodeId)
+    } else if (node.type === 'riser') {
+      editRiserHeight(nodeId)
+    } else {
+      setNodeLabel(nodeId)
+    }
+  }
 
-      const csv = lines.join('\n')
-      downloadBlob('showplot-inputs.csv', new Blob([csv], { type: 'text/csv;charset=utf-8' }))
-    } catch (e) {
-      setError(String(e?.message || e))
+  // The label being edited in place: { nodeId, field, text, style }. Primitives draw their own captions and
+  // only take the text; a text box's `text` field is edited the same way.
+  const [labelDraft, setLabelDraft] = useState(null)
+
+  const setNodeLabel = (nodeId) => {
+    const node = nodes.find((n) => n.id === nodeId)
+    if (!node || previewRevision) return
+    setLabelDraft({ nodeId, field: 'label', text: node.label || '', style: labelStyleOf(node) })
+  }
+
+  const commitLabelDraft = () => {
+    const draft = labelDraft
+    setLabelDraft(null)
+    const node = draft && nodes.find((n) => n.id === draft.nodeId)
+    if (!node) return
+    const text = draft.text.replace(/\s+$/, '')
+    if (draft.field === 'text') {
+      if (text === (node.text || '')) return
+      setNodes(
+        (prev) => prev.map((n) => (n.id === draft.nodeId ? { ...n, text: text.slice(0, MAX_NODE_TEXT_LENGTH) } : n)),
+        'Edit text'
+      )
+      return
     }
+    // Labels left at the default style store none, so opening and closing the editor changes nothing.
+    let style = node.labelStyle
+    if (!isShapeNode(node)) style = isSameLabelStyle(draft.style, DEFAULT_LABEL_STYLE) ? undefined : draft.style
+    const isSameStyle = isSameLabelStyle(labelStyleOf({ labelStyle: style }), labelStyleOf(node))
+    if (text === (node.label || '') && isSameStyle) return
+    setNodes(
+      (prev) => prev.map((n) => (n.id === draft.nodeId ? { ...n, label: text, labelStyle: style } : n)),
+      `Edit label of ${nodeName(node)}`
+    )
   }
 
-  const exportExcel = () => {
-    try {
-      const title = 'AFRIMA AWARD 2026 EKO HOTEL CHANNEL LIST '
-      const aoa = []
-      aoa.push(['', '', '', '', '', '', '', ''])
-      aoa.push(['', title, '', '', '', '', '', ''])
-      aoa.push(['', '', '', '', '', '', '', ''])
-      aoa.push(['', 'TOTAL', 'INSTRUMENT', 'MIC / DI', 'STAND', 'NOTES', 'CABLES', ''])
+  // Dragging a label pins it at that spot relative to its icon, measured in the icon's own frame.
+  const moveLabelFreely = (nodeId, label) => {
+    const node = nodes.find((n) => n.id === nodeId)
+    if (!node) return
+    const style = labelStyleOf(node)
+    const { height } = labelBox(node.label, style, 0, 0, 0, node.scale || 1)
+    const dx = label.x() + LABEL_WIDTH / 2 - (node.x || 0) * unitPx
+    const dy = label.y() + height / 2 - (node.y || 0) * unitPx
+    const rad = ((node.rotation || 0) * Math.PI) / 180
+    const labelStyle = {
+      ...style,
+      placement: 'free',
+      offsetX: Math.round(dx * Math.cos(rad) + dy * Math.sin(rad)),
+      offsetY: Math.round(-dx * Math.sin(rad) + dy * Math.cos(rad)),
+    }
+    setNodes((prev) => prev.map((n) => (n.id === nodeId ? { ...n, labelStyle } : n)), `Move label of ${nodeName(node)}`)
+  }
 
-      for (const r of visualInputRows) {
-        aoa.push(['', r.order, r.instrument || r.item, r.mic, r.stand, r.notes, r.cables, ''])
-      }
+  const moveLayer = (nodeId, delta) => {
+    setNodes((prev) => {
+      const from = prev.findIndex((n) => n.id === nodeId)
+      if (from < 0) return prev
+      // Only the order within a node's own layer is visible, so step past nodes on other layers.
+      const layerId = prev[from].layerId || ''
+      let to = from + delta
+      while (to >= 0 && to < prev.length && (prev[to].layerId || '') !== layerId) to += delta
+      if (to < 0 || to >= prev.length) return prev
+      const next = prev.slice()
+      const [item] = next.splice(from, 1)
+      next.splice(to, 0, item)
+      return next
+    }, delta > 0 ? 'Bring forward' : 'Send backward')
+  }
 
-      const ws = XLSX.utils.aoa_to_sheet(aoa)
-      const wb = XLSX.utils.book_new()
-      XLSX.utils.book_append_sheet(wb, ws, 'Inputs')
-      XLSX.writeFile(wb, 'showplot-inputs.xlsx')
-    } catch (e) {
-      setError(String(e?.message || e))
+  const addLayer = () => {
+    if (layers.length >= MAX_PLOT_LAYERS) {
+      setError(`A plot can have at most ${MAX_PLOT_LAYERS} layers.`)
+      return
     }
+    const next = window.prompt('Layer name:', `Layer ${layers.length + 1}`)
+    if (next === null) return
+    const layer = createLayer(String(next).trim().slice(0, MAX_GROUP_NAME_LENGTH) || `Layer ${layers.length + 1}`)
+    setPlot((prev) => ({ ...prev, layers: [...prev.layers, layer] }), `Add layer “${layer.name}”`)
+    setActiveLayerId(layer.id)
   }
 
-  const savePlot = async () => {
-    if (!auth.user) {
-      setError('Please sign in to save plots.')
+  const addStandardLayers = () => {
+    setPlot(
+      (prev) => ({ ...prev, layers: [...prev.layers, ...STANDARD_LAYER_NAMES.map(createLayer)] }),
+      'Add standard layers'
+    )
+  }
+
+  const updateLayer = (layerId, patch) => {
+    const name = layersById.get(layerId)?.name || 'layer'
+    const label =
+      'name' in patch
+        ? `Rename layer “${name}”`
+        : 'visible' in patch
+          ? `${patch.visible ? 'Show' : 'Hide'} layer “${name}”`
+          : 'locked' in patch
+            ? `${patch.locked ? 'Lock' : 'Unlock'} layer “${name}”`
+            : `Change layer “${name}”`
+    setPlot(
+      (prev) => ({ ...prev, layers: prev.layers.map((l) => (l.id === layerId ? { ...l, ...patch } : l)) }),
+      label
+    )
+    // Hidden and locked layers can't hold a selection.
+    if (patch.visible === false || patch.locked) {
+      const onLayer = new Set(nodes.filter((n) => n.layerId === layerId).map((n) => n.id))
+      setSelectedIds((prev) => prev.filter((id) => !onLayer.has(id)))
+    }
+  }
+
+  const renameLayer = (layerId) => {
+    const current = layersById.get(layerId)
+    if (!current) return
+    const next = window.prompt('Layer name:', current.name)
+    if (next === null) return
+    const name = String(next).trim().slice(0, MAX_GROUP_NAME_LENGTH)
+    if (name) updateLayer(layerId, { name })
+  }
+
+  // Layers are stored bottom-most first, so +1 moves a layer up (drawn later, on top).
+  const reorderLayer = (layerId, delta) => {
+    setPlot((prev) => {
+      const from = prev.layers.findIndex((l) => l.id === layerId)
+      const to = from + delta
+      if (from < 0 || to < 0 || to >= prev.layers.length) return prev
+      const next = prev.layers.slice()
+      const [layer] = next.splice(from, 1)
+      next.splice(to, 0, layer)
+      return { ...prev, layers: next }
+    }, 'Reorder layers')
+  }
+
+  // Deleting a layer keeps its nodes; they drop to the unassigned base.
+  const deleteLayer = (layerId) => {
+    const layer = layersById.get(layerId)
+    if (!layer) return
+    const count = nodes.filter((n) => n.layerId === layerId).length
+    if (count && !window.confirm(`Delete layer “${layer.name}”? Its ${count} item(s) will move to Unassigned.`)) return
+    setPlot((prev) => ({
+      ...prev,
+      layers: prev.layers.filter((l) => l.id !== layerId),
+      nodes: prev.nodes.map((n) => (n.layerId === layerId ? { ...n, layerId: '' } : n)),
+    }), `Delete layer “${layer.name}”`)
+  }
+
+  // Sets the monitor mix or tag (whichever the badges show) on every selected icon.
+  const editSelectedBadgeField = () => {
+    const field = stageSettings.badgeContent
+    const targets = nodes.filter((n) => selectedIdSet.has(n.id) && n.type === 'asset')
+    if (!targets.length || (field !== 'mix' && field !== 'tag')) return
+    const values = new Set(targets.map((n) => n.profile?.[field] || ''))
+    const next = window.prompt(field === 'mix' ? 'Monitor mix:' : 'Badge tag:', values.size === 1 ? [...values][0] : '')
+    if (next === null) return
+    const value = String(next).trim().slice(0, PROFILE_FIELD_MAX_LENGTH)
+    updateSelectedNodes(
+      (n) => (n.type === 'asset' ? { ...n, profile: { ...n.profile, [field]: value } } : n),
+      selectionLabel(field === 'mix' ? 'Set mix for' : 'Set tag for')
+    )
+  }
+
+  // Channel List cells write straight into the node's profile, or into one of its inputs (where the
+  // instrument column is the input's name); typing into one cell is one undo step.
+  const editChannelField = (nodeId, field, value, inputId = '') => {
+    const node = nodes.find((n) => n.id === nodeId)
+    if (!node || previewRevision) return
+    const text = value.slice(0, PROFILE_FIELD_MAX_LENGTH)
+    const edit = inputId
+      ? (n) => ({
+          ...n,
+          inputs: n.inputs.map((input) =>
+            input.id === inputId ? { ...input, [field === 'instrument' ? 'name' : field]: text } : input
+          ),
+        })
+      : (n) => ({ ...n, profile: { ...n.profile, [field]: text } })
+    const label = `Set ${PROFILE_FIELD_LABELS[field]} of ${nodeName(node)}`
+    setPlotContinued(`channel:${nodeId}:${inputId}:${field}`, label, (prev) => ({
+      ...prev,
+      nodes: prev.nodes.map((n) => (n.id === nodeId ? edit(n) : n)),
+    }))
+  }
+
+  // The first extra input turns the icon's profile into its first input, so nothing typed so far is lost.
+  // The new input takes the channel after the icon's last one; unlocked icons from there on move up to make
+  // room until a gap takes up the shift.
+  const addNodeInput = (nodeId) => {
+    const node = nodes.find((n) => n.id === nodeId)
+    if (!node || previewRevision || inputCountOf(node) >= MAX_NODE_INPUTS) return
+    const channel = channelOf(node)
+    const added = channel === null ? null : channel + inputCountOf(node)
+    if (added !== null && added > MAX_CHANNEL_NUMBER) {
+      setError(`Inputs can't go past channel ${MAX_CHANNEL_NUMBER}.`)
       return
     }
-    setIsBusy(true)
-    setError('')
-    try {
-      let name = (plotName || '').trim()
-      if (!name) {
-        const next = window.prompt('Plot name:', 'Untitled')
-        if (next === null) return
-        name = String(next || '').trim() || 'Untitled'
-        setPlotName(name)
-      }
 
-      const saved = await API.savePlot({ plotId: currentPlotId || undefined, name, state: nodes })
-      if (saved?._id) {
-        setCurrentPlotId(String(saved._id))
-        setPlotPickerId(String(saved._id))
-        await refreshSavedPlots()
+    const channels = new Map()
+    if (added !== null) {
+      const fixed = nodes.filter((n) => n.id !== nodeId && hasFixedChannel(n))
+      const taken = channelsHeldBy(fixed)
+      const blocker = fixed.find((n) => channelsHeldBy([n]).has(added))
+      const later = nodes
+        .filter((n) => n.id !== nodeId && !hasFixedChannel(n) && channelOf(n) !== null && channelOf(n) >= added)
+        .sort(compareChannelOrder)
+      let next = added + 1
+      for (const n of blocker ? [] : later) {
+        if (channelOf(n) >= next) break
+        const start = freeChannelRun(taken, next, inputCountOf(n))
+        if (start === null) {
+          setError('There are not enough free channels to move the following inputs up.')
+          return
+        }
+        channels.set(n.id, start)
+        next = start + inputCountOf(n)
       }
-    } catch (e) {
-      setError(String(e?.message || e))
-    } finally {
-      setIsBusy(false)
+      if (blocker) setError(`Channel ${added} is locked to ${nodeName(blocker)}, so the new input shares it.`)
     }
+
+    const { mic = '', stand = '', notes = '', cables = '' } = node.profile || {}
+    const inputs = nodeInputs(node) || [newNodeInput({ mic, stand, notes, cables })]
+    setNodes(
+      (prev) =>
+        prev.map((n) => {
+          if (n.id === nodeId) return { ...n, inputs: [...inputs, newNodeInput()] }
+          return channels.has(n.id) ? { ...n, channel: channels.get(n.id) } : n
+        }),
+      `Add input to ${nodeName(node)}`
+    )
   }
 
-  const loadPlot = async () => {
-    if (!auth.user) {
-      setError('Please sign in to load saved plots.')
-      return
+  // Down to one input, the icon goes back to keeping it in its profile.
+  const removeNodeInput = (nodeId, inputId) => {
+    const node = nodes.find((n) => n.id === nodeId)
+    const inputs = nodeInputs(node)
+    if (!inputs || previewRevision) return
+    const rest = inputs.filter((input) => input.id !== inputId)
+    const collapse = (n) => {
+      const { name, mic, stand, notes, cables } = rest[0]
+      const { inputs: _inputs, ...others } = n
+      const instrument = name || n.profile?.instrument || ''
+      return { ...others, profile: { ...n.profile, instrument, mic, stand, notes, cables } }
     }
+    setNodes(
+      (prev) => prev.map((n) => (n.id !== nodeId ? n : rest.length > 1 ? { ...n, inputs: rest } : collapse(n))),
+      `Remove input from ${nodeName(node)}`
+    )
+  }
 
-    const id = plotPickerId.trim()
-    if (!id) {
-      setError('Select a saved plot to load.')
+  const moveNodeInput = (nodeId, inputId, delta) => {
+    const node = nodes.find((n) => n.id === nodeId)
+    const inputs = nodeInputs(node)
+    const from = inputs ? inputs.findIndex((input) => input.id === inputId) : -1
+    const to = from + delta
+    if (from < 0 || to < 0 || to >= inputs.length || previewRevision) return
+    const next = [...inputs]
+    next.splice(to, 0, next.splice(from, 1)[0])
+    setNodes(
+      (prev) => prev.map((n) => (n.id === nodeId ? { ...n, inputs: next } : n)),
+      `Reorder inputs of ${nodeName(node)}`
+    )
+  }
+
+  const setChannelNumber = (nodeId, channel) => {
+    const node = nodes.find((n) => n.id === nodeId)
+    if (!node || previewRevision || hasFixedChannel(node)) return
+    setNodes(
+      (prev) => prev.map((n) => (n.id === nodeId ? { ...n, channel } : n)),
+      `${channel === null ? 'Clear' : 'Set'} channel of ${nodeName(node)}`
+    )
+  }
+
+  const toggleChannelLock = (nodeId) => {
+    const node = nodes.find((n) => n.id === nodeId)
+    if (!node || previewRevision || channelOf(node) === null) return
+    const channelLocked = !node.channelLocked
+    setNodes(
+      (prev) => prev.map((n) => (n.id === nodeId ? { ...n, channelLocked } : n)),
+      `${channelLocked ? 'Lock' : 'Unlock'} channel of ${nodeName(node)}`
+    )
+  }
+
+  // Dropping a row on another moves its icon to that place. Unlocked icons share out their existing numbers
+  // in the new order, so gaps stay put unless a longer run of inputs needs the room; locked icons keep theirs.
+  const moveChannelRow = (nodeId, targetId) => {
+    if (previewRevision || nodeId === targetId) return
+    const ordered = nodes.filter((n) => n?.type === 'asset').sort(compareChannelOrder)
+    const from = ordered.findIndex((n) => n.id === nodeId)
+    const to = ordered.findIndex((n) => n.id === targetId)
+    if (from < 0 || to < 0 || hasFixedChannel(ordered[from])) return
+    const [moved] = ordered.splice(from, 1)
+    ordered.splice(to, 0, moved)
+
+    const renumbered = ordered.filter((n) => !hasFixedChannel(n) && (channelOf(n) !== null || n.id === nodeId))
+    const slots = renumbered.map(channelOf).filter((c) => c !== null).sort((a, b) => a - b)
+    if (slots.length < renumbered.length) {
+      const next = nextChannelNumber(nodes)
+      if (next === null) return
+      slots.push(next)
+    }
+    const taken = channelsHeldBy(nodes.filter(hasFixedChannel))
+    const channels = new Map()
+    let next = 1
+    for (const [i, n] of renumbered.entries()) {
+      const channel = freeChannelRun(taken, Math.max(slots[i], next), inputCountOf(n))
+      if (channel === null) return
+      channels.set(n.id, channel)
+      next = channel + inputCountOf(n)
+    }
+    setNodes(
+      (prev) => prev.map((n) => (channels.has(n.id) ? { ...n, channel: channels.get(n.id) } : n)),
+      `Move ${nodeName(moved)} to channel ${channels.get(nodeId)}`
+    )
+  }
+
+  const autoNumberChannelList = () => {
+    if (previewRevision || !visualInputRows.length) return
+    setNodes((prev) => autoNumberChannels(prev), 'Auto-number channels')
+  }
+
+  // Picking a row selects just that icon, entering its group if it has one.
+  const selectChannelRow = (nodeId) => {
+    const node = selectableNodes.find((n) => n.id === nodeId)
+    if (!node || previewRevision) return
+    setEnteredGroupId(groupMemberIds.has(node.groupId) ? node.groupId : null)
+    setSelectedIds([nodeId])
+  }
+
+  // Groups move as a whole, locked members included, so a group never spans layers.
+  const moveSelectionToLayer = (layerId) => {
+    const layer = layersById.get(layerId)
+    setNodes(
+      (prev) =>
+        prev.map((n) => (selectedIdSet.has(n.id) || selectedGroupIds.has(n.groupId) ? { ...n, layerId } : n)),
+      `${selectionLabel('Move')} to ${layer?.name || 'Unassigned'}`
+    )
+    if (layer && (!layer.visible || layer.locked)) setSelectedIds([])
+  }
+
+  // Edits that apply as you type or drag a slider. Further edits under the same key replace the previous
+  // one in the history, so the whole edit undoes in one step. A null key always starts a new step.
+  const continuedEditRef = useRef(null)
+
+  const setPlotContinued = (key, label, updater) => {
+    if (!key) {
+      continuedEditRef.current = null
+      setPlot(updater, label)
       return
     }
+    if (continuedEditRef.current?.key !== key) continuedEditRef.current = { key, token: uid() }
+    setPlot(updater, label, `${key}#${continuedEditRef.current.token}`)
+  }
 
+  const endContinuedEdit = () => {
+    continuedEditRef.current = null
+  }
+
+  const editInspectedNodes = (field, updater, what) => {
+    const key = field ? `inspector:${field}:${selectedIds.join(',')}` : null
+    setPlotContinued(key, selectionLabel(`Set ${what} of`), (prev) => ({
+      ...prev,
+      nodes: prev.nodes.map((n) => (selectedIdSet.has(n.id) && !n.locked ? updater(n) : n)),
+    }))
+  }
+
+  // New underlays span the deck's width from its upstage-left corner; calibration sets the real scale.
+  // They start locked so clicks on the deck still select and marquee; unlocking lets the image be dragged.
+  const uploadUnderlay = async (file) => {
     setIsBusy(true)
     setError('')
     try {
-      const loaded = await API.getPlot(id)
-      setNodes(Array.isArray(loaded?.state) ? loaded.state : [])
-      setSelectedId(null)
-      setCurrentPlotId(String(loaded?._id || id))
-      setPlotName(String(loaded?.name || 'Untitled'))
+      if (file.type === 'application/pdf') {
+        file = await renderPdfPage(file, (count) => {
+          const next = window.prompt(`Page to use as the underlay (1–${count}):`, '1')
+          if (next === null) return null
+          const page = Number(next)
+          if (!Number.isInteger(page) || page < 1 || page > count) throw new Error('Enter a valid page number.')
+          return page
+        })
+        if (!file) return
+      }
+      const url = URL.createObjectURL(file)
+      const size = await new Promise((resolve, reject) => {
+        const img = new window.Image()
+        img.onload = () => resolve({ width: img.naturalWidth, height: img.naturalHeight })
+        img.onerror = () => reject(new Error('Could not read that image'))
+        img.src = url
+      }).finally(() => URL.revokeObjectURL(url))
+      if (!size.width || !size.height) throw new Error('Could not read that image')
+      const { fileId } = await API.uploadUnderlay(file)
+      const width = stageSettings.width
+      const height = roundTo(Math.min((width * size.height) / size.width, MAX_STAGE_DIMENSION), 3)
+      const previous = stageSettings.underlay
+      const underlay = {
+        fileId,
+        x: 0,
+        y: 0,
+        width,
+        height,
+        opacity: previous?.opacity ?? 0.5,
+        locked: true,
+        visible: true,
+        exported: previous?.exported ?? false,
+      }
+      setStageSettings({ underlay }, previous ? 'Replace underlay' : 'Add underlay')
     } catch (e) {
       setError(String(e?.message || e))
     } finally {
@@ -890,882 +3148,4505 @@ export default function StageBuilder() {
     }
   }
 
-  if (auth.isLoading) {
-    return <div className="px-4 py-6 text-sm text-slate-600">Loading…</div>
+  const updateUnderlay = (patch, continuedKey = null) => {
+    setPlotContinued(continuedKey && `underlay:${continuedKey}`, underlayChangeLabel(patch), (prev) =>
+      prev.stage.underlay
+        ? { ...prev, stage: normalizeStage({ ...prev.stage, underlay: { ...prev.stage.underlay, ...patch } }) }
+        : prev
+    )
   }
 
-  if (!auth.user) {
-    return (
-      <div className="w-full min-h-screen bg-slate-50 text-slate-900 flex flex-col">
-        <header className="sp-toolbar">
-          <nav className="sp-toolbar-nav" aria-label="Stage Plot Builder toolbar">
-            <div className="sp-toolbar-left">
-              <div className="sp-brand-mark" aria-hidden="true">
-                <span className="material-symbols-outlined text-[20px] leading-none">scatter_plot</span>
-              </div>
-              <div className="sp-brand-text">
-                <div className="sp-brand-title">ShowPlot</div>
-                <div className="sp-brand-subtitle">Stage Plot Builder</div>
-              </div>
-            </div>
+  // Two-point calibration: { points } in stage units while the user clicks two spots on the underlay.
+  const [calibration, setCalibration] = useState(null)
 
-            <div className="sp-toolbar-center" />
+  const removeUnderlay = () => {
+    if (!window.confirm('Remove the underlay image from this plot?')) return
+    setCalibration(null)
+    setStageSettings({ underlay: null }, 'Remove underlay')
+  }
 
-            <div className="sp-toolbar-right">
-              <div className="sp-actions">
-                <details className="relative z-30" ref={menuRef}>
-                  <summary className="list-none cursor-pointer sp-icon-btn">
-                    <span className="material-symbols-outlined text-[20px] leading-none">menu</span>
-                    <span className="sr-only">Menu</span>
-                  </summary>
-                  <div className="absolute right-0 z-40 mt-2 w-56 rounded-xl border border-slate-200 bg-white p-1 shadow-sm">
-                    <div className="px-3 py-2 text-[11px] font-semibold uppercase tracking-wide text-slate-500">Support</div>
-                    <a
-                      href="/feedback"
-                      onClick={() => {
-                        if (menuRef.current) menuRef.current.open = false
-                      }}
-                      className="block rounded-lg px-3 py-2 text-sm font-medium text-slate-700 hover:bg-slate-50"
-                    >
-                      Feedback
-                    </a>
-                    <div className="my-1 h-px bg-slate-200" />
-                    <div className="px-3 py-2 text-[11px] font-semibold uppercase tracking-wide text-slate-500">Legal</div>
-                    <a
-                      href="/privacy"
-                      onClick={() => {
-                        if (menuRef.current) menuRef.current.open = false
-                      }}
-                      className="block rounded-lg px-3 py-2 text-sm font-medium text-slate-700 hover:bg-slate-50"
-                    >
-                      Privacy
-                    </a>
-                    <a
-                      href="/terms"
-                      onClick={() => {
-                        if (menuRef.current) menuRef.current.open = false
-                      }}
-                      className="block rounded-lg px-3 py-2 text-sm font-medium text-slate-700 hover:bg-slate-50"
-                    >
-                      Terms
-                    </a>
-                  </div>
-                </details>
-              </div>
-            </div>
-          </nav>
-        </header>
+  // Scales the underlay about the first point so the two points end up the entered distance apart.
+  const pickCalibrationPoint = (worldPos) => {
+    const point = { x: worldPos.x / unitPx, y: worldPos.y / unitPx }
+    const points = [...(calibration?.points || []), point]
+    if (points.length < 2) {
+      setCalibration({ points })
+      return
+    }
+    setCalibration({ points })
+    const [a, b] = points
+    const measured = Math.hypot(b.x - a.x, b.y - a.y)
+    const answer = measured
+      ? window.prompt(`Real distance between the two points (${stageSettings.unit}):`, String(roundTo(measured, 2)))
+      : null
+    setCalibration(null)
+    const real = Number(answer)
+    const underlay = stageSettings.underlay
+    if (answer === null || !underlay || !(real > 0)) return
+    const factor = real / measured
+    if (Math.max(underlay.width, underlay.height) * factor > MAX_STAGE_DIMENSION) {
+      setError('That distance would make the underlay larger than the maximum stage size.')
+      return
+    }
+    updateUnderlay({
+      x: roundTo(a.x + (underlay.x - a.x) * factor, 3),
+      y: roundTo(a.y + (underlay.y - a.y) * factor, 3),
+      width: roundTo(underlay.width * factor, 3),
+      height: roundTo(underlay.height * factor, 3),
+      locked: true,
+    })
+  }
 
-        <main className="flex-1 px-4 py-4 md:px-6 md:py-6">
-          <SignIn title="Sign in to build and save" subtitle="Google Sign-In is required to use the builder." />
-        </main>
-      </div>
-    )
+  useEffect(() => {
+    const onMove = (ev) => {
+      const drag = mobileDragRef.current
+      if (!drag) return
+      ev.preventDefault()
+      setMobileDragPreview({ asset: drag.asset, x: ev.clientX, y: ev.clientY })
+    }
+
+    const onUp = (ev) => {
+      const drag = mobileDragRef.current
+      if (!drag) return
+      mobileDragRef.current = null
+      setMobileDragPreview(null)
+
+      const point = clientToStagePoint(ev.clientX, ev.clientY)
+      if (!point) return
+      addNodeAt(drag.asset, point.x, point.y)
+    }
+
+    window.addEventListener('pointermove', onMove, { passive: false })
+    window.addEventListener('pointerup', onUp)
+    window.addEventListener('pointercancel', onUp)
+    return () => {
+      window.removeEventListener('pointermove', onMove)
+      window.removeEventListener('pointerup', onUp)
+      window.removeEventListener('pointercancel', onUp)
+    }
+  }, [addNodeAt, clientToStagePoint])
+
+  const onDrop = (ev) => {
+    ev.preventDefault()
+    const shapeType = ev.dataTransfer.getData('application/showplot-shape-type')
+    if (SHAPE_TYPES[shapeType]) {
+      const point = clientToStagePoint(ev.clientX, ev.clientY)
+      if (point) addShapeAt(shapeType, point.x, point.y)
+      return
+    }
+    const assetId = ev.dataTransfer.getData('application/showplot-asset-id')
+    const asset = assets.find((a) => a._id === assetId)
+    if (!asset) return
+    const point = clientToStagePoint(ev.clientX, ev.clientY)
+    if (!point) return
+    addNodeAt(asset, point.x, point.y)
   }
 
-  return (
-    <div className="w-full flex-1 min-h-0 bg-slate-50 text-slate-900 flex flex-col">
-      <header className="sp-toolbar">
-        <nav className="sp-toolbar-nav" aria-label="Stage Plot Builder toolbar">
-          <div className="sp-toolbar-left">
-            <div className="sp-brand-mark" aria-hidden="true">
-              <span className="material-symbols-outlined text-[20px] leading-none">scatter_plot</span>
-            </div>
-            <div className="sp-brand-text">
-              <div className="sp-brand-title">ShowPlot</div>
-              <div className="sp-brand-subtitle">Stage Plot Builder</div>
-            </div>
-          </div>
+  const touchGestureRef = useRef(null)
 
-          <div className="sp-toolbar-center">
-            <div className="sp-flow">
-              <div className="sp-group flex-1 max-w-[520px]" role="group" aria-label="Plot name and save">
-                <label className="sr-only" htmlFor="plotName">Plot name</label>
-                <input
-                  id="plotName"
-                  value={plotName}
-                  onChange={(e) => setPlotName(e.target.value)}
-                  placeholder="Plot name"
-                  className="sp-field-input"
-                />
-                <button
-                  type="button"
-                  onClick={savePlot}
-                  disabled={isBusy}
-                  className="sp-btn-primary"
-                >
-                  Save
-                </button>
-              </div>
+  // Rubber-band selection in world pixels; `additive` keeps the existing selection (shift/ctrl/cmd).
+  const [marquee, setMarquee] = useState(null)
 
-              <div className="sp-divider" aria-hidden="true" />
+  const onStagePointerDown = (e) => {
+    const stage = e.target?.getStage?.()
+    if (!stage || e.target !== stage) return
+    if (calibration) {
+      const pos = stage.getRelativePointerPosition()
+      if (pos) pickCalibrationPoint(pos)
+      return
+    }
+    const additive = Boolean(e.evt?.shiftKey || e.evt?.ctrlKey || e.evt?.metaKey)
+    if (!additive) setEnteredGroupId(null)
+    const pos = e.evt?.type === 'mousedown' && !previewRevision ? stage.getRelativePointerPosition() : null
+    if (pos) {
+      setMarquee({ x1: pos.x, y1: pos.y, x2: pos.x, y2: pos.y, additive })
+      return
+    }
+    if (!additive) setSelectedIds([])
+  }
 
-              <div className="sp-group" role="group" aria-label="Saved plots and load">
-                <label className="sr-only" htmlFor="savedPlot">Saved plots</label>
-                <select
-                  id="savedPlot"
-                  value={plotPickerId}
-                  onChange={(e) => setPlotPickerId(e.target.value)}
-                  className="sp-field-select"
-                >
-                  <option value="">Saved Plots</option>
-                  {savedPlots.map((p) => (
-                    <option key={p._id} value={p._id}>
-                      {p.name || 'Untitled'}
-                    </option>
-                  ))}
-                </select>
+  const onStageMouseMove = (e) => {
+    if (!marquee) return
+    const pos = e.target?.getStage?.()?.getRelativePointerPosition()
+    if (pos) setMarquee((prev) => (prev ? { ...prev, x2: pos.x, y2: pos.y } : prev))
+  }
 
-                <button
-                  type="button"
-                  onClick={loadPlot}
-                  disabled={isBusy}
-                  className="sp-btn-secondary"
-                >
-                  Load
-                </button>
-              </div>
+  useEffect(() => {
+    if (!marquee) return
+    // Listen on window so releasing the button outside the canvas still ends the marquee.
+    const onUp = () => {
+      setMarquee(null)
+      const left = Math.min(marquee.x1, marquee.x2)
+      const right = Math.max(marquee.x1, marquee.x2)
+      const top = Math.min(marquee.y1, marquee.y2)
+      const bottom = Math.max(marquee.y1, marquee.y2)
+      const minSize = 3 / stageView.scale
+      if (right - left < minSize && bottom - top < minSize) {
+        if (!marquee.additive) setSelectedIds([])
+        return
+      }
+      const hits = selectableNodes
+        .filter((n) => {
+          const box = nodeBounds([n], unitPx)
+          return box.right >= left && box.left <= right && box.bottom >= top && box.top <= bottom
+        })
+        .flatMap((n) =>
+          groupMemberIds.has(n.groupId) && n.groupId !== enteredGroupId ? groupMemberIds.get(n.groupId) : [n.id]
+        )
+      setSelectedIds((prev) => [...new Set(marquee.additive ? [...prev, ...hits] : hits)])
+    }
+    window.addEventListener('mouseup', onUp)
+    return () => window.removeEventListener('mouseup', onUp)
+  }, [marquee, selectableNodes, unitPx, stageView.scale, groupMemberIds, enteredGroupId])
 
-              <div className="sp-divider" aria-hidden="true" />
+  const onStageTouchStart = (e) => {
+    const stage = stageRef.current
+    if (!stage) return
 
-              <button
-                type="button"
-                onClick={() => {
-                  setNodes(() => [])
-                  setSelectedId(null)
-                  setCurrentPlotId('')
-                  setPlotPickerId('')
-                  setPlotName('')
-                }}
-                className="sp-btn-reset hidden sm:inline-flex"
-              >
-                New
-              </button>
+    const touch1 = e.evt.touches?.[0]
+    const touch2 = e.evt.touches?.[1]
+    if (!touch1 || !touch2) {
+      touchGestureRef.current = null
+      return
+    }
 
-              <div className="sp-divider hidden sm:block" aria-hidden="true" />
+    const dx = touch2.clientX - touch1.clientX
+    const dy = touch2.clientY - touch1.clientY
+    const dist = Math.sqrt(dx * dx + dy * dy)
+    const angle = Math.atan2(dy, dx)
 
-              <details className="relative z-30 hidden sm:block">
-                <summary className="list-none cursor-pointer sp-btn-export">
-                  <span className="material-symbols-outlined text-[18px] leading-none">download</span>
-                  Export
-                </summary>
-                <div className="absolute right-0 z-50 mt-2 w-44 rounded-xl border border-slate-200 bg-white p-1 shadow-sm">
-                  <button
-                    type="button"
-                    onClick={exportPDF}
-                    disabled={isBusy}
-                    className="w-full rounded-lg px-3 py-2 text-left text-sm font-medium text-slate-700 hover:bg-slate-50 disabled:text-slate-400"
-                  >
-                    PDF
-                  </button>
-                  <button
-                    type="button"
-                    onClick={exportCSV}
-                    disabled={isBusy}
-                    className="w-full rounded-lg px-3 py-2 text-left text-sm font-medium text-slate-700 hover:bg-slate-50 disabled:text-slate-400"
-                  >
-                    CSV
-                  </button>
-                  <button
-                    type="button"
-                    onClick={exportExcel}
-                    disabled={isBusy}
-                    className="w-full rounded-lg px-3 py-2 text-left text-sm font-medium text-slate-700 hover:bg-slate-50 disabled:text-slate-400"
-                  >
-                    Excel
-                  </button>
-                </div>
-              </details>
-            </div>
-          </div>
+    // With nothing selected two fingers pinch-zoom and pan the view instead of the node.
+    if (!selectedNode) {
+      const content = getStageContentRect()
+      if (!content) return
+      touchGestureRef.current = {
+        kind: 'view',
+        dist,
+        midX: (touch1.clientX + touch2.clientX) / 2 - content.left,
+        midY: (touch1.clientY + touch2.clientY) / 2 - content.top,
+        view: stageView,
+      }
+      return
+    }
 
-          <div className="sp-toolbar-right">
-            <div className="sp-actions">
-              <details className="relative z-30" ref={menuRef}>
-                <summary className="list-none cursor-pointer sp-icon-btn">
-                  <span className="material-symbols-outlined text-[20px] leading-none">menu</span>
-                  <span className="sr-only">Menu</span>
-                </summary>
-                <div className="absolute right-0 z-50 mt-2 w-60 rounded-xl border border-slate-200 bg-white p-1 shadow-sm">
-              <div className="px-3 py-2">
-                <div className="flex items-center gap-3">
-                  {auth.user?.picture ? (
-                    <img
-                      src={auth.user.picture}
-                      alt=""
-                      className="h-9 w-9 rounded-full border border-slate-200"
-                      referrerPolicy="no-referrer"
-                    />
-                  ) : (
-                    <div className="h-9 w-9 rounded-full border border-slate-200 bg-slate-50" />
-                  )}
-                  <div className="min-w-0">
-                    <div className="truncate text-sm font-semibold text-slate-900">
-                      {auth.user?.name || 'Signed in'}
-                    </div>
-                    <div className="truncate text-xs text-slate-500">{auth.user?.email || ''}</div>
-                  </div>
-                </div>
-              </div>
+    touchGestureRef.current = {
+      kind: 'node',
+      // Every frame of one pinch lands in the same undo entry.
+      key: `pinch:${uid()}`,
+      dist,
+      angle,
+      startScale: selectedNode.scale || 1,
+      startRotation: selectedNode.rotation || 0,
+      nodeId: selectedNode.id,
+    }
+  }
 
-              <div className="my-1 h-px bg-slate-200" />
-              <div className="px-3 py-2 text-[11px] font-semibold uppercase tracking-wide text-slate-500">Account</div>
-              <a
-                href="/profile"
-                onClick={() => {
-                  if (menuRef.current) menuRef.current.open = false
-                }}
-                className="block rounded-lg px-3 py-2 text-sm font-medium text-slate-700 hover:bg-slate-50"
-              >
-                Profile
-              </a>
-              <a
-                href="/settings"
+  const onStageTouchMove = (e) => {
+    const g = touchGestureRef.current
+    if (!g) return
+    const touch1 = e.evt.touches?.[0]
+    const touch2 = e.evt.touches?.[1]
+    if (!touch1 || !touch2) return
+    e.evt.preventDefault()
+
+    const dx = touch2.clientX - touch1.clientX
+    const dy = touch2.clientY - touch1.clientY
+    const dist = Math.sqrt(dx * dx + dy * dy)
+    const angle = Math.atan2(dy, dx)
+
+    if (g.kind === 'view') {
+      const content = getStageContentRect()
+      if (!content) return
+      const midX = (touch1.clientX + touch2.clientX) / 2 - content.left
+      const midY = (touch1.clientY + touch2.clientY) / 2 - content.top
+      const scale = clamp(g.view.scale * (dist / g.dist), fitView.scale * MIN_ZOOM, fitView.scale * MAX_ZOOM)
+      const worldX = (g.midX - g.view.x) / g.view.scale
+      const worldY = (g.midY - g.view.y) / g.view.scale
+      setViewport({ scale, x: midX - worldX * scale, y: midY - worldY * scale })
+      return
+    }
+
+    const scale = clamp(g.startScale * (dist / g.dist), 0.25, 4)
+    const rotation = g.startRotation + ((angle - g.angle) * 180) / Math.PI
+
+    setNodes(
+      (prev) => prev.map((n) => (n.id === g.nodeId ? { ...n, scale, rotation } : n)),
+      `Pinch ${selectedNode ? nodeName(selectedNode) : 'item'}`,
+      g.key
+    )
+  }
+
+  // The stage area and its markers as a PNG data URL at roughly 160 px per meter regardless of zoom,
+  // without layers left out of exports, selection handles or (unless asked for) the underlay.
+  const captureStageImage = (stage) => {
+    const hidden = [...unexportedLayerIds.map((id) => stage.findOne(`#layer-${id}`)), ...stage.find('.editor-chrome')]
+    if (!displayStage.underlay?.exported) hidden.push(stage.findOne('#stage-underlay'))
+    return withNodesHidden(hidden, () =>
+      stage.toDataURL({
+        x: stageView.x + worldBox.x * stageView.scale,
+        y: stageView.y + worldBox.y * stageView.scale,
+        width: worldBox.width * stageView.scale,
+        height: worldBox.height * stageView.scale,
+        pixelRatio: clamp(2 / stageView.scale, 1, 6),
+      })
+    )
+  }
+
+  const exportPNG = async () => {
+    const stage = stageRef.current
+    if (!stage) return
+    setIsBusy(true)
+    setError('')
+    try {
+      const blob = await (await fetch(captureStageImage(stage))).blob()
+      downloadBlob(`${toSafeFilename(plotName) || 'showplot'}-plot.png`, blob)
+    } catch (e) {
+      setError(String(e?.message || e))
+    } finally {
+      setIsBusy(false)
+    }
+  }
+
+  const exportPDF = async () => {
+    const stage = stageRef.current
+    if (!stage) return
+    setIsBusy(true)
+    setError('')
+
+    try {
+      const stageDataUrl = captureStageImage(stage)
+      const exportEl = exportRef.current
+      if (!exportEl) throw new Error('Export surface not ready')
+
+      const imgEl = exportEl.querySelector('img[data-stage-image]')
+      if (imgEl) imgEl.src = stageDataUrl
+
+      await new Promise((r) => setTimeout(r, 50))
+      const canvas = await html2canvas(exportEl, {
+        backgroundColor: '#ffffff',
+        scale: 2,
+      })
+
+      const pdf = new jsPDF({ orientation: 'portrait', unit: 'pt', format: 'a4' })
+      const pageWidth = pdf.internal.pageSize.getWidth()
+      const pageHeight = pdf.internal.pageSize.getHeight()
+
+      const imgData = canvas.toDataURL('image/png')
+      const ratio = Math.min(pageWidth / canvas.width, pageHeight / canvas.height)
+      const w = canvas.width * ratio
+      const h = canvas.height * ratio
+      const x = (pageWidth - w) / 2
+      const y = (pageHeight - h) / 2
+
+      pdf.addImage(imgData, 'PNG', x, y, w, h)
+      const safeName = toSafeFilename(plotName) || 'showplot'
+      pdf.save(`${safeName}-inputs.pdf`)
+    } catch (e) {
+      setError(String(e?.message || e))
+    } finally {
+      setIsBusy(false)
+    }
+  }
+
+  const exportCSV = () => {
+    try {
+      // Match the layout pattern from the AFRIMA channel list CSV:
+      // - blank spacer rows
+      // - title row
+      // - leading empty column + trailing empty column
+      const title = 'AFRIMA AWARD 2026 EKO HOTEL CHANNEL LIST '
+      const headerRow = ['', 'TOTAL', 'INSTRUMENT', 'MIC / DI', 'STAND', 'NOTES', 'CABLES', '']
+
+      const escape = (value) => {
+        const s = String(value ?? '')
+        if (/[\n\r,"]/g.test(s)) return `"${s.replaceAll('"', '""')}"`
+        return s
+      }
+
+      const blankRow = new Array(headerRow.length).fill('')
+
+      const lines = []
+      lines.push(blankRow.map(escape).join(','))
+      lines.push(['', title, '', '', '', '', '', ''].map(escape).join(','))
+      lines.push(blankRow.map(escape).join(','))
+      lines.push(headerRow.map(escape).join(','))
+
+      let lastGroupId = null
+      for (const r of visualInputRows) {
+        if (groupChannelList && r.groupId !== lastGroupId) {
+          lastGroupId = r.groupId
+          lines.push(['', '', r.group || 'Ungrouped', '', '', '', '', ''].map(escape).join(','))
+        }
+        lines.push(
+          [
+            '',
+            r.order,
+            r.instrument || r.item,
+            r.mic,
+            r.stand,
+            r.notes,
+            r.cables,
+            '',
+          ]
+            .map(escape)
+            .join(',')
+        )
+      }
+
+      const csv = lines.join('\n')
+      downloadBlob('showplot-inputs.csv', new Blob([csv], { type: 'text/csv;charset=utf-8' }))
+    } catch (e) {
+      setError(String(e?.message || e))
+    }
+  }
+
+  const exportExcel = () => {
+    try {
+      const title = 'AFRIMA AWARD 2026 EKO HOTEL CHANNEL LIST '
+      const aoa = []
+      aoa.push(['', '', '', '', '', '', '', ''])
+      aoa.push(['', title, '', '', '', '', '', ''])
+      aoa.push(['', '', '', '', '', '', '', ''])
+      aoa.push(['', 'TOTAL', 'INSTRUMENT', 'MIC / DI', 'STAND', 'NOTES', 'CABLES', ''])
+
+      let lastGroupId = null
+      for (const r of visualInputRows) {
+        if (groupChannelList && r.groupId !== lastGroupId) {
+          lastGroupId = r.groupId
+          aoa.push(['', '', r.group || 'Ungrouped', '', '', '', '', ''])
+        }
+        aoa.push(['', r.order, r.instrument || r.item, r.mic, r.stand, r.notes, r.cables, ''])
+      }
+
+      const ws = XLSX.utils.aoa_to_sheet(aoa)
+      const wb = XLSX.utils.book_new()
+      XLSX.utils.book_append_sheet(wb, ws, 'Inputs')
+      XLSX.writeFile(wb, 'showplot-inputs.xlsx')
+    } catch (e) {
+      setError(String(e?.message || e))
+    }
+  }
+
+  const exportShowplotFile = () => {
+    try {
+      const assetIds = [...new Set(nodes.map((n) => n.assetId).filter(Boolean))]
+      const doc = {
+        format: SHOWPLOT_FILE_FORMAT,
+        schemaVersion: PLOT_SCHEMA_VERSION,
+        exportedAt: new Date().toISOString(),
+        plot: {
+          name: (plotName || '').trim() || 'Untitled',
+          stage: stageSettings,
+          nodes,
+          groups,
+          layers,
+          inputs: visualInputRows.map((r) => ({
+            id: r.nodeId,
+            channel: String(r.order),
+            instrument: r.instrument || r.item,
+            mic: r.mic,
+            stand: r.stand,
+            notes: r.notes,
+            cables: r.cables,
+          })),
+        },
+        // Asset ids differ between environments; name and category let the importer find a match.
+        assets: assetIds.map((id) => {
+          const asset = assetsById.get(id)
+          return { id, name: asset?.name || '', category: asset?.category || '', section: asset?.section || '' }
+        }),
+      }
+      const safeName = toSafeFilename(plotName) || 'showplot'
+      const json = JSON.stringify(doc, null, 2)
+      downloadBlob(`${safeName}${SHOWPLOT_FILE_EXTENSION}`, new Blob([json], { type: 'application/json' }))
+    } catch (e) {
+      setError(String(e?.message || e))
+    }
+  }
+
+  const importShowplotFile = async (file) => {
+    if (!file) return
+    if (!auth.user) {
+      setError('Please sign in to import plots.')
+      return
+    }
+    setIsBusy(true)
+    setError('')
+    try {
+      let doc
+      try {
+        doc = JSON.parse(await file.text())
+      } catch {
+        throw new Error('This file is not valid ShowPlot JSON.')
+      }
+      const imported = await API.importPlot(doc)
+      const importedPlot = plotFromDocument(imported)
+      plotHistory.reset(importedPlot, 'Import plot')
+      setBaselinePlot(importedPlot)
+      setCurrentRevision(Number(imported?.revision) || 0)
+      setSaveConflict(null)
+      setSaveStatus('idle')
+      setSelectedIds([])
+      setPreviewRevision(null)
+      setCurrentPlotId(String(imported._id))
+      setPlotPickerId(String(imported._id))
+      setPlotName(String(imported?.name || 'Untitled'))
+      await refreshSavedPlots()
+      const missing = Array.isArray(imported?.missingAssets) ? imported.missingAssets : []
+      if (missing.length) {
+        setError(`Imported without ${missing.length} missing icon(s): ${missing.join(', ')}`)
+      }
+    } catch (e) {
+      setError(String(e?.message || e))
+    } finally {
+      setIsBusy(false)
+    }
+  }
+
+  // Resolves to true once the plot is saved.
+  const savePlot = async (message = '') => {
+    if (!auth.user) {
+      setError('Please sign in to save plots.')
+      return
+    }
+    setIsBusy(true)
+    setError('')
+    isSavingRef.current = true
+    try {
+      let baseRevision = currentRevision
+      // Let a running autosave finish so this save is based on the revision it created.
+      if (autosaveRequestRef.current) {
+        const revision = await autosaveRequestRef.current
+        if (revision === null) return
+        baseRevision = revision
+      }
+
+      let name = (plotName || '').trim()
+      if (!name) {
+        const next = window.prompt('Plot name:', 'Untitled')
+        if (next === null) return
+        name = String(next || '').trim() || 'Untitled'
+        setPlotName(name)
+      }
+
+      setSaveStatus('saving')
+      const sent = plot
+      const saved = await API.savePlot({
+        plotId: currentPlotId || undefined,
+        baseRevision: currentPlotId ? baseRevision : undefined,
+        name,
+        state: sent.nodes,
+        stage: sent.stage,
+        groups: sent.groups,
+        layers: sent.layers,
+        message: message || undefined,
+      })
+      setBaselinePlot(sent)
+      setCurrentRevision(Number(saved?.revision) || 0)
+      if (draftKey) clearDraft(draftKey)
+      setSaveStatus('saved')
+      if (saved?._id) {
+        setCurrentPlotId(String(saved._id))
+        setPlotPickerId(String(saved._id))
+        await refreshSavedPlots()
+        if (isHistoryOpen && String(saved._id) === currentPlotId) await refreshPlotVersions()
+      }
+      return true
+    } catch (e) {
+      setSaveStatus('error')
+      if (e?.status === 409 && e.current) setSaveConflict({ mine: nodes, theirs: e.current })
+      else setError(String(e?.message || e))
+    } finally {
+      isSavingRef.current = false
+      setIsBusy(false)
+    }
+  }
+
+  const loadPlot = async () => {
+    if (!auth.user) {
+      setError('Please sign in to load saved plots.')
+      return
+    }
+
+    const id = plotPickerId.trim()
+    if (!id) {
+      setError('Select a saved plot to load.')
+      return
+    }
+
+    setIsBusy(true)
+    setError('')
+    try {
+      const loaded = await API.getPlot(id)
+      const loadedPlot = plotFromDocument(loaded)
+      plotHistory.reset(loadedPlot, 'Open plot')
+      setBaselinePlot(loadedPlot)
+      setCurrentRevision(Number(loaded?.revision) || 0)
+      setSaveConflict(null)
+      setSaveStatus('idle')
+      setSelectedIds([])
+      setPreviewRevision(null)
+      setCurrentPlotId(String(loaded?._id || id))
+      setPlotName(String(loaded?.name || 'Untitled'))
+    } catch (e) {
+      setError(String(e?.message || e))
+    } finally {
+      setIsBusy(false)
+    }
+  }
+
+  const previewPlotVersion = async (revision) => {
+    if (!currentPlotId) return
+    setIsBusy(true)
+    setError('')
+    try {
+      const loaded = await API.getPlotVersion(currentPlotId, revision)
+      setPreviewRevision({
+        revision: loaded.revision,
+        name: loaded.name || 'Untitled',
+        stage: normalizeStage(loaded.stage),
+        state: Array.isArray(loaded.state) ? loaded.state : [],
+        layers: normalizeLayers(loaded.layers),
+      })
+      setSelectedIds([])
+    } catch (e) {
+      setError(String(e?.message || e))
+    } finally {
+      setIsBusy(false)
+    }
+  }
+
+  const restorePlotVersion = async (revision) => {
+    if (!currentPlotId) return
+    // Unsaved edits are saved as a revision of their own first, so restoring never throws them away.
+    const prompt = isDirty
+      ? `Restore revision ${revision}? Your unsaved changes are saved as a new revision first.`
+      : `Restore revision ${revision}? Your current version stays in the history.`
+    if (!window.confirm(prompt)) return
+    if (isDirty && !(await savePlot(`Before restoring revision ${revision}`))) return
+    setIsBusy(true)
+    setError('')
+    try {
+      const restored = await API.restorePlotVersion(currentPlotId, revision)
+      const restoredPlot = plotFromDocument(restored)
+      plotHistory.reset(restoredPlot, `Restore revision ${revision}`)
+      setBaselinePlot(restoredPlot)
+      setCurrentRevision(Number(restored?.revision) || 0)
+      setPlotName(String(restored?.name || 'Untitled'))
+      setSelectedIds([])
+      setPreviewRevision(null)
+      await Promise.all([refreshPlotVersions(), refreshSavedPlots()])
+    } catch (e) {
+      setError(String(e?.message || e))
+    } finally {
+      setIsBusy(false)
+    }
+  }
+
+  // Starts an unsaved plot, seeded from a template's nodes and stage when one is given.
+  const startNewPlot = (template = null) => {
+    const seeded = template ? plotFromDocument(template) : null
+    const next = seeded ? { ...seeded, nodes: seeded.nodes.map((n) => ({ ...n, id: uid() })) } : createEmptyPlot()
+    plotHistory.reset(next, template ? `New plot from ${template.name || 'template'}` : 'New plot')
+    setBaselinePlot(next)
+    setCurrentRevision(0)
+    setSaveConflict(null)
+    setSaveStatus('idle')
+    setSelectedIds([])
+    setPreviewRevision(null)
+    setIsHistoryOpen(false)
+    setIsTemplateGalleryOpen(false)
+    setCurrentPlotId('')
+    setPlotPickerId('')
+    setPlotName('')
+  }
+
+  const saveAsTemplate = async () => {
+    closePlotMenu()
+    if (!auth.user) {
+      setError('Please sign in to save templates.')
+      return
+    }
+    const next = window.prompt('Template name:', (plotName || '').trim() || 'Untitled')
+    if (next === null) return
+    const name = String(next || '').trim()
+    if (!name) return
+
+    setIsBusy(true)
+    setError('')
+    try {
+      await API.saveTemplate({ name, state: nodes, stage: stageSettings, groups, layers })
+      if (isTemplateGalleryOpen) await refreshTemplates()
+    } catch (e) {
+      setError(String(e?.message || e))
+    } finally {
+      setIsBusy(false)
+    }
+  }
+
+  const deleteTemplate = async (template) => {
+    if (!window.confirm(`Delete template "${template.name}"?`)) return
+    setIsBusy(true)
+    setError('')
+    try {
+      await API.deleteTemplate(template._id)
+      await refreshTemplates()
+    } catch (e) {
+      setError(String(e?.message || e))
+    } finally {
+      setIsBusy(false)
+    }
+  }
+
+  // Saved-plot actions target the plot picked in the dropdown, falling back to the open plot.
+  const managedPlotId = plotPickerId || currentPlotId
+  const managedPlot = savedPlots.find((p) => p._id === managedPlotId) || null
+
+  const closePlotMenu = () => {
+    if (plotMenuRef.current) plotMenuRef.current.open = false
+  }
+
+  const renameManagedPlot = async () => {
+    closePlotMenu()
+    if (!managedPlotId) return
+    const currentName = managedPlot?.name || (managedPlotId === currentPlotId ? plotName : '')
+    const next = window.prompt('Rename plot:', currentName || 'Untitled')
+    if (next === null) return
+    const name = String(next || '').trim()
+    if (!name) return
+
+    setIsBusy(true)
+    setError('')
+    try {
+      await API.renamePlot(managedPlotId, name)
+      if (managedPlotId === currentPlotId) setPlotName(name)
+      await refreshSavedPlots()
+    } catch (e) {
+      setError(String(e?.message || e))
+    } finally {
+      setIsBusy(false)
+    }
+  }
+
+  const duplicateManagedPlot = async () => {
+    closePlotMenu()
+    if (!managedPlotId) return
+    setIsBusy(true)
+    setError('')
+    try {
+      const copy = await API.duplicatePlot(managedPlotId)
+      await refreshSavedPlots()
+      if (copy?._id) setPlotPickerId(String(copy._id))
+    } catch (e) {
+      setError(String(e?.message || e))
+    } finally {
+      setIsBusy(false)
+    }
+  }
+
+  const trashManagedPlot = async () => {
+    closePlotMenu()
+    if (!managedPlotId) return
+    const name = managedPlot?.name || 'this plot'
+    if (!window.confirm(`Move "${name}" to the trash?`)) return
+
+    setIsBusy(true)
+    setError('')
+    try {
+      await API.trashPlot(managedPlotId)
+      if (managedPlotId === currentPlotId) {
+        // Keep the canvas; the next save creates a fresh plot.
+        setCurrentPlotId('')
+        setCurrentRevision(0)
+        setPreviewRevision(null)
+        setIsHistoryOpen(false)
+      }
+      setPlotPickerId('')
+      await refreshSavedPlots()
+      if (isTrashOpen) await refreshTrashedPlots()
+    } catch (e) {
+      setError(String(e?.message || e))
+    } finally {
+      setIsBusy(false)
+    }
+  }
+
+  const restoreTrashedPlot = async (plotId) => {
+    setIsBusy(true)
+    setError('')
+    try {
+      await API.restoreTrashedPlot(plotId)
+      await Promise.all([refreshTrashedPlots(), refreshSavedPlots()])
+    } catch (e) {
+      setError(String(e?.message || e))
+    } finally {
+      setIsBusy(false)
+    }
+  }
+
+  const purgeTrashedPlot = async (plotId) => {
+    const name = trashedPlots.find((p) => p._id === plotId)?.name || 'this plot'
+    if (!window.confirm(`Permanently delete "${name}" and its history? This cannot be undone.`)) return
+    setIsBusy(true)
+    setError('')
+    try {
+      await API.purgePlot(plotId)
+      await refreshTrashedPlots()
+    } catch (e) {
+      setError(String(e?.message || e))
+    } finally {
+      setIsBusy(false)
+    }
+  }
+
+  const stageNodes = previewRevision ? previewRevision.state : nodes
+  const displayLayers = previewRevision ? previewRevision.layers : layers
+  const unexportedLayerIds = displayLayers.filter((l) => !l.exported).map((l) => l.id)
+  // The exported input list leaves out icons on layers that the exported stage image leaves out.
+  const unexportedNodeIds = new Set(nodes.filter((n) => layersById.get(n.layerId)?.exported === false).map((n) => n.id))
+  const exportedInputRows = visualInputRows.filter((row) => !unexportedNodeIds.has(row.nodeId))
+
+  // Channel numbers follow the live channel list, so they're left off while an old revision is shown.
+  const badgeTextFor = (n) => {
+    const content = displayStage.badgeContent
+    if (n.type !== 'asset' || content === 'none') return ''
+    if (content === 'channel') return previewRevision ? '' : formatChannelRange(channelNumbersByNode.get(n.id) || [])
+    return String(n.profile?.[content] || '').trim()
+  }
+
+  // Nodes are stored in stage units; Konva draws them in world pixels.
+  const renderStageNode = (stored, draggable) => {
+    const n = { ...stored, x: (stored.x || 0) * unitPx, y: (stored.y || 0) * unitPx }
+    const nodeProps = {
+      node: n,
+      readOnly: Boolean(previewRevision),
+      draggable,
+      isSelected: selectedIdSet.has(n.id),
+      onSelect: (e) => selectNode(n.id, e),
+      onDragStart: (e) => beginDrag(e, [n.id]),
+      onDragMove: dragMove,
+      onDragEnd: commitDrag,
+    }
+    if (isShapeNode(n)) {
+      const isTextDraft = labelDraft?.field === 'text' && labelDraft.nodeId === n.id
+      return [
+        <ShapeNode
+          key={`shape-${n.id}`}
+          {...nodeProps}
+          node={isTextDraft ? { ...n, text: '' } : n}
+          unitPx={unitPx}
+          unitLabel={unitInfo.label}
+          onDoubleClick={() => onNodeDoubleClick(n.id)}
+        />,
+      ]
+    }
+    const badgeText = badgeTextFor(n)
+    return [
+      <StageNode key={`img-${n.id}`} {...nodeProps} onEnterGroup={() => onNodeDoubleClick(n.id)} />,
+      n.label && labelDraft?.nodeId !== n.id ? (
+        <NodeLabel
+          key={`lbl-${n.id}`}
+          node={n}
+          text={n.label}
+          draggable={n.id === primarySelectedId && !n.locked && !previewRevision && !isInClosedGroup(n)}
+          onDragEnd={(e) => moveLabelFreely(n.id, e.target)}
+        />
+      ) : null,
+      badgeText ? (
+        <NodeBadge
+          key={`badge-${n.id}`}
+          node={n}
+          text={badgeText}
+          shape={displayStage.badgeStyle}
+          color={displayStage.badgeColor}
+        />
+      ) : null,
+      n.id === primarySelectedId && !previewRevision ? (
+        <NodeActions
+          key={`act-${n.id}`}
+          node={n}
+          viewScale={stageView.scale}
+          canUndo={plotHistory.canUndo}
+          canRedo={plotHistory.canRedo}
+          onUndo={plotHistory.undo}
+          onRedo={plotHistory.redo}
+          onDelete={deleteSelectedNodes}
+          onDuplicate={duplicateSelectedNodes}
+          onScaleUp={() => scaleSelectedNodes(1.12)}
+          onScaleDown={() => scaleSelectedNodes(1 / 1.12)}
+          onRotateRight={() => rotateSelectedNodes(15)}
+          onRotateLeft={() => rotateSelectedNodes(-15)}
+          onFlipX={flipSelectedNodesX}
+          onLayerUp={() => moveLayer(n.id, +1)}
+          onLayerDown={() => moveLayer(n.id, -1)}
+          onText={() => setNodeLabel(n.id)}
+          onToggleLock={toggleSelectedLock}
+        />
+      ) : null,
+    ]
+  }
+
+  // Layers draw bottom to top after the unassigned nodes; within a layer the node list sets the order.
+  // A group is drawn at the spot of its first member; its members share that member's layer.
+  const stageLayers = [{ id: '', visible: true, locked: false }, ...displayLayers].map((layer) => ({
+    layer,
+    items: [],
+  }))
+  const stageLayersById = new Map(stageLayers.map((entry) => [entry.layer.id, entry]))
+  const drawnGroups = new Set()
+  for (const n of stageNodes) {
+    const { items } = stageLayersById.get(n.layerId) || stageLayersById.get('')
+    const groupId = !previewRevision && groupMemberIds.has(n.groupId) ? n.groupId : null
+    if (!groupId) {
+      items.push({ node: n })
+    } else if (!drawnGroups.has(groupId)) {
+      drawnGroups.add(groupId)
+      items.push({ groupId, members: stageNodes.filter((m) => m.groupId === groupId) })
+    }
+  }
+
+  const enteredGroupBounds = (() => {
+    const box = enteredGroupId ? nodeBounds(nodes.filter((n) => n.groupId === enteredGroupId), unitPx) : null
+    if (!box) return null
+    const pad = 8 / stageView.scale
+    return { x: box.left - pad, y: box.top - pad, width: box.right - box.left + pad * 2, height: box.bottom - box.top + pad * 2 }
+  })()
+  const enteredGroup = enteredGroupId ? groupsById.get(enteredGroupId) : null
+  const isInClosedGroup = (n) => groupMemberIds.has(n.groupId) && n.groupId !== enteredGroupId
+  const freeResizeSelection =
+    selectedIds.length > 0 &&
+    nodes.every((n) => !selectedIdSet.has(n.id) || (FREE_RESIZE_TYPES.has(n.type) && !isInClosedGroup(n)))
+  const pointHandleNode =
+    !previewRevision &&
+    selectedIds.length === 1 &&
+    POINT_SHAPE_MIN_POINTS[selectedNode?.type] &&
+    !selectedNode.locked &&
+    !isInClosedGroup(selectedNode)
+      ? selectedNode
+      : null
+  const selectedShape = selectedIds.length === 1 && isShapeNode(selectedNode) ? selectedNode : null
+  const labelDraftNode = labelDraft && !previewRevision ? nodes.find((n) => n.id === labelDraft.nodeId) : null
+  // The layer every selected node sits on, or null when they differ.
+  const selectionLayerId = (() => {
+    const ids = new Set(
+      nodes.filter((n) => selectedIdSet.has(n.id)).map((n) => (layersById.has(n.layerId) ? n.layerId : ''))
+    )
+    return ids.size === 1 ? [...ids][0] : null
+  })()
+  const selectionUnitCount = selectedIds.length ? selectionUnits().length : 0
+
+  if (auth.isLoading) {
+    return <div className="px-4 py-6 text-sm text-slate-600">Loading…</div>
+  }
+
+  if (!auth.user) {
+    return (
+      <div className="w-full min-h-screen bg-slate-50 text-slate-900 flex flex-col">
+        <header className="sp-toolbar">
+          <nav className="sp-toolbar-nav" aria-label="Stage Plot Builder toolbar">
+            <div className="sp-toolbar-left">
+              <div className="sp-brand-mark" aria-hidden="true">
+                <span className="material-symbols-outlined text-[20px] leading-none">scatter_plot</span>
+              </div>
+              <div className="sp-brand-text">
+                <div className="sp-brand-title">ShowPlot</div>
+                <div className="sp-brand-subtitle">Stage Plot Builder</div>
+              </div>
+            </div>
+
+            <div className="sp-toolbar-center" />
+
+            <div className="sp-toolbar-right">
+              <div className="sp-actions">
+                <details className="relative z-30" ref={menuRef}>
+                  <summary className="list-none cursor-pointer sp-icon-btn">
+                    <span className="material-symbols-outlined text-[20px] leading-none">menu</span>
+                    <span className="sr-only">Menu</span>
+                  </summary>
+                  <div className="absolute right-0 z-40 mt-2 w-56 rounded-xl border border-slate-200 bg-white p-1 shadow-sm">
+                    <div className="px-3 py-2 text-[11px] font-semibold uppercase tracking-wide text-slate-500">Support</div>
+                    <a
+                      href="/feedback"
+                      onClick={() => {
+                        if (menuRef.current) menuRef.current.open = false
+                      }}
+                      className="block rounded-lg px-3 py-2 text-sm font-medium text-slate-700 hover:bg-slate-50"
+                    >
+                      Feedback
+                    </a>
+                    <div className="my-1 h-px bg-slate-200" />
+                    <div className="px-3 py-2 text-[11px] font-semibold uppercase tracking-wide text-slate-500">Legal</div>
+                    <a
+                      href="/privacy"
+                      onClick={() => {
+                        if (menuRef.current) menuRef.current.open = false
+                      }}
+                      className="block rounded-lg px-3 py-2 text-sm font-medium text-slate-700 hover:bg-slate-50"
+                    >
+                      Privacy
+                    </a>
+                    <a
+                      href="/terms"
+                      onClick={() => {
+                        if (menuRef.current) menuRef.current.open = false
+                      }}
+                      className="block rounded-lg px-3 py-2 text-sm font-medium text-slate-700 hover:bg-slate-50"
+                    >
+                      Terms
+                    </a>
+                  </div>
+                </details>
+              </div>
+            </div>
+          </nav>
+        </header>
+
+        <main className="flex-1 px-4 py-4 md:px-6 md:py-6">
+          <SignIn title="Sign in to build and save" subtitle="Google Sign-In is required to use the builder." />
+        </main>
+      </div>
+    )
+  }
+
+  // Shown in the side column at xl and in a bottom sheet below it.
+  const nodeInspector = (
+    <NodeInspector
+      nodes={previewRevision ? [] : nodes.filter((n) => selectedIdSet.has(n.id))}
+      unit={stageSettings.unit}
+      layers={layers}
+      layerId={selectionLayerId}
+      disabled={isBusy}
+      onEdit={editInspectedNodes}
+      onEndEdit={endContinuedEdit}
+      onToggleLock={toggleSelectedLock}
+      onMoveToLayer={moveSelectionToLayer}
+      onEditInput={editChannelField}
+      onAddInput={addNodeInput}
+      onRemoveInput={removeNodeInput}
+      onMoveInput={moveNodeInput}
+    />
+  )
+
+  return (
+    <div className="w-full flex-1 min-h-0 bg-slate-50 text-slate-900 flex flex-col">
+      <header className="sp-toolbar">
+        <nav className="sp-toolbar-nav" aria-label="Stage Plot Builder toolbar">
+          <div className="sp-toolbar-left">
+            <div className="sp-brand-mark" aria-hidden="true">
+              <span className="material-symbols-outlined text-[20px] leading-none">scatter_plot</span>
+            </div>
+            <div className="sp-brand-text">
+              <div className="sp-brand-title">ShowPlot</div>
+              <div className="sp-brand-subtitle">Stage Plot Builder</div>
+            </div>
+          </div>
+
+          <div className="sp-toolbar-center">
+            <div className="sp-flow">
+              <div className="sp-group flex-1 max-w-[520px]" role="group" aria-label="Plot name and save">
+                <label className="sr-only" htmlFor="plotName">Plot name</label>
+                <input
+                  id="plotName"
+                  value={plotName}
+                  onChange={(e) => setPlotName(e.target.value)}
+                  placeholder="Plot name"
+                  className="sp-field-input"
+                />
+                <button
+                  type="button"
+                  onClick={() => savePlot()}
+                  disabled={isBusy || saveStatus === 'saving' || Boolean(previewRevision)}
+                  className="sp-btn-primary"
+                >
+                  Save
+                </button>
+                <span className="hidden lg:inline whitespace-nowrap px-2 text-xs text-slate-500" aria-live="polite">
+                  {saveStatus === 'saving'
+                    ? 'Saving…'
+                    : saveStatus === 'error'
+                      ? 'Not saved'
+                      : isDirty
+                        ? currentPlotId
+                          ? 'Unsaved changes'
+                          : 'Draft (not saved yet)'
+                        : saveStatus === 'saved'
+                          ? 'All changes saved'
+                          : ''}
+                </span>
+              </div>
+
+              <div className="sp-divider" aria-hidden="true" />
+
+              <div className="sp-group" role="group" aria-label="Saved plots and load">
+                <label className="sr-only" htmlFor="savedPlot">Saved plots</label>
+                <select
+                  id="savedPlot"
+                  value={plotPickerId}
+                  onChange={(e) => setPlotPickerId(e.target.value)}
+                  className="sp-field-select"
+                >
+                  <option value="">Saved Plots</option>
+                  {savedPlots.map((p) => (
+                    <option key={p._id} value={p._id}>
+                      {p.name || 'Untitled'}
+                    </option>
+                  ))}
+                </select>
+
+                <button
+                  type="button"
+                  onClick={loadPlot}
+                  disabled={isBusy}
+                  className="sp-btn-secondary"
+                >
+                  Load
+                </button>
+
+                <details className="relative z-30" ref={plotMenuRef}>
+                  <summary className="list-none cursor-pointer sp-btn-ghost" title="Plot actions">
+                    <span className="material-symbols-outlined text-[18px] leading-none">more_vert</span>
+                    <span className="sr-only">Plot actions</span>
+                  </summary>
+                  <div className="absolute right-0 z-50 mt-2 w-48 rounded-xl border border-slate-200 bg-white p-1 shadow-sm">
+                    <button
+                      type="button"
+                      onClick={renameManagedPlot}
+                      disabled={isBusy || !managedPlotId}
+                      className="w-full rounded-lg px-3 py-2 text-left text-sm font-medium text-slate-700 hover:bg-slate-50 disabled:text-slate-400"
+                    >
+                      Rename…
+                    </button>
+                    <button
+                      type="button"
+                      onClick={duplicateManagedPlot}
+                      disabled={isBusy || !managedPlotId}
+                      className="w-full rounded-lg px-3 py-2 text-left text-sm font-medium text-slate-700 hover:bg-slate-50 disabled:text-slate-400"
+                    >
+                      Duplicate
+                    </button>
+                    <button
+                      type="button"
+                      onClick={trashManagedPlot}
+                      disabled={isBusy || !managedPlotId}
+                      className="w-full rounded-lg px-3 py-2 text-left text-sm font-medium text-rose-700 hover:bg-rose-50 disabled:text-slate-400"
+                    >
+                      Move to trash
+                    </button>
+                    <div className="my-1 h-px bg-slate-200" />
+                    <button
+                      type="button"
+                      onClick={saveAsTemplate}
+                      disabled={isBusy}
+                      className="w-full rounded-lg px-3 py-2 text-left text-sm font-medium text-slate-700 hover:bg-slate-50 disabled:text-slate-400"
+                    >
+                      Save as template…
+                    </button>
+                    <button
+                      type="button"
+                      onClick={() => {
+                        closePlotMenu()
+                        setIsHistoryOpen(false)
+                        setIsTrashOpen(true)
+                      }}
+                      className="w-full rounded-lg px-3 py-2 text-left text-sm font-medium text-slate-700 hover:bg-slate-50"
+                    >
+                      Trash…
+                    </button>
+                  </div>
+                </details>
+
+                <button
+                  type="button"
+                  onClick={() => {
+                    setIsTrashOpen(false)
+                    setIsHistoryOpen((v) => !v)
+                  }}
+                  disabled={!currentPlotId}
+                  className="sp-btn-ghost"
+                  title={currentPlotId ? 'Version history' : 'Save the plot to start its history'}
+                >
+                  <span className="material-symbols-outlined text-[18px] leading-none">history</span>
+                  <span className="sr-only">Version history</span>
+                </button>
+
+                <UndoHistoryMenu
+                  labels={plotHistory.labels}
+                  index={plotHistory.index}
+                  limit={plotHistory.limit}
+                  disabled={Boolean(previewRevision)}
+                  onJump={plotHistory.jumpTo}
+                  onSetLimit={plotHistory.setLimit}
+                />
+
+                <button
+                  type="button"
+                  onClick={() => {
+                    setIsSheetOpen(false)
+                    setIsInspectorOpen((v) => !v)
+                  }}
+                  className="sp-btn-ghost xl:hidden"
+                  title="Inspector"
+                  aria-pressed={isInspectorOpen}
+                >
+                  <span className="material-symbols-outlined text-[18px] leading-none">tune</span>
+                  <span className="sr-only">Inspector</span>
+                </button>
+              </div>
+
+              <div className="sp-divider" aria-hidden="true" />
+
+              <button
+                type="button"
+                onClick={() => setIsSnapEnabled((v) => !v)}
+                aria-pressed={isSnapEnabled}
+                className="sp-btn-ghost"
+                title="Snap to grid and guides (hold Alt to bypass)"
+              >
+                <span className="material-symbols-outlined text-[18px] leading-none">grid_on</span>
+                <span className="hidden lg:inline">Snap</span>
+              </button>
+
+              <div className="sp-divider" aria-hidden="true" />
+
+              <button
+                type="button"
+                onClick={() => setIsTemplateGalleryOpen(true)}
+                className="sp-btn-reset hidden sm:inline-flex"
+              >
+                New
+              </button>
+
+              <div className="sp-divider hidden sm:block" aria-hidden="true" />
+
+              <details className="relative z-30 hidden sm:block">
+                <summary className="list-none cursor-pointer sp-btn-export">
+                  <span className="material-symbols-outlined text-[18px] leading-none">download</span>
+                  Export
+                </summary>
+                <div className="absolute right-0 z-50 mt-2 w-44 rounded-xl border border-slate-200 bg-white p-1 shadow-sm">
+                  <button
+                    type="button"
+                    onClick={exportPDF}
+                    disabled={isBusy}
+                    className="w-full rounded-lg px-3 py-2 text-left text-sm font-medium text-slate-700 hover:bg-slate-50 disabled:text-slate-400"
+                  >
+                    PDF
+                  </button>
+                  <button
+                    type="button"
+                    onClick={exportPNG}
+                    disabled={isBusy}
+                    className="w-full rounded-lg px-3 py-2 text-left text-sm font-medium text-slate-700 hover:bg-slate-50 disabled:text-slate-400"
+                  >
+                    Image (PNG)
+                  </button>
+                  <button
+                    type="button"
+                    onClick={exportCSV}
+                    disabled={isBusy}
+                    className="w-full rounded-lg px-3 py-2 text-left text-sm font-medium text-slate-700 hover:bg-slate-50 disabled:text-slate-400"
+                  >
+                    CSV
+                  </button>
+                  <button
+                    type="button"
+                    onClick={exportExcel}
+                    disabled={isBusy}
+                    className="w-full rounded-lg px-3 py-2 text-left text-sm font-medium text-slate-700 hover:bg-slate-50 disabled:text-slate-400"
+                  >
+                    Excel
+                  </button>
+                  <div className="my-1 h-px bg-slate-200" />
+                  <button
+                    type="button"
+                    onClick={exportShowplotFile}
+                    disabled={isBusy}
+                    className="w-full rounded-lg px-3 py-2 text-left text-sm font-medium text-slate-700 hover:bg-slate-50 disabled:text-slate-400"
+                  >
+                    ShowPlot file
+                  </button>
+                  <button
+                    type="button"
+                    onClick={() => importInputRef.current?.click()}
+                    disabled={isBusy}
+                    className="w-full rounded-lg px-3 py-2 text-left text-sm font-medium text-slate-700 hover:bg-slate-50 disabled:text-slate-400"
+                  >
+                    Import file…
+                  </button>
+                  <input
+                    ref={importInputRef}
+                    type="file"
+                    accept={`${SHOWPLOT_FILE_EXTENSION},application/json`}
+                    onChange={(e) => {
+                      const file = e.target.files?.[0] || null
+                      e.target.value = ''
+                      importShowplotFile(file)
+                    }}
+                    className="hidden"
+                  />
+                </div>
+              </details>
+            </div>
+          </div>
+
+          <div className="sp-toolbar-right">
+            <div className="sp-actions">
+              <details className="relative z-30" ref={menuRef}>
+                <summary className="list-none cursor-pointer sp-icon-btn">
+                  <span className="material-symbols-outlined text-[20px] leading-none">menu</span>
+                  <span className="sr-only">Menu</span>
+                </summary>
+                <div className="absolute right-0 z-50 mt-2 w-60 rounded-xl border border-slate-200 bg-white p-1 shadow-sm">
+              <div className="px-3 py-2">
+                <div className="flex items-center gap-3">
+                  {auth.user?.picture ? (
+                    <img
+                      src={auth.user.picture}
+                      alt=""
+                      className="h-9 w-9 rounded-full border border-slate-200"
+                      referrerPolicy="no-referrer"
+                    />
+                  ) : (
+                    <div className="h-9 w-9 rounded-full border border-slate-200 bg-slate-50" />
+                  )}
+                  <div className="min-w-0">
+                    <div className="truncate text-sm font-semibold text-slate-900">
+                      {auth.user?.name || 'Signed in'}
+                    </div>
+                    <div className="truncate text-xs text-slate-500">{auth.user?.email || ''}</div>
+                  </div>
+                </div>
+              </div>
+
+              <div className="my-1 h-px bg-slate-200" />
+              <div className="px-3 py-2 text-[11px] font-semibold uppercase tracking-wide text-slate-500">Account</div>
+              <a
+                href="/profile"
+                onClick={() => {
+                  if (menuRef.current) menuRef.current.open = false
+                }}
+                className="block rounded-lg px-3 py-2 text-sm font-medium text-slate-700 hover:bg-slate-50"
+              >
+                Profile
+              </a>
+              <a
+                href="/settings"
+                onClick={() => {
+                  if (menuRef.current) menuRef.current.open = false
+                }}
+                className="block rounded-lg px-3 py-2 text-sm font-medium text-slate-700 hover:bg-slate-50"
+              >
+                Settings
+              </a>
+              <button
+                type="button"
+                onClick={() => {
+                  if (menuRef.current) menuRef.current.open = false
+                  auth.logout()
+                }}
+                className="w-full rounded-lg px-3 py-2 text-left text-sm font-semibold text-slate-700 hover:bg-slate-50"
+              >
+                Sign out
+              </button>
+
+              <div className="my-1 h-px bg-slate-200" />
+              <div className="px-3 py-2 text-[11px] font-semibold uppercase tracking-wide text-slate-500">Support</div>
+              <a
+                href="/feedback"
                 onClick={() => {
                   if (menuRef.current) menuRef.current.open = false
                 }}
                 className="block rounded-lg px-3 py-2 text-sm font-medium text-slate-700 hover:bg-slate-50"
               >
-                Settings
+                Feedback
+              </a>
+              <button
+                type="button"
+                onClick={() => {
+                  if (menuRef.current) menuRef.current.open = false
+                  setIsShortcutsOpen(true)
+                }}
+                className="w-full rounded-lg px-3 py-2 text-left text-sm font-medium text-slate-700 hover:bg-slate-50"
+              >
+                Keyboard shortcuts
+              </button>
+
+              <div className="my-1 h-px bg-slate-200" />
+              <div className="px-3 py-2 text-[11px] font-semibold uppercase tracking-wide text-slate-500">Legal</div>
+              <a
+                href="/privacy"
+                onClick={() => {
+                  if (menuRef.current) menuRef.current.open = false
+                }}
+                className="block rounded-lg px-3 py-2 text-sm font-medium text-slate-700 hover:bg-slate-50"
+              >
+                Privacy
+              </a>
+              <a
+                href="/terms"
+                onClick={() => {
+                  if (menuRef.current) menuRef.current.open = false
+                }}
+                className="block rounded-lg px-3 py-2 text-sm font-medium text-slate-700 hover:bg-slate-50"
+              >
+                Terms
               </a>
+            </div>
+              </details>
+            </div>
+          </div>
+        </nav>
+      </header>
+
+      <main className="flex-1 min-h-0 px-4 py-4 md:px-6 md:py-6 flex flex-col">
+        <div className="flex-1 min-h-0 grid grid-rows-[minmax(0,1fr)] gap-4 md:grid-cols-[280px_1fr] xl:grid-cols-[280px_1fr_260px]">
+          <aside className="hidden md:flex md:flex-col md:min-h-0 rounded-xl border border-slate-200 bg-white p-4">
+          <div className="text-xs font-medium uppercase tracking-wide text-slate-500">Asset Library</div>
+
+          <div className="mt-3 flex-1 min-h-0 overflow-y-auto pr-1">
+            <ShapePalette onAdd={addShapeInView} />
+
+            <div className="mt-4 flex flex-wrap gap-2">
+              {categories.map((c) => {
+                const isActive = c === activeCategory
+                return (
+                  <button
+                    key={c}
+                    type="button"
+                    onClick={() => {
+                      setSelectedCategory(c)
+                      setSelectedSection('')
+                    }}
+                    className={
+                      'h-8 rounded-full border px-3 text-xs font-semibold ' +
+                      (isActive
+                        ? 'border-slate-900 bg-slate-900 text-white'
+                        : 'border-slate-200 bg-white text-slate-700 hover:bg-slate-50')
+                    }
+                  >
+                    {c}
+                  </button>
+                )
+              })}
+            </div>
+
+            {sections.length ? (
+              <div className="mt-4">
+                <div className="text-[11px] font-medium uppercase tracking-wide text-slate-500">Sections</div>
+                <div className="mt-2 flex flex-wrap gap-2">
+                  {sections.map((s) => {
+                    const isActive = s.section === activeSection
+                    return (
+                      <button
+                        key={s.section}
+                        type="button"
+                        onClick={() => setSelectedSection(s.section)}
+                        className={
+                          'h-8 rounded-full border px-3 text-xs font-semibold ' +
+                          (isActive
+                            ? 'border-slate-900 bg-slate-900 text-white'
+                            : 'border-slate-200 bg-white text-slate-700 hover:bg-slate-50')
+                        }
+                      >
+                        {s.section}
+                      </button>
+                    )
+                  })}
+                </div>
+              </div>
+            ) : null}
+
+            <div className="mt-4 grid grid-cols-2 gap-3">
+              {isAssetsLoading
+                ? Array.from({ length: 10 }).map((_, idx) => (
+                    <div
+                      key={`asset-skel-${idx}`}
+                      className="h-[92px] rounded-xl border border-slate-200 bg-slate-50 animate-pulse"
+                    />
+                  ))
+                : activeSectionItems.map((a) => (
+                    <LibraryItem key={a._id} asset={a} />
+                  ))}
+            </div>
+          </div>
+
+          <div className="mt-4 text-xs text-slate-500">Drag an icon onto the stage.</div>
+          </aside>
+
+        <section className="min-h-0 min-w-0 flex flex-col">
+          <div
+            ref={stageWrapRef}
+            onDragOver={(e) => e.preventDefault()}
+            onDrop={onDrop}
+            className={`relative w-full flex-1 min-h-0 rounded-xl border border-slate-200 bg-slate-100 overflow-hidden touch-none select-none ${
+              panDrag ? 'cursor-grabbing' : isSpaceDown ? 'cursor-grab' : ''
+            }`}
+          >
+            <div className="absolute inset-0">
+            <Stage
+              ref={stageRef}
+              width={stageSize.width}
+              height={stageSize.height}
+              x={stageView.x}
+              y={stageView.y}
+              scaleX={stageView.scale}
+              scaleY={stageView.scale}
+              onMouseDown={(e) => {
+                if (isSpaceDown || e.evt.button === 1) {
+                  e.evt.preventDefault()
+                  setPanDrag({ clientX: e.evt.clientX, clientY: e.evt.clientY, view: stageView })
+                  return
+                }
+                onStagePointerDown(e)
+              }}
+              onWheel={onStageWheel}
+              onMouseMove={onStageMouseMove}
+              onTouchStart={(e) => {
+                onStagePointerDown(e)
+                onStageTouchStart(e)
+              }}
+              onTouchMove={onStageTouchMove}
+            >
+              <Layer listening={!isSpaceDown && !panDrag && !calibration}>
+                <Rect {...worldBox} fill="#ffffff" listening={false} />
+                {displayStage.underlay ? (
+                  <StageUnderlay
+                    underlay={displayStage.underlay}
+                    unitPx={unitPx}
+                    draggable={!previewRevision}
+                    onMove={(x, y) => updateUnderlay({ x: roundTo(x, 3), y: roundTo(y, 3) })}
+                  />
+                ) : null}
+                <GridLines width={worldWidth} height={worldHeight} spacing={unitInfo.gridStep * unitPx} majorEvery={5} />
+                <StageOutline
+                  stage={displayStage}
+                  unitPx={unitPx}
+                  isEditing={isEditingOutline && !previewRevision}
+                  onMoveMarker={moveStageMarker}
+                />
+
+                {stageLayers.map(({ layer, items }) => (
+                  <Group
+                    key={`layer-${layer.id}`}
+                    id={layer.id ? `layer-${layer.id}` : undefined}
+                    visible={layer.visible}
+                    listening={!layer.locked}
+                  >
+                    {items.map((item) =>
+                      item.groupId ? (
+                        <Group
+                          key={`grp-${item.groupId}`}
+                          id={`group-${item.groupId}`}
+                          draggable={item.groupId !== enteredGroupId && !item.members.some((m) => m.locked)}
+                          // Member drags bubble up here too; only handle the group itself.
+                          onDragStart={(e) => {
+                            if (e.target === e.currentTarget) beginDrag(e, groupMemberIds.get(item.groupId))
+                          }}
+                          onDragMove={(e) => {
+                            if (e.target === e.currentTarget) dragMove(e)
+                          }}
+                          onDragEnd={(e) => {
+                            if (e.target === e.currentTarget) commitDrag(e)
+                          }}
+                        >
+                          {item.members.map((m) => renderStageNode(m, item.groupId === enteredGroupId))}
+                        </Group>
+                      ) : (
+                        renderStageNode(item.node, true)
+                      )
+                    )}
+                  </Group>
+                ))}
+                {enteredGroupBounds ? (
+                  <Rect
+                    name="editor-chrome"
+                    {...enteredGroupBounds}
+                    stroke="#6366f1"
+                    strokeWidth={1}
+                    strokeScaleEnabled={false}
+                    dash={[6, 4]}
+                    listening={false}
+                  />
+                ) : null}
+                <Transformer
+                  name="editor-chrome"
+                  ref={transformerRef}
+                  onTransform={() => syncAttachedShapes(transformerRef.current?.nodes() || [])}
+                  onTransformEnd={onTransformerEnd}
+                  rotateEnabled
+                  rotationSnaps={isSnapActive ? (heldModifiers.shift ? ROTATION_SNAPS_COARSE : ROTATION_SNAPS) : []}
+                  rotationSnapTolerance={heldModifiers.shift ? 22.5 : 5}
+                  keepRatio={!freeResizeSelection}
+                  anchorSize={10}
+                  borderStroke="#ef4444"
+                  anchorStroke="#ef4444"
+                  anchorFill="#ffffff"
+                  anchorCornerRadius={999}
+                  enabledAnchors={[
+                    'top-left',
+                    'top-center',
+                    'top-right',
+                    'middle-left',
+                    'middle-right',
+                    'bottom-left',
+                    'bottom-center',
+                    'bottom-right',
+                  ]}
+                />
+                {isEditingOutline && !previewRevision && stageSettings.outline === 'polygon' ? (
+                  <PointHandles
+                    node={{ id: 'stage-outline', type: 'polygon', x: 0, y: 0, points: stageSettings.outlinePoints }}
+                    targetId="stage-outline"
+                    unitPx={unitPx}
+                    viewScale={stageView.scale}
+                    onChange={(outlinePoints) => setStageSettings({ outlinePoints })}
+                  />
+                ) : null}
+                {pointHandleNode ? (
+                  <PointHandles
+                    node={pointHandleNode}
+                    unitPx={unitPx}
+                    viewScale={stageView.scale}
+                    onChange={(points) => updateNodePoints(pointHandleNode.id, points)}
+                  />
+                ) : null}
+                {snapGuides.map((points, i) => (
+                  <Line
+                    key={`guide-${i}`}
+                    points={points}
+                    stroke="#ec4899"
+                    strokeWidth={1}
+                    strokeScaleEnabled={false}
+                    dash={[4, 4]}
+                    listening={false}
+                  />
+                ))}
+                {marquee ? (
+                  <Rect
+                    x={Math.min(marquee.x1, marquee.x2)}
+                    y={Math.min(marquee.y1, marquee.y2)}
+                    width={Math.abs(marquee.x2 - marquee.x1)}
+                    height={Math.abs(marquee.y2 - marquee.y1)}
+                    fill="rgba(239, 68, 68, 0.08)"
+                    stroke="#ef4444"
+                    strokeWidth={1}
+                    strokeScaleEnabled={false}
+                    dash={[4, 4]}
+                    listening={false}
+                  />
+                ) : null}
+                {calibration ? (
+                  <Group name="editor-chrome" listening={false}>
+                    {calibration.points.length === 2 ? (
+                      <Line
+                        points={calibration.points.flatMap((p) => [p.x * unitPx, p.y * unitPx])}
+                        stroke="#2563eb"
+                        strokeWidth={2}
+                        strokeScaleEnabled={false}
+                        dash={[6, 4]}
+                      />
+                    ) : null}
+                    {calibration.points.map((p, i) => (
+                      <Circle
+                        key={i}
+                        x={p.x * unitPx}
+                        y={p.y * unitPx}
+                        radius={5 / stageView.scale}
+                        fill="#ffffff"
+                        stroke="#2563eb"
+                        strokeWidth={2}
+                        strokeScaleEnabled={false}
+                      />
+                    ))}
+                  </Group>
+                ) : null}
+              </Layer>
+            </Stage>
+            </div>
+
+            <div className="pointer-events-none absolute bottom-3 left-3 z-10 flex items-end gap-3 text-[11px] font-semibold text-slate-600">
+              <div>
+                <div className="h-1.5 border-x-2 border-b-2 border-slate-600" style={{ width: scaleBar.px }} />
+                <div className="mt-0.5">
+                  {scaleBar.units} {unitInfo.label}
+                </div>
+              </div>
+              <div className="rounded-md bg-white/80 px-1.5 py-0.5">
+                {displayStage.width} × {displayStage.depth} {unitInfo.label}
+              </div>
+            </div>
+
+            <div className="absolute bottom-3 right-3 z-20 flex flex-col items-end gap-2">
+              {viewport ? (
+                <StageMinimap
+                  world={worldBox}
+                  nodes={stageNodes}
+                  unitPx={unitPx}
+                  view={{
+                    left: -stageView.x / stageView.scale,
+                    top: -stageView.y / stageView.scale,
+                    width: stageSize.width / stageView.scale,
+                    height: stageSize.height / stageView.scale,
+                  }}
+                  onCenter={centerViewOn}
+                />
+              ) : null}
+              <div className="flex items-center gap-0.5 rounded-xl border border-slate-200 bg-white p-1 text-xs shadow-sm">
+                <button
+                  type="button"
+                  onClick={() => zoomAt(1 / 1.25, stageSize.width / 2, stageSize.height / 2)}
+                  className="rounded-lg p-1 text-slate-700 hover:bg-slate-50"
+                  title="Zoom out"
+                >
+                  <span className="material-symbols-outlined text-[18px] leading-none">remove</span>
+                </button>
+                <span className="w-11 text-center font-semibold tabular-nums text-slate-700">
+                  {Math.round(zoomLevel * 100)}%
+                </span>
+                <button
+                  type="button"
+                  onClick={() => zoomAt(1.25, stageSize.width / 2, stageSize.height / 2)}
+                  className="rounded-lg p-1 text-slate-700 hover:bg-slate-50"
+                  title="Zoom in"
+                >
+                  <span className="material-symbols-outlined text-[18px] leading-none">add</span>
+                </button>
+                <button
+                  type="button"
+                  onClick={() => setViewport(null)}
+                  className="rounded-lg p-1 text-slate-700 hover:bg-slate-50"
+                  title="Zoom to fit"
+                >
+                  <span className="material-symbols-outlined text-[18px] leading-none">fit_screen</span>
+                </button>
+                <button
+                  type="button"
+                  onClick={zoomToSelection}
+                  disabled={!selectedIds.length || Boolean(previewRevision)}
+                  className="rounded-lg p-1 text-slate-700 hover:bg-slate-50 disabled:text-slate-300 disabled:hover:bg-transparent"
+                  title="Zoom to selection"
+                >
+                  <span className="material-symbols-outlined text-[18px] leading-none">center_focus_strong</span>
+                </button>
+              </div>
+            </div>
+
+            {!previewRevision && (enteredGroup || selectedIds.length) ? (
+              <div className="absolute left-3 top-3 z-20 flex items-center gap-1 rounded-xl border border-slate-200 bg-white px-2 py-1 text-xs shadow-sm">
+                {enteredGroup ? (
+                  <>
+                    <span className="px-1 font-semibold text-indigo-700">Editing “{enteredGroup.name}”</span>
+                    <button
+                      type="button"
+                      onClick={() => setEnteredGroupId(null)}
+                      className="rounded-lg px-2 py-1 font-semibold text-slate-700 hover:bg-slate-50"
+                    >
+                      Done
+                    </button>
+                  </>
+                ) : (
+                  <>
+                    <span className="px-1 font-semibold text-slate-700">
+                      {selectedGroup ? selectedGroup.name : `${selectedIds.length} selected`}
+                    </span>
+                    {selectedGroup ? (
+                      <>
+                        <button
+                          type="button"
+                          onClick={() => enterGroup(primarySelectedId)}
+                          className="rounded-lg px-2 py-1 font-semibold text-slate-700 hover:bg-slate-50"
+                        >
+                          Edit
+                        </button>
+                        <button
+                          type="button"
+                          onClick={() => renameGroup(selectedGroup.id)}
+                          className="rounded-lg px-2 py-1 font-semibold text-slate-700 hover:bg-slate-50"
+                        >
+                          Rename
+                        </button>
+                      </>
+                    ) : selectedIds.length > 1 ? (
+                      <button
+                        type="button"
+                        onClick={groupSelectedNodes}
+                        className="rounded-lg px-2 py-1 font-semibold text-slate-700 hover:bg-slate-50"
+                      >
+                        Group
+                      </button>
+                    ) : null}
+                    {selectedGroupIds.size ? (
+                      <button
+                        type="button"
+                        onClick={ungroupSelection}
+                        className="rounded-lg px-2 py-1 font-semibold text-slate-700 hover:bg-slate-50"
+                      >
+                        Ungroup
+                      </button>
+                    ) : null}
+                  </>
+                )}
+                {selectedShape && !selectedShape.locked ? (
+                  <>
+                    {selectedShape.type === 'text' ? (
+                      <button
+                        type="button"
+                        onClick={() => editShapeText(selectedShape.id)}
+                        className="rounded-lg px-2 py-1 font-semibold text-slate-700 hover:bg-slate-50"
+                      >
+                        Text…
+                      </button>
+                    ) : (
+                      <button
+                        type="button"
+                        onClick={() => setNodeLabel(selectedShape.id)}
+                        className="rounded-lg px-2 py-1 font-semibold text-slate-700 hover:bg-slate-50"
+                      >
+                        Label…
+                      </button>
+                    )}
+                    {selectedShape.type === 'riser' ? (
+                      <button
+                        type="button"
+                        onClick={() => editRiserHeight(selectedShape.id)}
+                        className="rounded-lg px-2 py-1 font-semibold text-slate-700 hover:bg-slate-50"
+                      >
+                        Height…
+                      </button>
+                    ) : null}
+                  </>
+                ) : null}
+                {selectedIds.length ? (
+                  <button
+                    type="button"
+                    onClick={deleteSelectedNodes}
+                    className="rounded-lg p-1 text-rose-700 hover:bg-rose-50"
+                    title="Delete selection"
+                  >
+                    <span className="material-symbols-outlined text-[16px] leading-none">delete</span>
+                  </button>
+                ) : null}
+                {(stageSettings.badgeContent === 'mix' || stageSettings.badgeContent === 'tag') &&
+                nodes.some((n) => selectedIdSet.has(n.id) && n.type === 'asset') ? (
+                  <button
+                    type="button"
+                    onClick={editSelectedBadgeField}
+                    className="rounded-lg px-2 py-1 font-semibold text-slate-700 hover:bg-slate-50"
+                  >
+                    {stageSettings.badgeContent === 'mix' ? 'Mix…' : 'Tag…'}
+                  </button>
+                ) : null}
+                {selectedIds.length && layers.length ? (
+                  <select
+                    value={selectionLayerId ?? ''}
+                    onChange={(e) => moveSelectionToLayer(e.target.value)}
+                    className="h-7 max-w-[9rem] rounded-lg border border-slate-200 bg-white px-1 text-xs text-slate-700 outline-none"
+                    title="Layer"
+                  >
+                    {selectionLayerId === null ? (
+                      <option value="" disabled>
+                        Mixed layers
+                      </option>
+                    ) : null}
+                    <option value="">Unassigned</option>
+                    {layers.map((l) => (
+                      <option key={l.id} value={l.id}>
+                        {l.name}
+                      </option>
+                    ))}
+                  </select>
+                ) : null}
+                {selectedIds.length ? (
+                  <ArrangeMenu
+                    unitCount={selectionUnitCount}
+                    onAlign={alignSelection}
+                    onDistribute={distributeSelection}
+                    onMirror={mirrorSelection}
+                  />
+                ) : null}
+              </div>
+            ) : null}
+
+            {!previewRevision ? (
+              <div className="absolute right-3 top-3 z-20 flex items-start gap-2">
+                <LayersPanel
+                  layers={layers}
+                  nodes={nodes}
+                  activeLayerId={drawLayerId}
+                  onSetActive={setActiveLayerId}
+                  onAdd={addLayer}
+                  onAddStandard={addStandardLayers}
+                  onUpdate={updateLayer}
+                  onRename={renameLayer}
+                  onReorder={reorderLayer}
+                  onDelete={deleteLayer}
+                />
+                <BadgeSettingsPanel stage={stageSettings} disabled={isBusy} onChange={setStageSettings} />
+                <UnderlayPanel
+                  underlay={stageSettings.underlay}
+                  disabled={isBusy}
+                  isCalibrating={Boolean(calibration)}
+                  onUpload={uploadUnderlay}
+                  onChange={updateUnderlay}
+                  onEndChange={endContinuedEdit}
+                  onCalibrate={() => {
+                    setSelectedIds([])
+                    setCalibration({ points: [] })
+                  }}
+                  onRemove={removeUnderlay}
+                />
+                <StageSettingsPanel
+                  stage={stageSettings}
+                  disabled={isBusy}
+                  onChange={setStageSettings}
+                  onEditOutline={() => setIsEditingOutline(true)}
+                />
+              </div>
+            ) : null}
+
+            {labelDraftNode ? (
+              <LabelEditor
+                draft={labelDraft}
+                box={
+                  labelDraft.field === 'text'
+                    ? {
+                        x: ((labelDraftNode.x || 0) - (labelDraftNode.width || 0) / 2) * unitPx,
+                        y: (labelDraftNode.y || 0) * unitPx,
+                        align: 'center',
+                      }
+                    : labelBox(
+                        labelDraft.text,
+                        labelDraft.style,
+                        (labelDraftNode.x || 0) * unitPx,
+                        (labelDraftNode.y || 0) * unitPx,
+                        labelDraftNode.rotation,
+                        labelDraftNode.scale || 1
+                      )
+                }
+                width={labelDraft.field === 'text' ? (labelDraftNode.width || 0) * unitPx : LABEL_WIDTH}
+                placeholder={labelDraft.field === 'text' ? 'Text' : 'Label'}
+                view={stageView}
+                showStyle={!isShapeNode(labelDraftNode)}
+                onChange={setLabelDraft}
+                onCommit={commitLabelDraft}
+                onCancel={() => setLabelDraft(null)}
+              />
+            ) : null}
+
+            {isEditingOutline && !previewRevision ? (
+              <div className="absolute left-1/2 top-3 z-20 flex -translate-x-1/2 items-center gap-2 rounded-xl border border-slate-200 bg-white px-3 py-2 text-xs text-slate-700 shadow-sm">
+                <span className="material-symbols-outlined text-[18px] leading-none">edit_square</span>
+                <span>
+                  {stageSettings.outline === 'polygon'
+                    ? 'Drag corners to reshape the stage; drag FOH and MON to move them.'
+                    : 'Drag FOH and MON to move them.'}
+                </span>
+                <button
+                  type="button"
+                  onClick={() => setIsEditingOutline(false)}
+                  className="rounded-lg bg-slate-900 px-3 py-1 font-semibold text-white hover:bg-slate-800"
+                >
+                  Done
+                </button>
+              </div>
+            ) : null}
+
+            {calibration && !previewRevision ? (
+              <div className="absolute left-1/2 top-3 z-20 flex -translate-x-1/2 items-center gap-2 rounded-xl border border-slate-200 bg-white px-3 py-2 text-xs text-slate-700 shadow-sm">
+                <span className="material-symbols-outlined text-[18px] leading-none">straighten</span>
+                <span>
+                  {calibration.points.length
+                    ? 'Now click the second point.'
+                    : 'Click two points on the underlay a known distance apart.'}
+                </span>
+                <button
+                  type="button"
+                  onClick={() => setCalibration(null)}
+                  className="rounded-lg px-3 py-1 font-semibold text-slate-700 hover:bg-slate-50"
+                >
+                  Cancel
+                </button>
+              </div>
+            ) : null}
+
+            {previewRevision ? (
+              <div className="absolute left-1/2 top-3 z-20 flex -translate-x-1/2 items-center gap-2 rounded-xl border border-amber-200 bg-amber-50 px-3 py-2 text-sm text-amber-900 shadow-sm">
+                <span className="material-symbols-outlined text-[18px] leading-none">visibility</span>
+                <span className="font-semibold">Previewing revision {previewRevision.revision}</span>
+                <button
+                  type="button"
+                  onClick={() => restorePlotVersion(previewRevision.revision)}
+                  disabled={isBusy}
+                  className="rounded-lg bg-slate-900 px-3 py-1 text-xs font-semibold text-white hover:bg-slate-800 disabled:bg-slate-200 disabled:text-slate-500"
+                >
+                  Restore
+                </button>
+                <button
+                  type="button"
+                  onClick={() => setPreviewRevision(null)}
+                  className="rounded-lg border border-amber-200 bg-white px-3 py-1 text-xs font-semibold text-slate-700 hover:bg-slate-50"
+                >
+                  Exit preview
+                </button>
+              </div>
+            ) : null}
+
+            {!hasMeasuredStage ? (
+              <div className="absolute inset-0 z-10 flex items-center justify-center bg-white/70">
+                <div className="h-10 w-10 animate-spin rounded-full border-2 border-slate-200 border-t-slate-900" />
+              </div>
+            ) : null}
+
+            {debugSizeEnabled ? (
+              <div className="pointer-events-none absolute left-2 top-2 z-50 rounded-lg border border-slate-200 bg-white/90 px-2 py-1 text-[11px] font-medium text-slate-700">
+                <div>wrap: {stageWrapDebug.w}×{stageWrapDebug.h}</div>
+                <div>rect: {stageWrapDebug.rectW}×{stageWrapDebug.rectH}</div>
+                <div>stage: {stageSize.width}×{stageSize.height}</div>
+                <div>updates: {stageWrapDebug.updates}</div>
+              </div>
+            ) : null}
+          </div>
+
+          {recoverableDraft ? (
+            <div className="mt-3 flex flex-wrap items-center justify-between gap-2 rounded-lg border border-amber-200 bg-amber-50 px-3 py-2 text-sm text-amber-900">
+              <div>
+                Unsaved changes{recoverableDraft.name ? ` to "${recoverableDraft.name}"` : ''} from{' '}
+                {new Date(recoverableDraft.updatedAt).toLocaleString()} were found on this device.
+              </div>
+              <div className="flex gap-2">
+                <button
+                  type="button"
+                  onClick={recoverDraft}
+                  className="rounded-lg bg-slate-900 px-3 py-1 text-xs font-semibold text-white hover:bg-slate-800"
+                >
+                  Recover
+                </button>
+                <button
+                  type="button"
+                  onClick={discardDraft}
+                  className="rounded-lg border border-amber-200 bg-white px-3 py-1 text-xs font-semibold text-slate-700 hover:bg-slate-50"
+                >
+                  Discard
+                </button>
+              </div>
+            </div>
+          ) : null}
+
+          {error ? (
+            <div className="rounded-lg border border-rose-200 bg-rose-50 px-3 py-2 text-sm text-rose-700">
+              {error}
+            </div>
+          ) : null}
+
+          {/* Desktop channel list table */}
+          <div className="hidden md:block mt-4 rounded-xl border border-slate-200 bg-white p-4">
+            <div className="flex items-center justify-between">
+              <div className="text-sm font-semibold text-slate-900">Channel List</div>
+              <div className="flex items-center gap-3 text-xs text-slate-500">
+                {groups.length ? (
+                  <label className="flex items-center gap-1.5">
+                    <input
+                      type="checkbox"
+                      checked={groupChannelList}
+                      onChange={(e) => setGroupChannelList(e.target.checked)}
+                    />
+                    Group rows
+                  </label>
+                ) : null}
+                <button
+                  type="button"
+                  onClick={autoNumberChannelList}
+                  disabled={Boolean(previewRevision) || !visualInputRows.length}
+                  className="rounded-md border border-slate-200 bg-white px-2 py-1 font-semibold text-slate-700 hover:bg-slate-50 disabled:opacity-50"
+                  title="Number unlocked inputs upstage to downstage, left to right"
+                >
+                  Auto-number
+                </button>
+                <span>{visualInputRows.length} items</span>
+              </div>
+            </div>
+            <div ref={channelListRef} className="mt-3 overflow-auto max-h-[40vh] rounded-lg border border-slate-200">
+              <table className="w-full border-collapse text-sm">
+                <thead className="bg-slate-50 text-left text-xs font-semibold text-slate-600">
+                  <tr>
+                    <th className="border-b border-slate-200 px-3 py-2">TOTAL</th>
+                    <th className="border-b border-slate-200 px-3 py-2">INSTRUMENT</th>
+                    <th className="border-b border-slate-200 px-3 py-2">MIC / DI</th>
+                    <th className="border-b border-slate-200 px-3 py-2">STAND</th>
+                    <th className="border-b border-slate-200 px-3 py-2">NOTES</th>
+                    <th className="border-b border-slate-200 px-3 py-2">CABLES</th>
+                    <th className="border-b border-slate-200 px-3 py-2">
+                      <span className="sr-only">Inputs</span>
+                    </th>
+                  </tr>
+                </thead>
+                <tbody>
+                  <ChannelListRows
+                    rows={visualInputRows}
+                    showGroups={groupChannelList}
+                    keyPrefix="list-"
+                    selectedIds={selectedIdSet}
+                    readOnly={Boolean(previewRevision)}
+                    onSelect={selectChannelRow}
+                    onEdit={editChannelField}
+                    onEndEdit={endContinuedEdit}
+                    onSetChannel={setChannelNumber}
+                    onToggleChannelLock={toggleChannelLock}
+                    onMoveRow={moveChannelRow}
+                    onAddInput={addNodeInput}
+                    onRemoveInput={removeNodeInput}
+                    onMoveInput={moveNodeInput}
+                  />
+                </tbody>
+              </table>
+            </div>
+          </div>
+        </section>
+
+          <aside className="hidden xl:flex xl:flex-col xl:min-h-0 rounded-xl border border-slate-200 bg-white p-4">
+            <div className="text-xs font-medium uppercase tracking-wide text-slate-500">Inspector</div>
+            <div className="mt-3 flex-1 min-h-0 overflow-y-auto pr-1">
+              {nodeInspector}
+            </div>
+          </aside>
+        </div>
+
+      {/* Inspector bottom sheet below xl */}
+      <div
+        className={
+          'xl:hidden fixed left-0 right-0 bottom-0 z-40 rounded-t-2xl border-t border-slate-200 bg-white shadow-lg transition-transform duration-200 ease-out ' +
+          (isInspectorOpen ? 'translate-y-0' : 'translate-y-full')
+        }
+      >
+        <div className="mx-auto max-w-3xl px-4 pt-4 pb-24 md:pb-4">
+          <div className="mx-auto mb-3 h-1.5 w-12 rounded-full bg-slate-200" />
+          <div className="flex items-center justify-between">
+            <div className="text-xs font-medium uppercase tracking-wide text-slate-500">Inspector</div>
+            <button
+              type="button"
+              onClick={() => setIsInspectorOpen(false)}
+              className="rounded-lg px-3 py-2 text-sm font-semibold text-slate-700 hover:bg-slate-50"
+            >
+              Close
+            </button>
+          </div>
+          <div className="mt-3 max-h-[50vh] overflow-auto pr-1">{isInspectorOpen ? nodeInspector : null}</div>
+        </div>
+      </div>
+
+      {/* Mobile navigation + drawers */}
+      <div className="md:hidden">
+        <div className="fixed bottom-4 left-4 right-4 z-50 grid grid-cols-2 gap-3">
+          <button
+            type="button"
+            onClick={() => {
+              setIsListOpen(false)
+              setIsInspectorOpen(false)
+              setIsSheetOpen((v) => !v)
+            }}
+            className="rounded-full bg-slate-900 px-4 py-3 text-sm font-semibold text-white shadow"
+          >
+            {isSheetOpen ? 'Close Assets' : 'Add Assets'}
+          </button>
+          <button
+            type="button"
+            onClick={() => {
+              setIsSheetOpen(false)
+              setIsListOpen(true)
+            }}
+            className="rounded-full border border-slate-200 bg-white px-4 py-3 text-sm font-semibold text-slate-900 shadow"
+          >
+            View List
+          </button>
+        </div>
+
+        {/* Add Assets bottom sheet */}
+        <div
+          className={
+            'fixed left-0 right-0 bottom-0 z-40 rounded-t-2xl border-t border-slate-200 bg-white transition-transform duration-200 ease-out ' +
+            (isSheetOpen ? 'translate-y-0' : 'translate-y-full')
+          }
+        >
+          <div className="mx-auto max-w-7xl px-4 pt-4 pb-24">
+            <div className="mx-auto mb-3 h-1.5 w-12 rounded-full bg-slate-200" />
+            <div className="flex items-center justify-between">
+              <div className="text-xs font-medium uppercase tracking-wide text-slate-500">Asset Library</div>
               <button
                 type="button"
-                onClick={() => {
-                  if (menuRef.current) menuRef.current.open = false
-                  auth.logout()
-                }}
-                className="w-full rounded-lg px-3 py-2 text-left text-sm font-semibold text-slate-700 hover:bg-slate-50"
+                onClick={() => setIsSheetOpen(false)}
+                className="rounded-lg px-3 py-2 text-sm font-semibold text-slate-700 hover:bg-slate-50"
               >
-                Sign out
+                Close
               </button>
+            </div>
+
+            <div className="mt-3 max-h-[55vh] overflow-auto">
+              <div className="pb-4">
+                <ShapePalette
+                  onAdd={(type) => {
+                    addShapeInView(type)
+                    setIsSheetOpen(false)
+                  }}
+                />
+
+                <div className="mt-4 flex flex-wrap gap-2">
+                  {categories.map((c) => {
+                    const isActive = c === activeCategory
+                    return (
+                      <button
+                        key={c}
+                        type="button"
+                        onClick={() => {
+                          setSelectedCategory(c)
+                          setSelectedSection('')
+                        }}
+                        className={
+                          'h-8 rounded-full border px-3 text-xs font-semibold ' +
+                          (isActive
+                            ? 'border-slate-900 bg-slate-900 text-white'
+                            : 'border-slate-200 bg-white text-slate-700 hover:bg-slate-50')
+                        }
+                      >
+                        {c}
+                      </button>
+                    )
+                  })}
+                </div>
+
+                {sections.length ? (
+                  <div className="mt-4">
+                    <div className="text-[11px] font-medium uppercase tracking-wide text-slate-500">Sections</div>
+                    <div className="mt-2 flex flex-wrap gap-2">
+                      {sections.map((s) => {
+                        const isActive = s.section === activeSection
+                        return (
+                          <button
+                            key={s.section}
+                            type="button"
+                            onClick={() => setSelectedSection(s.section)}
+                            className={
+                              'h-8 rounded-full border px-3 text-xs font-semibold ' +
+                              (isActive
+                                ? 'border-slate-900 bg-slate-900 text-white'
+                                : 'border-slate-200 bg-white text-slate-700 hover:bg-slate-50')
+                            }
+                          >
+                            {s.section}
+                          </button>
+                        )
+                      })}
+                    </div>
+                  </div>
+                ) : null}
+
+                <div className="mt-4 grid grid-cols-4 gap-3">
+                  {isAssetsLoading
+                    ? Array.from({ length: 12 }).map((_, idx) => (
+                        <div
+                          key={`m-asset-skel-${idx}`}
+                          className="h-16 rounded-xl border border-slate-200 bg-slate-50 animate-pulse"
+                        />
+                      ))
+                    : activeSectionItems.map((a) => (
+                        <button
+                          key={a._id}
+                          type="button"
+                          onPointerDown={(ev) => {
+                            ev.preventDefault()
+                            mobileDragRef.current = { asset: a }
+                            setMobileDragPreview({ asset: a, x: ev.clientX, y: ev.clientY })
+                          }}
+                          className="rounded-xl border border-slate-200 bg-white p-2"
+                        >
+                          <LazyAssetThumb assetId={a._id} alt={a.name} className="h-12 w-full" imgClassName="h-full w-full object-contain" />
+                        </button>
+                      ))}
+                </div>
+              </div>
+            </div>
+          </div>
+        </div>
+
+        {/* View List full-screen overlay */}
+        {isListOpen ? (
+          <div className="fixed inset-0 z-[60] bg-white">
+            <div className="sticky top-0 z-10 border-b border-slate-200 bg-white">
+              <div className="mx-auto flex max-w-7xl items-center justify-between px-4 py-4">
+                <div>
+                  <div className="text-sm font-semibold text-slate-900">Channel List</div>
+                  <div className="text-xs text-slate-500">{visualInputRows.length} items</div>
+                  {groups.length ? (
+                    <label className="mt-1 flex items-center gap-1.5 text-xs text-slate-500">
+                      <input
+                        type="checkbox"
+                        checked={groupChannelList}
+                        onChange={(e) => setGroupChannelList(e.target.checked)}
+                      />
+                      Group rows
+                    </label>
+                  ) : null}
+                </div>
+                <div className="flex items-center gap-2">
+                  <button
+                    type="button"
+                    onClick={autoNumberChannelList}
+                    disabled={Boolean(previewRevision) || !visualInputRows.length}
+                    className="rounded-lg border border-slate-200 bg-white px-3 py-2 text-sm font-semibold text-slate-900 disabled:opacity-50"
+                  >
+                    Auto-number
+                  </button>
+                  <button
+                    type="button"
+                    onClick={() => setIsListOpen(false)}
+                    className="rounded-lg border border-slate-200 bg-white px-3 py-2 text-sm font-semibold text-slate-900"
+                  >
+                    Close
+                  </button>
+                </div>
+              </div>
+            </div>
+
+            <div className="mx-auto max-w-7xl px-4 py-4">
+              <div ref={mobileChannelListRef} className="overflow-auto rounded-xl border border-slate-200">
+                <table className="w-full border-collapse text-sm">
+                  <thead className="bg-slate-50 text-left text-xs font-semibold text-slate-600">
+                    <tr>
+                      <th className="border-b border-slate-200 px-3 py-2">TOTAL</th>
+                      <th className="border-b border-slate-200 px-3 py-2">INSTRUMENT</th>
+                      <th className="border-b border-slate-200 px-3 py-2">MIC / DI</th>
+                      <th className="border-b border-slate-200 px-3 py-2">STAND</th>
+                      <th className="border-b border-slate-200 px-3 py-2">NOTES</th>
+                      <th className="border-b border-slate-200 px-3 py-2">CABLES</th>
+                      <th className="border-b border-slate-200 px-3 py-2">
+                        <span className="sr-only">Inputs</span>
+                      </th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    <ChannelListRows
+                      rows={visualInputRows}
+                      showGroups={groupChannelList}
+                      keyPrefix="m-list-"
+                      selectedIds={selectedIdSet}
+                      readOnly={Boolean(previewRevision)}
+                      onSelect={selectChannelRow}
+                      onEdit={editChannelField}
+                      onEndEdit={endContinuedEdit}
+                      onSetChannel={setChannelNumber}
+                      onToggleChannelLock={toggleChannelLock}
+                      onMoveRow={moveChannelRow}
+                      onAddInput={addNodeInput}
+                      onRemoveInput={removeNodeInput}
+                      onMoveInput={moveNodeInput}
+                    />
+                  </tbody>
+                </table>
+              </div>
+            </div>
+          </div>
+        ) : null}
+      </div>
+
+      </main>
+
+      {isHistoryOpen ? (
+        <PlotHistoryDrawer
+          versions={plotVersions}
+          hasMore={hasMorePlotVersions}
+          isLoading={isVersionsLoading}
+          isBusy={isBusy}
+          isSaving={saveStatus === 'saving'}
+          previewRevision={previewRevision?.revision || null}
+          onPreview={previewPlotVersion}
+          onRestore={restorePlotVersion}
+          onLoadMore={loadOlderPlotVersions}
+          onSaveWithMessage={(message) => savePlot(message)}
+          onClose={() => {
+            setIsHistoryOpen(false)
+            setPreviewRevision(null)
+          }}
+        />
+      ) : null}
+
+      {saveConflict ? (
+        <SaveConflictDialog
+          theirs={saveConflict.theirs}
+          conflicts={conflictMerge?.conflicts || 0}
+          onKeepMine={() => resolveSaveConflict('mine')}
+          onTakeTheirs={() => resolveSaveConflict('theirs')}
+          onMerge={() => resolveSaveConflict('merge')}
+        />
+      ) : null}
+
+      {isTemplateGalleryOpen ? (
+        <TemplateGallery
+          templates={templates}
+          isLoading={isTemplatesLoading}
+          isBusy={isBusy}
+          onPick={startNewPlot}
+          onDelete={deleteTemplate}
+          onClose={() => setIsTemplateGalleryOpen(false)}
+        />
+      ) : null}
+
+      {isShortcutsOpen ? <ShortcutCheatSheet onClose={() => setIsShortcutsOpen(false)} /> : null}
+
+      {isTrashOpen ? (
+        <PlotTrashDrawer
+          plots={trashedPlots}
+          isBusy={isBusy}
+          onRestore={restoreTrashedPlot}
+          onPurge={purgeTrashedPlot}
+          onClose={() => setIsTrashOpen(false)}
+        />
+      ) : null}
+
+      {mobileDragPreview ? (
+        <div
+          className="pointer-events-none fixed z-50"
+          style={{ left: mobileDragPreview.x - 32, top: mobileDragPreview.y - 32 }}
+        >
+          <div className="h-16 w-16 rounded-2xl border border-slate-700 bg-slate-900/90 p-2">
+            <img
+              src={`/api/assets/${mobileDragPreview.asset._id}`}
+              alt=""
+              className="h-full w-full object-contain"
+            />
+          </div>
+        </div>
+      ) : null}
+
+      <div className="pointer-events-none fixed left-0 top-0 -translate-x-[200vw]">
+        <div ref={exportRef} className="w-[794px] bg-white p-24 text-slate-900">
+          <div className="text-lg font-semibold">{(plotName || '').trim() || 'ShowPlot Export'}</div>
+          <div className="mt-4 rounded-xl border border-slate-200 bg-white p-4">
+            <img data-stage-image alt="Stage" className="w-full" />
+          </div>
+          <div className="mt-4 rounded-xl border border-slate-200 bg-white p-4">
+            <div className="text-sm font-semibold">Inputs</div>
+            <div className="mt-3 overflow-hidden rounded-lg border border-slate-200">
+              <table className="w-full border-collapse text-sm">
+                <thead className="bg-slate-50 text-left text-xs font-semibold text-slate-600">
+                  <tr>
+                    <th className="border-b border-slate-200 px-3 py-2">TOTAL</th>
+                    <th className="border-b border-slate-200 px-3 py-2">INSTRUMENT</th>
+                    <th className="border-b border-slate-200 px-3 py-2">MIC / DI</th>
+                    <th className="border-b border-slate-200 px-3 py-2">STAND</th>
+                    <th className="border-b border-slate-200 px-3 py-2">NOTES</th>
+                    <th className="border-b border-slate-200 px-3 py-2">CABLES</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  <ChannelListRows rows={exportedInputRows} showGroups={groupChannelList} />
+                </tbody>
+              </table>
+            </div>
+          </div>
+        </div>
+      </div>
+    </div>
+  )
+}
+
+// Without onEdit the rows are a plain read-only table, as in the PDF export.
+function ChannelListRows({
+  rows,
+  showGroups,
+  keyPrefix = '',
+  selectedIds,
+  readOnly,
+  onSelect,
+  onEdit,
+  onEndEdit,
+  onSetChannel,
+  onToggleChannelLock,
+  onMoveRow,
+  onAddInput,
+  onRemoveInput,
+  onMoveInput,
+}) {
+  const cellClass = 'border-b border-slate-200 px-3 py-2'
+  const dragType = 'application/showplot-channel-row'
+
+  // The number commits on blur so the row doesn't re-sort under the cursor while typing.
+  const commitChannel = (row, input) => {
+    const text = input.value.trim()
+    const channel = text ? Number(text) : null
+    if (channel !== null && !(Number.isInteger(channel) && channel >= 1 && channel <= MAX_CHANNEL_NUMBER)) {
+      input.value = row.channel ?? ''
+    } else if (channel !== row.channel) {
+      onSetChannel(row.nodeId, channel)
+    }
+  }
+
+  // Later inputs of an icon follow on from its first channel; only the first row sets the number.
+  const channelCell = (row) =>
+    row.inputIndex > 0 ? (
+      <td
+        className={
+          'border-b border-slate-200 py-1 pl-7 pr-1 text-sm ' +
+          (row.duplicateChannel ? 'font-semibold text-rose-700' : 'text-slate-500')
+        }
+        title={row.duplicateChannel ? 'This channel number is used more than once' : undefined}
+      >
+        {row.channel ?? '–'}
+      </td>
+    ) : (
+      <td className="border-b border-slate-200 px-1 py-1">
+        <div className="flex items-center">
+          <span
+            draggable={!readOnly && !row.channelLocked}
+            onDragStart={(e) => e.dataTransfer.setData(dragType, row.nodeId)}
+            className={
+              'material-symbols-outlined text-[18px] leading-none ' +
+              (readOnly || row.channelLocked ? 'text-slate-200' : 'cursor-grab text-slate-400 active:cursor-grabbing')
+            }
+            title="Drag to reorder"
+          >
+            drag_indicator
+          </span>
+          <input
+            key={row.channel ?? ''}
+            type="text"
+            inputMode="numeric"
+            defaultValue={row.channel ?? ''}
+            placeholder="–"
+            readOnly={readOnly || row.channelLocked}
+            aria-label="Channel"
+            title={row.duplicateChannel ? 'This channel number is used more than once' : undefined}
+            onFocus={() => onSelect(row.nodeId)}
+            onBlur={(e) => commitChannel(row, e.currentTarget)}
+            onKeyDown={(e) => {
+              if (e.key === 'Enter') e.currentTarget.blur()
+              if (e.key === 'Escape') {
+                e.currentTarget.value = row.channel ?? ''
+                e.currentTarget.blur()
+              }
+            }}
+            className={
+              'h-8 w-12 rounded-md border px-1.5 text-sm outline-none focus:border-slate-400 focus:bg-white ' +
+              (row.duplicateChannel
+                ? 'border-rose-300 bg-rose-50 font-semibold text-rose-700'
+                : 'border-transparent bg-transparent hover:border-slate-200')
+            }
+          />
+          <button
+            type="button"
+            disabled={readOnly || row.channel === null}
+            onClick={(e) => {
+              e.stopPropagation()
+              onToggleChannelLock(row.nodeId)
+            }}
+            className={
+              'material-symbols-outlined rounded p-0.5 text-[16px] leading-none disabled:opacity-40 ' +
+              (row.channelLocked ? 'text-slate-700' : 'text-slate-300 hover:text-slate-500')
+            }
+            title={row.channelLocked ? 'Unlock channel number' : 'Lock channel number'}
+            aria-pressed={row.channelLocked}
+          >
+            {row.channelLocked ? 'lock' : 'lock_open'}
+          </button>
+        </div>
+      </td>
+    )
+  // Inputs of a multi-input icon can be reordered or removed; its last row adds another.
+  const inputButton =
+    'material-symbols-outlined rounded p-0.5 text-[16px] leading-none text-slate-400 hover:bg-slate-100 hover:text-slate-900 disabled:text-slate-200 disabled:hover:bg-transparent'
+  const inputActionsCell = (row) => (
+    <td className="border-b border-slate-200 px-1 py-1">
+      <div className="flex items-center justify-end">
+        {row.inputId ? (
+          <>
+            <button
+              type="button"
+              disabled={readOnly || row.inputIndex === 0}
+              onClick={() => onMoveInput(row.nodeId, row.inputId, -1)}
+              className={inputButton}
+              title="Move input up"
+            >
+              arrow_upward
+            </button>
+            <button
+              type="button"
+              disabled={readOnly || row.inputIndex === row.inputCount - 1}
+              onClick={() => onMoveInput(row.nodeId, row.inputId, 1)}
+              className={inputButton}
+              title="Move input down"
+            >
+              arrow_downward
+            </button>
+            <button
+              type="button"
+              disabled={readOnly}
+              onClick={() => onRemoveInput(row.nodeId, row.inputId)}
+              className={inputButton}
+              title="Remove input"
+            >
+              close
+            </button>
+          </>
+        ) : null}
+        {row.inputIndex === row.inputCount - 1 ? (
+          <button
+            type="button"
+            disabled={readOnly || row.inputCount >= MAX_NODE_INPUTS}
+            onClick={() => onAddInput(row.nodeId)}
+            className={inputButton}
+            title="Add input"
+          >
+            add
+          </button>
+        ) : (
+          <span className="inline-block w-5" />
+        )}
+      </div>
+    </td>
+  )
+
+  const cell = (row, field, value, placeholder = '') =>
+    onEdit ? (
+      <td className="border-b border-slate-200 px-1 py-1">
+        <input
+          type="text"
+          value={value}
+          placeholder={placeholder}
+          readOnly={readOnly}
+          maxLength={PROFILE_FIELD_MAX_LENGTH}
+          aria-label={PROFILE_FIELD_LABELS[field]}
+          onFocus={() => onSelect(row.nodeId)}
+          onChange={(e) => onEdit(row.nodeId, field, e.target.value, row.inputId)}
+          onBlur={onEndEdit}
+          onKeyDown={(e) => {
+            if (e.key === 'Enter' || e.key === 'Escape') e.currentTarget.blur()
+          }}
+          className="h-8 w-full min-w-[6rem] rounded-md border border-transparent bg-transparent px-2 text-sm outline-none hover:border-slate-200 focus:border-slate-400 focus:bg-white"
+        />
+      </td>
+    ) : (
+      <td className={cellClass}>{value || placeholder}</td>
+    )
+
+  const out = []
+  let lastGroupId = null
+  for (const row of rows) {
+    if (showGroups && row.groupId !== lastGroupId) {
+      lastGroupId = row.groupId
+      out.push(
+        <tr key={`${keyPrefix}group-${row.groupId || 'none'}`}>
+          <td
+            colSpan={onAddInput ? 7 : 6}
+            className="border-b border-slate-200 bg-slate-50 px-3 py-1.5 text-xs font-semibold uppercase tracking-wide text-slate-600"
+          >
+            {row.group || 'Ungrouped'}
+          </td>
+        </tr>
+      )
+    }
+    const isSelected = Boolean(selectedIds?.has(row.nodeId))
+    out.push(
+      <tr
+        key={`${keyPrefix}${row.nodeId}:${row.inputId}`}
+        data-node-id={row.nodeId}
+        onClick={onSelect ? () => onSelect(row.nodeId) : undefined}
+        onDragOver={
+          onMoveRow && !readOnly
+            ? (e) => {
+                if (e.dataTransfer.types.includes(dragType)) e.preventDefault()
+              }
+            : undefined
+        }
+        onDrop={
+          onMoveRow && !readOnly
+            ? (e) => {
+                const nodeId = e.dataTransfer.getData(dragType)
+                if (!nodeId) return
+                e.preventDefault()
+                onMoveRow(nodeId, row.nodeId)
+              }
+            : undefined
+        }
+        className={onSelect ? 'cursor-pointer ' + (isSelected ? 'bg-red-50' : 'hover:bg-slate-50') : undefined}
+      >
+        {onSetChannel ? channelCell(row) : <td className={cellClass}>{row.order}</td>}
+        {cell(row, 'instrument', onEdit ? row.profileInstrument : row.instrument, row.defaultInstrument)}
+        {cell(row, 'mic', row.mic)}
+        {cell(row, 'stand', row.stand)}
+        {cell(row, 'notes', row.notes)}
+        {cell(row, 'cables', row.cables)}
+        {onAddInput ? inputActionsCell(row) : null}
+      </tr>
+    )
+  }
+  return out
+}
+
+function ShapePalette({ onAdd }) {
+  return (
+    <div>
+      <div className="text-[11px] font-medium uppercase tracking-wide text-slate-500">Shapes</div>
+      <div className="mt-2 grid grid-cols-3 gap-2">
+        {Object.entries(SHAPE_TYPES).map(([type, shape]) => (
+          <button
+            key={type}
+            type="button"
+            draggable
+            onDragStart={(e) => e.dataTransfer.setData('application/showplot-shape-type', type)}
+            onClick={() => onAdd(type)}
+            className="flex flex-col items-center gap-1 rounded-xl border border-slate-200 bg-white px-1 py-2 text-[11px] font-medium text-slate-700 hover:bg-slate-50"
+            title="Click or drag to stage"
+          >
+            <span className="material-symbols-outlined text-[20px] leading-none">{shape.icon}</span>
+            {shape.label}
+          </button>
+        ))}
+      </div>
+    </div>
+  )
+}
+
+function LibraryItem({ asset }) {
+  return (
+    <div
+      draggable
+      onDragStart={(e) => e.dataTransfer.setData('application/showplot-asset-id', asset._id)}
+      className="cursor-grab rounded-xl border border-slate-200 bg-white p-2 active:cursor-grabbing"
+      title="Drag to stage"
+    >
+      <LazyAssetThumb assetId={asset._id} alt={asset.name} className="h-14 w-full" imgClassName="h-full w-full object-contain" />
+      <div className="mt-2 truncate text-xs font-medium text-slate-700">{asset.name}</div>
+    </div>
+  )
+}
+
+function LazyAssetThumb({ assetId, alt, className = '', imgClassName = '' }) {
+  const supportsIO = typeof window !== 'undefined' && 'IntersectionObserver' in window
+  const [ready, setReady] = useState(() => !supportsIO)
+  const hostRef = useRef(null)
+
+  useEffect(() => {
+    const el = hostRef.current
+    if (!el || ready) return
+
+    const io = new IntersectionObserver(
+      (entries) => {
+        const entry = entries?.[0]
+        if (entry?.isIntersecting) {
+          setReady(true)
+          io.disconnect()
+        }
+      },
+      { rootMargin: '200px' }
+    )
+
+    io.observe(el)
+    return () => io.disconnect()
+  }, [ready])
+
+  return (
+    <div ref={hostRef} className={className}>
+      {ready ? (
+        <img
+          src={`/api/assets/${assetId}`}
+          alt={alt}
+          className={imgClassName}
+          loading="lazy"
+          decoding="async"
+        />
+      ) : (
+        <div className="h-full w-full rounded-md bg-slate-100 animate-pulse" aria-hidden="true" />
+      )}
+    </div>
+  )
+}
+
+function StageNode({
+  node,
+  isSelected,
+  onSelect,
+  onEnterGroup,
+  onDragStart,
+  onDragMove,
+  onDragEnd,
+  draggable = true,
+  readOnly = false,
+}) {
+  const image = useLoadedImage(`/api/assets/${node.assetId}`)
+  const scale = node.scale || 1
+  const flipX = Boolean(node.flipX)
+  const locked = Boolean(node.locked)
+
+  if (readOnly) {
+    return (
+      <KonvaImage
+        image={image}
+        x={node.x}
+        y={node.y}
+        rotation={node.rotation || 0}
+        scaleX={flipX ? -scale : scale}
+        scaleY={scale}
+        width={80}
+        height={80}
+        offsetX={40}
+        offsetY={40}
+        listening={false}
+        perfectDrawEnabled={false}
+      />
+    )
+  }
+
+  return (
+    <KonvaImage
+      id={`node-${node.id}`}
+      draggable={draggable && !locked}
+      image={image}
+      x={node.x}
+      y={node.y}
+      rotation={node.rotation || 0}
+      scaleX={flipX ? -scale : scale}
+      scaleY={scale}
+      width={80}
+      height={80}
+      offsetX={40}
+      offsetY={40}
+      onClick={onSelect}
+      onTap={onSelect}
+      onDblClick={onEnterGroup}
+      onDblTap={onEnterGroup}
+      onDragStart={onDragStart}
+      onDragMove={onDragMove}
+      onDragEnd={onDragEnd}
+      stroke={isSelected ? '#ef4444' : undefined}
+      strokeWidth={isSelected ? 2 : 0}
+      perfectDrawEnabled={false}
+    />
+  )
+}
+
+function ShapeNode({
+  node,
+  unitPx,
+  unitLabel,
+  isSelected,
+  onSelect,
+  onDoubleClick,
+  onDragStart,
+  onDragMove,
+  onDragEnd,
+  draggable = true,
+  readOnly = false,
+}) {
+  const color = node.color || SHAPE_TYPES[node.type].color
+  const outline = isSelected ? '#ef4444' : '#475569'
+  const common = readOnly
+    ? { x: node.x, y: node.y, rotation: node.rotation || 0, listening: false }
+    : {
+        id: `node-${node.id}`,
+        x: node.x,
+        y: node.y,
+        rotation: node.rotation || 0,
+        draggable: draggable && !node.locked,
+        onClick: onSelect,
+        onTap: onSelect,
+        onDblClick: onDoubleClick,
+        onDblTap: onDoubleClick,
+        onDragStart,
+        onDragMove,
+        onDragEnd,
+      }
+
+  if (node.type === 'text') {
+    const width = Math.max(1, (node.width || 0) * unitPx)
+    return (
+      <Text
+        {...common}
+        text={node.text || ''}
+        width={width}
+        offsetX={width / 2}
+        fontSize={Math.max(1, (node.fontSize || 0) * unitPx)}
+        fontStyle="bold"
+        align="center"
+        fill={isSelected ? '#ef4444' : color}
+      />
+    )
+  }
+
+  if (node.type === 'riser' || node.type === 'rect') {
+    const w = Math.max(1, (node.width || 0) * unitPx)
+    const d = Math.max(1, (node.depth || 0) * unitPx)
+    const size = `${roundTo(node.width || 0, 2)} × ${roundTo(node.depth || 0, 2)} ${unitLabel}`
+    const caption =
+      node.type === 'riser'
+        ? [node.label || 'Riser', size, `h ${roundTo(node.height || 0, 2)} ${unitLabel}`].join('\n')
+        : node.label || ''
+    return (
+      <Group {...common}>
+        <Rect
+          x={-w / 2}
+          y={-d / 2}
+          width={w}
+          height={d}
+          fill={color}
+          stroke={outline}
+          strokeWidth={isSelected ? 2 : 1.5}
+          strokeScaleEnabled={false}
+          cornerRadius={node.type === 'riser' ? 4 : 0}
+        />
+        {caption ? (
+          <Text
+            x={-w / 2}
+            y={-d / 2}
+            width={w}
+            height={d}
+            text={caption}
+            align="center"
+            verticalAlign="middle"
+            fontSize={clamp(Math.min(w, d) / 7, 8, 28)}
+            fill="#334155"
+            listening={false}
+          />
+        ) : null}
+      </Group>
+    )
+  }
+
+  const points = (node.points || []).map((v) => v * unitPx)
+  const xs = points.filter((_, i) => i % 2 === 0)
+  const ys = points.filter((_, i) => i % 2 === 1)
+  const labelX = (Math.min(...xs) + Math.max(...xs)) / 2
+  const labelY = (Math.min(...ys) + Math.max(...ys)) / 2
+  return (
+    <Group {...common}>
+      {node.type === 'polygon' ? (
+        <Line
+          name="path"
+          points={points}
+          closed
+          fill={color}
+          stroke={outline}
+          strokeWidth={isSelected ? 2 : 1.5}
+          strokeScaleEnabled={false}
+        />
+      ) : node.type === 'arrow' ? (
+        <Arrow
+          name="path"
+          points={points}
+          stroke={isSelected ? '#ef4444' : color}
+          fill={isSelected ? '#ef4444' : color}
+          strokeWidth={3}
+          pointerLength={14}
+          pointerWidth={12}
+          hitStrokeWidth={18}
+        />
+      ) : (
+        <Line
+          name="path"
+          points={points}
+          stroke={isSelected ? '#ef4444' : color}
+          strokeWidth={5}
+          lineCap="round"
+          lineJoin="round"
+          hitStrokeWidth={18}
+        />
+      )}
+      {node.label ? (
+        <Text
+          x={labelX - 100}
+          y={labelY - 7}
+          width={200}
+          align="center"
+          text={node.label}
+          fontSize={14}
+          fontStyle="bold"
+          fill="#334155"
+          listening={false}
+        />
+      ) : null}
+    </Group>
+  )
+}
 
-              <div className="my-1 h-px bg-slate-200" />
-              <div className="px-3 py-2 text-[11px] font-semibold uppercase tracking-wide text-slate-500">Support</div>
-              <a
-                href="/feedback"
-                onClick={() => {
-                  if (menuRef.current) menuRef.current.open = false
-                }}
-                className="block rounded-lg px-3 py-2 text-sm font-medium text-slate-700 hover:bg-slate-50"
-              >
-                Feedback
-              </a>
+// Vertex handles for a selected polygon, arrow or cable run: drag a vertex to move it, drag a midpoint
+// to insert one, double-click a vertex to remove it. The shape is redrawn live while dragging.
+function PointHandles({ node, targetId = `node-${node.id}`, unitPx, viewScale, onChange }) {
+  const px = (node.points || []).map((v) => v * unitPx)
+  const count = px.length / 2
+  const minPoints = POINT_SHAPE_MIN_POINTS[node.type] || 2
+  const radius = 6 / viewScale
 
-              <div className="my-1 h-px bg-slate-200" />
-              <div className="px-3 py-2 text-[11px] font-semibold uppercase tracking-wide text-slate-500">Legal</div>
-              <a
-                href="/privacy"
-                onClick={() => {
-                  if (menuRef.current) menuRef.current.open = false
-                }}
-                className="block rounded-lg px-3 py-2 text-sm font-medium text-slate-700 hover:bg-slate-50"
-              >
-                Privacy
-              </a>
-              <a
-                href="/terms"
-                onClick={() => {
-                  if (menuRef.current) menuRef.current.open = false
-                }}
-                className="block rounded-lg px-3 py-2 text-sm font-medium text-slate-700 hover:bg-slate-50"
-              >
-                Terms
-              </a>
-            </div>
-              </details>
-            </div>
+  const pathOf = (e) => e.target.getStage()?.findOne(`#${targetId}`)?.findOne('.path')
+  const toUnits = (list) => list.map((v) => roundTo(v / unitPx, 3))
+  const withMoved = (i, x, y) => px.map((v, k) => (k === i * 2 ? x : k === i * 2 + 1 ? y : v))
+  const withInserted = (i, x, y) => [...px.slice(0, (i + 1) * 2), x, y, ...px.slice((i + 1) * 2)]
+  const segments = Array.from({ length: node.type === 'polygon' ? count : count - 1 }, (_, i) => i)
+
+  return (
+    <Group name="editor-chrome" x={(node.x || 0) * unitPx} y={(node.y || 0) * unitPx} rotation={node.rotation || 0}>
+      {segments.map((i) => {
+        const j = (i + 1) % count
+        return (
+          <Circle
+            key={`mid-${i}`}
+            x={(px[i * 2] + px[j * 2]) / 2}
+            y={(px[i * 2 + 1] + px[j * 2 + 1]) / 2}
+            radius={radius * 0.7}
+            fill="#ffffff"
+            stroke="#ef4444"
+            strokeWidth={1}
+            strokeScaleEnabled={false}
+            opacity={0.8}
+            draggable
+            onDragMove={(e) => pathOf(e)?.points(withInserted(i, e.target.x(), e.target.y()))}
+            onDragEnd={(e) => onChange(toUnits(withInserted(i, e.target.x(), e.target.y())))}
+          />
+        )
+      })}
+      {Array.from({ length: count }, (_, i) => (
+        <Circle
+          key={`pt-${i}`}
+          x={px[i * 2]}
+          y={px[i * 2 + 1]}
+          radius={radius}
+          fill="#ef4444"
+          stroke="#ffffff"
+          strokeWidth={1.5}
+          strokeScaleEnabled={false}
+          draggable
+          onDragMove={(e) => pathOf(e)?.points(withMoved(i, e.target.x(), e.target.y()))}
+          onDragEnd={(e) => onChange(toUnits(withMoved(i, e.target.x(), e.target.y())))}
+          onDblClick={() => {
+            if (count > minPoints) onChange(toUnits(px.filter((_, k) => k !== i * 2 && k !== i * 2 + 1)))
+          }}
+          onDblTap={() => {
+            if (count > minPoints) onChange(toUnits(px.filter((_, k) => k !== i * 2 && k !== i * 2 + 1)))
+          }}
+        />
+      ))}
+    </Group>
+  )
+}
+
+function PlotHistoryDrawer({
+  versions,
+  hasMore,
+  isLoading,
+  isBusy,
+  isSaving,
+  previewRevision,
+  onPreview,
+  onRestore,
+  onLoadMore,
+  onSaveWithMessage,
+  onClose,
+}) {
+  const [message, setMessage] = useState('')
+
+  return (
+    <div className="fixed inset-y-0 right-0 z-[60] flex w-full max-w-sm flex-col border-l border-slate-200 bg-white shadow-xl">
+      <div className="flex items-center justify-between border-b border-slate-200 px-4 py-4">
+        <div>
+          <div className="text-sm font-semibold text-slate-900">Version History</div>
+          <div className="text-xs text-slate-500">
+            {versions.length}
+            {hasMore ? '+' : ''} revisions
           </div>
-        </nav>
-      </header>
+        </div>
+        <button
+          type="button"
+          onClick={onClose}
+          className="rounded-lg border border-slate-200 bg-white px-3 py-2 text-sm font-semibold text-slate-900"
+        >
+          Close
+        </button>
+      </div>
 
-      <main className="flex-1 min-h-0 px-4 py-4 md:px-6 md:py-6 flex flex-col">
-        <div className="flex-1 min-h-0 grid grid-rows-[minmax(0,1fr)] gap-4 md:grid-cols-[280px_1fr]">
-          <aside className="hidden md:flex md:flex-col md:min-h-0 rounded-xl border border-slate-200 bg-white p-4">
-          <div className="text-xs font-medium uppercase tracking-wide text-slate-500">Asset Library</div>
+      <div className="border-b border-slate-200 px-4 py-3">
+        <label className="text-[11px] font-semibold uppercase tracking-wide text-slate-500" htmlFor="revisionMessage">
+          Save a named revision
+        </label>
+        <div className="mt-2 flex gap-2">
+          <input
+            id="revisionMessage"
+            value={message}
+            onChange={(e) => setMessage(e.target.value)}
+            placeholder="e.g. Final for Lagos show"
+            maxLength={500}
+            className="h-10 w-full rounded-lg border border-slate-200 bg-white px-3 text-sm outline-none focus:border-slate-400"
+          />
+          <button
+            type="button"
+            disabled={isBusy || isSaving || Boolean(previewRevision)}
+            onClick={async () => {
+              await onSaveWithMessage(message.trim())
+              setMessage('')
+            }}
+            className="sp-btn-primary"
+          >
+            Save
+          </button>
+        </div>
+      </div>
 
-          <div className="mt-3 flex-1 min-h-0 overflow-y-auto pr-1">
-            <div className="flex flex-wrap gap-2">
-              {categories.map((c) => {
-                const isActive = c === activeCategory
-                return (
+      <div className="flex-1 overflow-y-auto px-2 py-2">
+        {isLoading && !versions.length ? (
+          <div className="px-2 py-3 text-sm text-slate-500">Loading…</div>
+        ) : null}
+        {!isLoading && !versions.length ? (
+          <div className="px-2 py-3 text-sm text-slate-500">No revisions yet. Every save adds one.</div>
+        ) : null}
+        {versions.map((v, idx) => {
+          const isPreviewing = v.revision === previewRevision
+          return (
+            <div
+              key={v.revision}
+              className={
+                'rounded-lg px-3 py-2 ' + (isPreviewing ? 'bg-amber-50 ring-1 ring-amber-200' : 'hover:bg-slate-50')
+              }
+            >
+              <div className="flex items-baseline justify-between gap-2">
+                <div className="text-sm font-semibold text-slate-900">
+                  Revision {v.revision}
+                  {idx === 0 ? <span className="ml-2 text-xs font-medium text-slate-500">Current</span> : null}
+                </div>
+                <div className="text-xs text-slate-500">
+                  {v.createdAt ? new Date(v.createdAt).toLocaleString() : ''}
+                </div>
+              </div>
+              {v.message ? <div className="mt-1 text-sm text-slate-700">{v.message}</div> : null}
+              {!v.message && v.isAutosave ? <div className="mt-1 text-xs italic text-slate-500">Autosave</div> : null}
+              <div className="mt-1 text-xs text-slate-500">
+                {v.authorName || v.authorEmail || 'Unknown'} · {v.name} · {v.nodeCount} items
+              </div>
+              <div className="mt-2 flex gap-2">
+                <button
+                  type="button"
+                  onClick={() => onPreview(v.revision)}
+                  disabled={isBusy || isPreviewing}
+                  className="rounded-lg border border-slate-200 bg-white px-3 py-1 text-xs font-semibold text-slate-700 hover:bg-slate-50 disabled:text-slate-400"
+                >
+                  Preview
+                </button>
+                {idx > 0 ? (
                   <button
-                    key={c}
                     type="button"
-                    onClick={() => {
-                      setSelectedCategory(c)
-                      setSelectedSection('')
-                    }}
-                    className={
-                      'h-8 rounded-full border px-3 text-xs font-semibold ' +
-                      (isActive
-                        ? 'border-slate-900 bg-slate-900 text-white'
-                        : 'border-slate-200 bg-white text-slate-700 hover:bg-slate-50')
-                    }
+                    onClick={() => onRestore(v.revision)}
+                    disabled={isBusy}
+                    className="rounded-lg bg-slate-900 px-3 py-1 text-xs font-semibold text-white hover:bg-slate-800 disabled:bg-slate-200 disabled:text-slate-500"
                   >
-                    {c}
+                    Restore
                   </button>
-                )
-              })}
+                ) : null}
+              </div>
             </div>
+          )
+        })}
+        {hasMore ? (
+          <button
+            type="button"
+            onClick={onLoadMore}
+            disabled={isLoading}
+            className="mx-2 my-2 w-[calc(100%-1rem)] rounded-lg border border-slate-200 bg-white px-3 py-2 text-xs font-semibold text-slate-700 hover:bg-slate-50 disabled:text-slate-400"
+          >
+            {isLoading ? 'Loading…' : 'Load older revisions'}
+          </button>
+        ) : null}
+      </div>
+    </div>
+  )
+}
 
-            {sections.length ? (
-              <div className="mt-4">
-                <div className="text-[11px] font-medium uppercase tracking-wide text-slate-500">Sections</div>
-                <div className="mt-2 flex flex-wrap gap-2">
-                  {sections.map((s) => {
-                    const isActive = s.section === activeSection
-                    return (
-                      <button
-                        key={s.section}
-                        type="button"
-                        onClick={() => setSelectedSection(s.section)}
-                        className={
-                          'h-8 rounded-full border px-3 text-xs font-semibold ' +
-                          (isActive
-                            ? 'border-slate-900 bg-slate-900 text-white'
-                            : 'border-slate-200 bg-white text-slate-700 hover:bg-slate-50')
-                        }
-                      >
-                        {s.section}
-                      </button>
-                    )
-                  })}
-                </div>
-              </div>
-            ) : null}
+const ALIGN_ACTIONS = [
+  { edge: 'left', icon: 'align_horizontal_left', label: 'Align left' },
+  { edge: 'centerX', icon: 'align_horizontal_center', label: 'Align centre' },
+  { edge: 'right', icon: 'align_horizontal_right', label: 'Align right' },
+  { edge: 'top', icon: 'align_vertical_top', label: 'Align top' },
+  { edge: 'centerY', icon: 'align_vertical_center', label: 'Align middle' },
+  { edge: 'bottom', icon: 'align_vertical_bottom', label: 'Align bottom' },
+]
+
+// Undo history, newest first. Entries above the current one are what redo would bring back.
+function UndoHistoryMenu({ labels, index, limit, disabled, onJump, onSetLimit }) {
+  const entries = labels.map((label, i) => ({ label, i })).reverse()
+  return (
+    <details className="relative z-30">
+      <summary className="list-none cursor-pointer sp-btn-ghost" title="Undo history">
+        <span className="material-symbols-outlined text-[18px] leading-none">manage_history</span>
+        <span className="sr-only">Undo history</span>
+      </summary>
+      <div className="absolute right-0 z-50 mt-2 w-64 rounded-xl border border-slate-200 bg-white p-1 shadow-sm">
+        <div className="max-h-80 overflow-y-auto">
+          {entries.map(({ label, i }) => (
+            <button
+              key={i}
+              type="button"
+              onClick={() => onJump(i)}
+              disabled={disabled}
+              aria-current={i === index ? 'step' : undefined}
+              className={
+                'block w-full truncate rounded-lg px-3 py-2 text-left text-sm hover:bg-slate-50 disabled:hover:bg-transparent ' +
+                (i === index
+                  ? 'bg-slate-100 font-semibold text-slate-900'
+                  : i > index
+                    ? 'font-medium text-slate-400'
+                    : 'font-medium text-slate-700')
+              }
+            >
+              {label}
+            </button>
+          ))}
+        </div>
+        <div className="my-1 h-px bg-slate-200" />
+        <label className="flex items-center justify-between gap-2 px-3 py-2 text-xs font-semibold text-slate-600">
+          Undo steps kept
+          <select
+            value={limit}
+            onChange={(e) => onSetLimit(Number(e.target.value))}
+            className="h-7 rounded-lg border border-slate-200 bg-white px-1 text-xs text-slate-700 outline-none"
+          >
+            {HISTORY_LIMITS.map((n) => (
+              <option key={n} value={n}>
+                {n}
+              </option>
+            ))}
+          </select>
+        </label>
+      </div>
+    </details>
+  )
+}
 
-            <div className="mt-4 grid grid-cols-2 gap-3">
-              {isAssetsLoading
-                ? Array.from({ length: 10 }).map((_, idx) => (
-                    <div
-                      key={`asset-skel-${idx}`}
-                      className="h-[92px] rounded-xl border border-slate-200 bg-slate-50 animate-pulse"
-                    />
-                  ))
-                : activeSectionItems.map((a) => (
-                    <LibraryItem key={a._id} asset={a} />
-                  ))}
-            </div>
-          </div>
+function ArrangeMenu({ unitCount, onAlign, onDistribute, onMirror }) {
+  const itemClass =
+    'flex w-full items-center gap-2 rounded-lg px-3 py-2 text-left text-sm font-medium text-slate-700 hover:bg-slate-50 disabled:text-slate-400 disabled:hover:bg-transparent'
+  return (
+    <details className="relative">
+      <summary className="flex cursor-pointer list-none items-center gap-1 rounded-lg px-2 py-1 font-semibold text-slate-700 hover:bg-slate-50">
+        <span className="material-symbols-outlined text-[16px] leading-none">align_horizontal_left</span>
+        Arrange
+      </summary>
+      <div className="absolute left-0 z-50 mt-2 w-56 rounded-xl border border-slate-200 bg-white p-1 shadow-sm">
+        {ALIGN_ACTIONS.map((a) => (
+          <button key={a.edge} type="button" onClick={() => onAlign(a.edge)} disabled={unitCount < 2} className={itemClass}>
+            <span className="material-symbols-outlined text-[18px] leading-none">{a.icon}</span>
+            {a.label}
+          </button>
+        ))}
+        <div className="my-1 h-px bg-slate-200" />
+        <button type="button" onClick={() => onDistribute('x')} disabled={unitCount < 3} className={itemClass}>
+          <span className="material-symbols-outlined text-[18px] leading-none">horizontal_distribute</span>
+          Distribute horizontally
+        </button>
+        <button type="button" onClick={() => onDistribute('y')} disabled={unitCount < 3} className={itemClass}>
+          <span className="material-symbols-outlined text-[18px] leading-none">vertical_distribute</span>
+          Distribute vertically
+        </button>
+        <div className="my-1 h-px bg-slate-200" />
+        <button type="button" onClick={onMirror} className={itemClass}>
+          <span className="material-symbols-outlined text-[18px] leading-none">flip</span>
+          Mirror across centre line
+        </button>
+      </div>
+    </details>
+  )
+}
 
-          <div className="mt-4 text-xs text-slate-500">Drag an icon onto the stage.</div>
-          </aside>
+const MINIMAP_WIDTH = 160
 
-        <section className="min-h-0 min-w-0 flex flex-col">
-          <div
-            ref={stageWrapRef}
-            onDragOver={(e) => e.preventDefault()}
-            onDrop={onDrop}
-            className="relative w-full flex-1 min-h-0 rounded-xl border border-slate-200 bg-white overflow-hidden touch-none select-none"
-          >
-            <div className="absolute inset-0">
-            <Stage
-              ref={stageRef}
-              width={stageSize.width}
-              height={stageSize.height}
-              onMouseDown={(e) => {
-                onStagePointerDown(e)
-              }}
-              onTouchStart={(e) => {
-                onStagePointerDown(e)
-                onStageTouchStart(e)
-              }}
-              onTouchMove={onStageTouchMove}
+// Overview of the whole stage with the visible area outlined; click or drag to move the view.
+function StageMinimap({ world, nodes, unitPx, view, onCenter }) {
+  const height = Math.round((MINIMAP_WIDTH * world.height) / world.width)
+  const scale = MINIMAP_WIDTH / world.width
+
+  const centerFromEvent = (e) => {
+    const rect = e.currentTarget.getBoundingClientRect()
+    onCenter(world.x + (e.clientX - rect.left) / scale, world.y + (e.clientY - rect.top) / scale)
+  }
+
+  return (
+    <svg
+      width={MINIMAP_WIDTH}
+      height={height}
+      viewBox={`${world.x} ${world.y} ${world.width} ${world.height}`}
+      className="cursor-pointer overflow-hidden rounded-lg border border-slate-200 bg-white shadow-sm"
+      onPointerDown={(e) => {
+        e.currentTarget.setPointerCapture(e.pointerId)
+        centerFromEvent(e)
+      }}
+      onPointerMove={(e) => {
+        if (e.currentTarget.hasPointerCapture(e.pointerId)) centerFromEvent(e)
+      }}
+    >
+      {nodes.map((n) => {
+        if (!isShapeNode(n)) {
+          return <circle key={n.id} cx={(n.x || 0) * unitPx} cy={(n.y || 0) * unitPx} r={30 * (n.scale || 1)} fill="#94a3b8" />
+        }
+        const box = nodeBounds([n], unitPx)
+        return (
+          <rect
+            key={n.id}
+            x={box.left}
+            y={box.top}
+            width={box.right - box.left}
+            height={box.bottom - box.top}
+            fill="#cbd5e1"
+          />
+        )
+      })}
+      <rect
+        x={view.left}
+        y={view.top}
+        width={view.width}
+        height={view.height}
+        fill="rgba(99, 102, 241, 0.08)"
+        stroke="#6366f1"
+        strokeWidth={2 / scale}
+      />
+    </svg>
+  )
+}
+
+// Listed top-most first, the way the layers stack on the canvas.
+function LayersPanel({
+  layers,
+  nodes,
+  activeLayerId,
+  onSetActive,
+  onAdd,
+  onAddStandard,
+  onUpdate,
+  onRename,
+  onReorder,
+  onDelete,
+}) {
+  const counts = new Map()
+  for (const n of nodes) counts.set(n.layerId || '', (counts.get(n.layerId || '') || 0) + 1)
+  const unassigned = nodes.filter((n) => !layers.some((l) => l.id === n.layerId)).length
+  const iconButton =
+    'rounded p-0.5 text-slate-500 hover:bg-slate-100 hover:text-slate-900 disabled:text-slate-300 disabled:hover:bg-transparent'
+  const rowClass = (isActive) =>
+    'flex items-center gap-1 rounded-lg px-1 py-1 ' + (isActive ? 'bg-slate-100' : 'hover:bg-slate-50')
+
+  return (
+    <details>
+      <summary className="flex cursor-pointer list-none items-center gap-1 rounded-lg border border-slate-200 bg-white px-2 py-1 text-xs font-semibold text-slate-700 shadow-sm hover:bg-slate-50">
+        <span className="material-symbols-outlined text-[18px] leading-none">layers</span>
+        Layers
+      </summary>
+      <div className="mt-2 w-72 rounded-xl border border-slate-200 bg-white p-2 text-xs shadow-lg">
+        <div className="flex items-center justify-between px-1">
+          <span className="text-slate-500">New items go on the highlighted layer.</span>
+          <button type="button" onClick={onAdd} className={iconButton} title="Add layer">
+            <span className="material-symbols-outlined text-[18px] leading-none">add</span>
+          </button>
+        </div>
+        <div className="mt-1 space-y-0.5">
+          {layers
+            .map((layer, index) => ({ layer, index }))
+            .reverse()
+            .map(({ layer, index }) => (
+              <div key={layer.id} className={rowClass(layer.id === activeLayerId)}>
+                <button
+                  type="button"
+                  onClick={() => onUpdate(layer.id, { visible: !layer.visible })}
+                  className={iconButton}
+                  title={layer.visible ? 'Hide layer' : 'Show layer'}
+                >
+                  <span className="material-symbols-outlined text-[16px] leading-none">
+                    {layer.visible ? 'visibility' : 'visibility_off'}
+                  </span>
+                </button>
+                <button
+                  type="button"
+                  onClick={() => onUpdate(layer.id, { locked: !layer.locked })}
+                  className={iconButton}
+                  title={layer.locked ? 'Unlock layer' : 'Lock layer'}
+                >
+                  <span className="material-symbols-outlined text-[16px] leading-none">
+                    {layer.locked ? 'lock' : 'lock_open'}
+                  </span>
+                </button>
+                <button
+                  type="button"
+                  onClick={() => onUpdate(layer.id, { exported: !layer.exported })}
+                  className={iconButton}
+                  title={layer.exported ? 'Included in exports' : 'Left out of exports'}
+                >
+                  <span className="material-symbols-outlined text-[16px] leading-none">
+                    {layer.exported ? 'print' : 'print_disabled'}
+                  </span>
+                </button>
+                <button
+                  type="button"
+                  onClick={() => onSetActive(layer.id)}
+                  onDoubleClick={() => onRename(layer.id)}
+                  className={`min-w-0 flex-1 truncate text-left ${layer.visible ? 'text-slate-800' : 'text-slate-400'} ${
+                    layer.id === activeLayerId ? 'font-semibold' : ''
+                  }`}
+                  title="Draw on this layer (double-click to rename)"
+                >
+                  {layer.name || 'Untitled layer'}
+                  <span className="ml-1 font-normal text-slate-400">{counts.get(layer.id) || 0}</span>
+                </button>
+                <button
+                  type="button"
+                  onClick={() => onReorder(layer.id, +1)}
+                  disabled={index === layers.length - 1}
+                  className={iconButton}
+                  title="Move up"
+                >
+                  <span className="material-symbols-outlined text-[16px] leading-none">arrow_upward</span>
+                </button>
+                <button
+                  type="button"
+                  onClick={() => onReorder(layer.id, -1)}
+                  disabled={index === 0}
+                  className={iconButton}
+                  title="Move down"
+                >
+                  <span className="material-symbols-outlined text-[16px] leading-none">arrow_downward</span>
+                </button>
+                <button type="button" onClick={() => onDelete(layer.id)} className={iconButton} title="Delete layer">
+                  <span className="material-symbols-outlined text-[16px] leading-none">delete</span>
+                </button>
+              </div>
+            ))}
+          <div className={rowClass(!activeLayerId)}>
+            <button
+              type="button"
+              onClick={() => onSetActive('')}
+              className={`min-w-0 flex-1 truncate px-1 text-left text-slate-600 ${!activeLayerId ? 'font-semibold' : ''}`}
+              title="Items on no layer, drawn underneath every layer"
             >
-              <Layer>
-                <Rect x={0} y={0} width={stageSize.width} height={stageSize.height} fill="#ffffff" listening={false} />
-                <GridLines width={stageSize.width} height={stageSize.height} spacing={40} majorEvery={5} />
-
-                {nodes.map((n) => (
-                  [
-                    <StageNode
-                      key={`img-${n.id}`}
-                      node={n}
-                      isSelected={n.id === selectedId}
-                      onSelect={() => setSelectedId(n.id)}
-                      onChange={(patch) =>
-                        setNodes((prev) => prev.map((x) => (x.id === n.id ? { ...x, ...patch } : x)))
-                      }
-                    />,
-                    n.label ? (
-                      <NodeLabel
-                        key={`lbl-${n.id}`}
-                        node={n}
-                        text={n.label}
-                      />
-                    ) : null,
-                    n.id === selectedId ? (
-                      <NodeActions
-                        key={`act-${n.id}`}
-                        node={n}
-                        canUndo={nodesHistory.canUndo}
-                        canRedo={nodesHistory.canRedo}
-                        onUndo={nodesHistory.undo}
-                        onRedo={nodesHistory.redo}
-                        onDelete={() => deleteNode(n.id)}
-                        onDuplicate={() => {
-                          const id = uid()
-                          setNodes((prev) => {
-                            const src = prev.find((x) => x.id === n.id)
-                            if (!src) return prev
-                            return [
-                              ...prev,
-                              {
-                                ...src,
-                                id,
-                                x: (src.x || 0) + 24,
-                                y: (src.y || 0) + 24,
-                              },
-                            ]
-                          })
-                          setSelectedId(id)
-                        }}
-                        onScaleUp={() => scaleNode(n.id, 1.12)}
-                        onScaleDown={() => scaleNode(n.id, 1 / 1.12)}
-                        onRotateRight={() => rotateNode(n.id, 15)}
-                        onRotateLeft={() => rotateNode(n.id, -15)}
-                        onFlipX={() => flipNodeX(n.id)}
-                        onLayerUp={() => moveLayer(n.id, +1)}
-                        onLayerDown={() => moveLayer(n.id, -1)}
-                        onText={() => setNodeLabel(n.id)}
-                        onToggleLock={() => toggleNodeLock(n.id)}
-                      />
-                    ) : null,
-                  ]
-                ))}
-                <Transformer
-                  ref={transformerRef}
-                  rotateEnabled
-                  keepRatio
-                  anchorSize={10}
-                  borderStroke="#ef4444"
-                  anchorStroke="#ef4444"
-                  anchorFill="#ffffff"
-                  anchorCornerRadius={999}
-                  enabledAnchors={[
-                    'top-left',
-                    'top-center',
-                    'top-right',
-                    'middle-left',
-                    'middle-right',
-                    'bottom-left',
-                    'bottom-center',
-                    'bottom-right',
-                  ]}
-                />
-              </Layer>
-            </Stage>
-            </div>
+              Unassigned
+              <span className="ml-1 font-normal text-slate-400">{unassigned}</span>
+            </button>
+          </div>
+        </div>
+        {!layers.length ? (
+          <button
+            type="button"
+            onClick={onAddStandard}
+            className="mt-2 w-full rounded-lg border border-slate-200 bg-white px-3 py-1.5 font-semibold text-slate-700 hover:bg-slate-50"
+          >
+            Add {STANDARD_LAYER_NAMES.join(', ')}
+          </button>
+        ) : null}
+      </div>
+    </details>
+  )
+}
+
+// A number field that applies valid values as they are typed and snaps back to the node's value on blur.
+// A null value means the selection disagrees.
+function InspectorNumber({ label, value, min, max, step, disabled, onChange, onEnd }) {
+  const [text, setText] = useState(value === null ? '' : String(value))
+  const [syncedValue, setSyncedValue] = useState(value)
+
+  if (syncedValue !== value) {
+    setSyncedValue(value)
+    if (text.trim() === '' || Number(text) !== value) setText(value === null ? '' : String(value))
+  }
 
-            {!hasMeasuredStage ? (
-              <div className="absolute inset-0 z-10 flex items-center justify-center bg-white/70">
-                <div className="h-10 w-10 animate-spin rounded-full border-2 border-slate-200 border-t-slate-900" />
-              </div>
-            ) : null}
+  return (
+    <label className="block">
+      <span className="font-semibold text-slate-600">{label}</span>
+      <input
+        type="number"
+        min={min}
+        max={max}
+        step={step}
+        value={text}
+        placeholder={value === null ? 'Mixed' : ''}
+        disabled={disabled}
+        onChange={(e) => {
+          setText(e.target.value)
+          const next = Number(e.target.value)
+          if (e.target.value.trim() === '' || !Number.isFinite(next)) return
+          if ((min !== undefined && next < min) || (max !== undefined && next > max)) return
+          onChange(next)
+        }}
+        onKeyDown={(e) => {
+          if (e.key === 'Enter') e.currentTarget.blur()
+        }}
+        onBlur={() => {
+          setText(value === null ? '' : String(value))
+          onEnd()
+        }}
+        className="mt-1 h-8 w-full rounded-lg border border-slate-200 bg-white px-2 text-xs outline-none focus:border-slate-400 disabled:bg-slate-50 disabled:text-slate-400"
+      />
+    </label>
+  )
+}
 
-            {debugSizeEnabled ? (
-              <div className="pointer-events-none absolute left-2 top-2 z-50 rounded-lg border border-slate-200 bg-white/90 px-2 py-1 text-[11px] font-medium text-slate-700">
-                <div>wrap: {stageWrapDebug.w}×{stageWrapDebug.h}</div>
-                <div>rect: {stageWrapDebug.rectW}×{stageWrapDebug.rectH}</div>
-                <div>stage: {stageSize.width}×{stageSize.height}</div>
-                <div>updates: {stageWrapDebug.updates}</div>
-              </div>
+function NodeInspector({
+  nodes,
+  unit,
+  layers,
+  layerId,
+  disabled,
+  onEdit,
+  onEndEdit,
+  onToggleLock,
+  onMoveToLayer,
+  onEditInput,
+  onAddInput,
+  onRemoveInput,
+  onMoveInput,
+}) {
+  if (!nodes.length) {
+    return <div className="text-xs text-slate-500">Select something on the stage to see its properties.</div>
+  }
+
+  // The value every node shares, or null when they differ.
+  const common = (list, get) => {
+    const values = new Set(list.map(get))
+    return values.size === 1 ? [...values][0] : null
+  }
+  const assets = nodes.filter((n) => n.type === 'asset')
+  // Icons with an input list keep mic, stand, notes and cables per input instead of in their profile.
+  const hasInputLists = assets.some((n) => nodeInputs(n))
+  const movable = nodes.some((n) => !n.locked)
+  const isLocked = nodes.every((n) => n.locked)
+  const inputClass =
+    'mt-1 w-full rounded-lg border border-slate-200 bg-white px-2 text-xs outline-none focus:border-slate-400 disabled:bg-slate-50 disabled:text-slate-400'
+  const number = (field, label, get, set, range = {}) => (
+    <InspectorNumber
+      label={label}
+      value={common(nodes, get)}
+      {...range}
+      disabled={disabled || !movable}
+      onChange={(value) => onEdit(field, (n) => set(n, value), label.replace(/ \(.*\)$/, ''))}
+      onEnd={onEndEdit}
+    />
+  )
+  const text = (field, label, list, get, set, maxLength, multiline = false) => {
+    const value = common(list, get)
+    const ids = new Set(list.map((n) => n.id))
+    const props = {
+      value: value ?? '',
+      placeholder: value === null ? 'Mixed' : '',
+      maxLength,
+      disabled: disabled || !list.some((n) => !n.locked),
+      onChange: (e) => onEdit(field, (n) => (ids.has(n.id) ? set(n, e.target.value) : n), label),
+      onBlur: onEndEdit,
+      className: inputClass + (multiline ? ' py-1' : ' h-8'),
+    }
+    return (
+      <label key={field} className="mt-2 block">
+        <span className="font-semibold text-slate-600">{label}</span>
+        {multiline ? <textarea rows={2} {...props} /> : <input type="text" {...props} />}
+      </label>
+    )
+  }
+
+  return (
+    <div className="text-xs">
+      <div className="font-semibold text-slate-900">
+        {nodes.length === 1
+          ? nodes[0].label || nodes[0].profile?.instrument || SHAPE_TYPES[nodes[0].type]?.label || 'Icon'
+          : `${nodes.length} selected`}
+      </div>
+
+      <div className="mt-3 grid grid-cols-2 gap-2">
+        {number('x', `X (${unit})`, (n) => roundTo(n.x || 0, 3), (n, x) => ({ ...n, x }))}
+        {number('y', `Y (${unit})`, (n) => roundTo(n.y || 0, 3), (n, y) => ({ ...n, y }))}
+        {number(
+          'rotation',
+          'Rotation (°)',
+          (n) => roundTo((((n.rotation || 0) % 360) + 360) % 360, 1),
+          (n, rotation) => ({ ...n, rotation }),
+          { step: 1 }
+        )}
+        {assets.length === nodes.length ? (
+          <InspectorNumber
+            label="Scale (×)"
+            value={common(assets, (n) => roundTo(n.scale || 1, 3))}
+            min={0.25}
+            max={4}
+            step={0.05}
+            disabled={disabled || !movable}
+            onChange={(scale) => onEdit('scale', (n) => ({ ...n, scale }), 'Scale')}
+            onEnd={onEndEdit}
+          />
+        ) : null}
+      </div>
+
+      <div className="mt-3 flex flex-wrap gap-x-4 gap-y-1">
+        {assets.length === nodes.length ? (
+          <label className="flex items-center gap-2 text-slate-700">
+            <input
+              type="checkbox"
+              checked={nodes.every((n) => n.flipX)}
+              disabled={disabled || !movable}
+              onChange={(e) => onEdit(null, (n) => ({ ...n, flipX: e.target.checked }), 'Flip')}
+            />
+            Flip
+          </label>
+        ) : null}
+        <label className="flex items-center gap-2 text-slate-700">
+          <input type="checkbox" checked={isLocked} disabled={disabled} onChange={onToggleLock} />
+          Locked
+        </label>
+      </div>
+
+      {layers.length ? (
+        <label className="mt-3 block">
+          <span className="font-semibold text-slate-600">Layer</span>
+          <select
+            value={layerId ?? 'mixed'}
+            disabled={disabled || !movable}
+            onChange={(e) => onMoveToLayer(e.target.value)}
+            className={inputClass + ' h-8'}
+          >
+            {layerId === null ? (
+              <option value="mixed" disabled>
+                Mixed layers
+              </option>
             ) : null}
-          </div>
+            <option value="">Unassigned</option>
+            {layers.map((l) => (
+              <option key={l.id} value={l.id}>
+                {l.name}
+              </option>
+            ))}
+          </select>
+        </label>
+      ) : null}
 
-          {error ? (
-            <div className="rounded-lg border border-rose-200 bg-rose-50 px-3 py-2 text-sm text-rose-700">
-              {error}
-            </div>
+      {nodes.every((n) => n.type === 'text')
+        ? text('text', 'Text', nodes, (n) => n.text || '', (n, value) => ({ ...n, text: value }), MAX_NODE_TEXT_LENGTH, true)
+        : null}
+      {text('label', 'Label', nodes, (n) => n.label || '', (n, label) => ({ ...n, label }), MAX_NODE_TEXT_LENGTH)}
+
+      {assets.length ? (
+        <div className="mt-4 border-t border-slate-200 pt-3">
+          <div className="font-semibold uppercase tracking-wide text-slate-500">Channel</div>
+          {Object.entries(PROFILE_FIELD_LABELS)
+            .filter(([field]) => !hasInputLists || !NODE_INPUT_FIELDS.includes(field))
+            .map(([field, label]) =>
+              text(
+                `profile.${field}`,
+                label,
+                assets,
+                (n) => n.profile?.[field] || '',
+                (n, value) => ({ ...n, profile: { ...n.profile, [field]: value } }),
+                PROFILE_FIELD_MAX_LENGTH,
+                field === 'notes'
+              )
+            )}
+          {assets.length === 1 && nodes.length === 1 ? (
+            <NodeInputList
+              node={assets[0]}
+              disabled={disabled || assets[0].locked}
+              onEdit={onEditInput}
+              onEndEdit={onEndEdit}
+              onAdd={onAddInput}
+              onRemove={onRemoveInput}
+              onMove={onMoveInput}
+            />
           ) : null}
+        </div>
+      ) : null}
+    </div>
+  )
+}
 
-          {/* Desktop channel list table */}
-          <div className="hidden md:block mt-4 rounded-xl border border-slate-200 bg-white p-4">
-            <div className="flex items-center justify-between">
-              <div className="text-sm font-semibold text-slate-900">Channel List</div>
-              <div className="text-xs text-slate-500">{visualInputRows.length} items</div>
+// The inputs of one icon, in channel order. Their mic, stand, notes and cables are edited in the Channel List.
+function NodeInputList({ node, disabled, onEdit, onEndEdit, onAdd, onRemove, onMove }) {
+  const inputs = nodeInputs(node)
+  const channel = channelOf(node)
+  const iconButton =
+    'rounded p-0.5 text-slate-500 hover:bg-slate-100 hover:text-slate-900 disabled:text-slate-300 disabled:hover:bg-transparent'
+  return (
+    <div className="mt-3">
+      <div className="flex items-center justify-between">
+        <span className="font-semibold text-slate-600">Inputs</span>
+        <button
+          type="button"
+          onClick={() => onAdd(node.id)}
+          disabled={disabled || inputCountOf(node) >= MAX_NODE_INPUTS}
+          className="rounded-lg border border-slate-200 px-2 py-0.5 font-semibold text-slate-700 hover:bg-slate-50 disabled:text-slate-300 disabled:hover:bg-transparent"
+        >
+          Add input
+        </button>
+      </div>
+      {inputs ? (
+        <div className="mt-1 space-y-1">
+          {inputs.map((input, i) => (
+            <div key={input.id} className="flex items-center gap-1">
+              <span className="w-7 shrink-0 text-right text-slate-400" title="Channel">
+                {channel === null ? '–' : channel + i}
+              </span>
+              <input
+                type="text"
+                value={input.name || ''}
+                placeholder={`Input ${i + 1}`}
+                maxLength={PROFILE_FIELD_MAX_LENGTH}
+                disabled={disabled}
+                aria-label={`Input ${i + 1} name`}
+                onChange={(e) => onEdit(node.id, 'instrument', e.target.value, input.id)}
+                onBlur={onEndEdit}
+                className="h-7 min-w-0 flex-1 rounded-lg border border-slate-200 bg-white px-2 text-xs outline-none focus:border-slate-400 disabled:bg-slate-50 disabled:text-slate-400"
+              />
+              <button
+                type="button"
+                onClick={() => onMove(node.id, input.id, -1)}
+                disabled={disabled || i === 0}
+                className={iconButton}
+                title="Move up"
+              >
+                <span className="material-symbols-outlined text-[16px] leading-none">arrow_upward</span>
+              </button>
+              <button
+                type="button"
+                onClick={() => onMove(node.id, input.id, 1)}
+                disabled={disabled || i === inputs.length - 1}
+                className={iconButton}
+                title="Move down"
+              >
+                <span className="material-symbols-outlined text-[16px] leading-none">arrow_downward</span>
+              </button>
+              <button
+                type="button"
+                onClick={() => onRemove(node.id, input.id)}
+                disabled={disabled}
+                className={iconButton}
+                title="Remove input"
+              >
+                <span className="material-symbols-outlined text-[16px] leading-none">close</span>
+              </button>
             </div>
-            <div className="mt-3 overflow-auto max-h-[40vh] rounded-lg border border-slate-200">
-              <table className="w-full border-collapse text-sm">
-                <thead className="bg-slate-50 text-left text-xs font-semibold text-slate-600">
-                  <tr>
-                    <th className="border-b border-slate-200 px-3 py-2">TOTAL</th>
-                    <th className="border-b border-slate-200 px-3 py-2">INSTRUMENT</th>
-                    <th className="border-b border-slate-200 px-3 py-2">MIC / DI</th>
-                    <th className="border-b border-slate-200 px-3 py-2">STAND</th>
-                    <th className="border-b border-slate-200 px-3 py-2">NOTES</th>
-                    <th className="border-b border-slate-200 px-3 py-2">CABLES</th>
-                  </tr>
-                </thead>
-                <tbody>
-                  {visualInputRows.map((row) => (
-                    <tr key={`list-${row.order}:${row.assetId}:${row.x}:${row.y}`}>
-                      <td className="border-b border-slate-200 px-3 py-2">{row.order}</td>
-                      <td className="border-b border-slate-200 px-3 py-2">{row.instrument || row.item}</td>
-                      <td className="border-b border-slate-200 px-3 py-2">{row.mic}</td>
-                      <td className="border-b border-slate-200 px-3 py-2">{row.stand}</td>
-                      <td className="border-b border-slate-200 px-3 py-2">{row.notes}</td>
-                      <td className="border-b border-slate-200 px-3 py-2">{row.cables}</td>
-                    </tr>
-                  ))}
-                </tbody>
-              </table>
+          ))}
+        </div>
+      ) : (
+        <div className="mt-1 text-slate-500">One input. Add more for a drum kit, stereo keys or a playback rig.</div>
+      )}
+    </div>
+  )
+}
+
+// The venue drawing under the grid. It can be dragged into place until it's locked.
+function StageUnderlay({ underlay, unitPx, draggable, onMove }) {
+  const image = useLoadedImage(`/api/underlays/${encodeURIComponent(underlay.fileId)}`)
+  if (!image) return null
+  return (
+    <KonvaImage
+      id="stage-underlay"
+      image={image}
+      x={underlay.x * unitPx}
+      y={underlay.y * unitPx}
+      width={underlay.width * unitPx}
+      height={underlay.height * unitPx}
+      opacity={underlay.opacity}
+      visible={underlay.visible}
+      listening={!underlay.locked && draggable}
+      draggable={!underlay.locked && draggable}
+      onDragEnd={(e) => onMove(e.target.x() / unitPx, e.target.y() / unitPx)}
+    />
+  )
+}
+
+function UnderlayPanel({ underlay, disabled, isCalibrating, onUpload, onChange, onEndChange, onCalibrate, onRemove }) {
+  const inputRef = useRef(null)
+  const buttonClass =
+    'rounded-lg border border-slate-200 px-2 py-1 font-semibold text-slate-700 hover:bg-slate-50 disabled:text-slate-300 disabled:hover:bg-transparent'
+  return (
+    <details>
+      <summary className="flex cursor-pointer list-none items-center gap-1 rounded-lg border border-slate-200 bg-white px-2 py-1 text-xs font-semibold text-slate-700 shadow-sm hover:bg-slate-50">
+        <span className="material-symbols-outlined text-[18px] leading-none">wallpaper</span>
+        Underlay
+      </summary>
+      <div className="mt-2 w-60 rounded-xl border border-slate-200 bg-white p-3 text-xs shadow-lg">
+        <input
+          ref={inputRef}
+          type="file"
+          accept="image/png,image/jpeg,image/webp,application/pdf"
+          className="hidden"
+          onChange={(e) => {
+            const file = e.target.files?.[0]
+            e.target.value = ''
+            if (file) onUpload(file)
+          }}
+        />
+        {underlay ? (
+          <>
+            <label className="block">
+              <span className="font-semibold text-slate-600">Opacity</span>
+              <input
+                type="range"
+                min={MIN_UNDERLAY_OPACITY}
+                max="1"
+                step="0.05"
+                value={underlay.opacity}
+                disabled={disabled}
+                onChange={(e) => onChange({ opacity: Number(e.target.value) }, 'opacity')}
+                onPointerUp={onEndChange}
+                onKeyUp={onEndChange}
+                onBlur={onEndChange}
+                className="mt-1 block w-full"
+              />
+            </label>
+            <div className="mt-2 space-y-1">
+              <label className="flex items-center gap-2 text-slate-700">
+                <input
+                  type="checkbox"
+                  checked={underlay.visible}
+                  disabled={disabled}
+                  onChange={(e) => onChange({ visible: e.target.checked })}
+                />
+                Show on canvas
+              </label>
+              <label className="flex items-center gap-2 text-slate-700">
+                <input
+                  type="checkbox"
+                  checked={underlay.locked}
+                  disabled={disabled}
+                  onChange={(e) => onChange({ locked: e.target.checked })}
+                />
+                Locked
+              </label>
+              <label className="flex items-center gap-2 text-slate-700">
+                <input
+                  type="checkbox"
+                  checked={underlay.exported}
+                  disabled={disabled || !underlay.visible}
+                  onChange={(e) => onChange({ exported: e.target.checked })}
+                />
+                Include in exports
+              </label>
+            </div>
+            <div className="mt-3 flex flex-wrap gap-2">
+              <button
+                type="button"
+                onClick={onCalibrate}
+                disabled={disabled || isCalibrating || !underlay.visible}
+                className={buttonClass}
+              >
+                Calibrate…
+              </button>
+              <button type="button" onClick={() => inputRef.current?.click()} disabled={disabled} className={buttonClass}>
+                Replace…
+              </button>
+              <button type="button" onClick={onRemove} disabled={disabled} className={buttonClass}>
+                Remove
+              </button>
             </div>
+            <div className="mt-2 text-slate-500">
+              {underlay.locked
+                ? 'Unlock to drag the image into place.'
+                : 'Drag the image on the canvas to line it up. Clicks on the deck move it until it is locked again.'}
+            </div>
+          </>
+        ) : (
+          <>
+            <div className="text-slate-500">
+              Trace over a venue drawing. Use a PNG, JPEG or WebP image up to 10 MB, or a page of a PDF.
+            </div>
+            <button
+              type="button"
+              onClick={() => inputRef.current?.click()}
+              disabled={disabled}
+              className={buttonClass + ' mt-2'}
+            >
+              Upload image or PDF…
+            </button>
+          </>
+        )}
+      </div>
+    </details>
+  )
+}
+
+function BadgeSettingsPanel({ stage, disabled, onChange }) {
+  const selectClass =
+    'mt-1 h-8 w-full rounded-lg border border-slate-200 bg-white px-2 text-xs outline-none focus:border-slate-400'
+  return (
+    <details>
+      <summary className="flex cursor-pointer list-none items-center gap-1 rounded-lg border border-slate-200 bg-white px-2 py-1 text-xs font-semibold text-slate-700 shadow-sm hover:bg-slate-50">
+        <span className="material-symbols-outlined text-[18px] leading-none">tag</span>
+        Badges
+      </summary>
+      <div className="mt-2 w-56 rounded-xl border border-slate-200 bg-white p-3 text-xs shadow-lg">
+        <label className="block">
+          <span className="font-semibold text-slate-600">Show</span>
+          <select
+            value={stage.badgeContent}
+            disabled={disabled}
+            onChange={(e) => onChange({ badgeContent: e.target.value })}
+            className={selectClass}
+          >
+            {Object.entries(BADGE_CONTENTS).map(([value, label]) => (
+              <option key={value} value={value}>
+                {label}
+              </option>
+            ))}
+          </select>
+        </label>
+        <div className="mt-2 grid grid-cols-[1fr_auto] gap-2">
+          <label className="block">
+            <span className="font-semibold text-slate-600">Style</span>
+            <select
+              value={stage.badgeStyle}
+              disabled={disabled || stage.badgeContent === 'none'}
+              onChange={(e) => onChange({ badgeStyle: e.target.value })}
+              className={selectClass}
+            >
+              {Object.entries(BADGE_STYLES).map(([value, label]) => (
+                <option key={value} value={value}>
+                  {label}
+                </option>
+              ))}
+            </select>
+          </label>
+          <label className="block">
+            <span className="font-semibold text-slate-600">Colour</span>
+            <input
+              type="color"
+              value={stage.badgeColor}
+              disabled={disabled || stage.badgeContent === 'none'}
+              onChange={(e) => onChange({ badgeColor: e.target.value })}
+              className="mt-1 block h-8 w-10 cursor-pointer rounded-lg border border-slate-200 bg-white p-0.5"
+            />
+          </label>
+        </div>
+        {stage.badgeContent === 'mix' || stage.badgeContent === 'tag' ? (
+          <div className="mt-2 text-slate-500">
+            Select icons and use “{stage.badgeContent === 'mix' ? 'Mix…' : 'Tag…'}” to fill them in.
           </div>
-        </section>
+        ) : null}
+      </div>
+    </details>
+  )
+}
+
+function StageSettingsPanel({ stage, disabled, onChange, onEditOutline }) {
+  const [width, setWidth] = useState(String(stage.width))
+  const [depth, setDepth] = useState(String(stage.depth))
+  const [apron, setApron] = useState(String(stage.apron))
+  const [wings, setWings] = useState(String(stage.wings))
+  const [syncedStage, setSyncedStage] = useState(stage)
+
+  // Reset the inputs whenever the stage changes underneath us (load, undo, unit switch).
+  if (syncedStage !== stage) {
+    setSyncedStage(stage)
+    setWidth(String(stage.width))
+    setDepth(String(stage.depth))
+    setApron(String(stage.apron))
+    setWings(String(stage.wings))
+  }
+
+  const nextWidth = Number(width)
+  const nextDepth = Number(depth)
+  const nextApron = Number(apron)
+  const nextWings = Number(wings)
+  const isValid =
+    nextWidth > 0 &&
+    nextDepth > 0 &&
+    nextWidth <= MAX_STAGE_DIMENSION &&
+    nextDepth <= MAX_STAGE_DIMENSION &&
+    [nextApron, nextWings].every((v) => v >= 0 && v <= MAX_STAGE_DIMENSION)
+  const isChanged =
+    nextWidth !== stage.width || nextDepth !== stage.depth || nextApron !== stage.apron || nextWings !== stage.wings
+
+  // New FOH and monitor-world markers start out front of the stage and off in the stage-right wing.
+  const toggleMarker = (key) => {
+    if (stage[key]) {
+      onChange({ [key]: null })
+    } else if (key === 'foh') {
+      onChange({ foh: { x: roundTo(stage.width / 2, 3), y: roundTo(stage.depth + stage.apron + stage.depth / 2, 3) } })
+    } else {
+      onChange({ monitorWorld: { x: -roundTo(stage.wings ? stage.wings / 2 : stage.width / 10, 3), y: roundTo(stage.depth / 3, 3) } })
+    }
+  }
+
+  return (
+    <details>
+      <summary
+        className="flex cursor-pointer list-none items-center gap-1 rounded-lg border border-slate-200 bg-white px-2 py-1 text-xs font-semibold text-slate-700 shadow-sm hover:bg-slate-50"
+        title="Stage size"
+      >
+        <span className="material-symbols-outlined text-[18px] leading-none">straighten</span>
+        Stage
+      </summary>
+      <form
+        className="mt-2 w-56 rounded-xl border border-slate-200 bg-white p-3 text-xs shadow-lg"
+        onSubmit={(e) => {
+          e.preventDefault()
+          if (!isValid || !isChanged) return
+          onChange({ width: nextWidth, depth: nextDepth, apron: nextApron, wings: nextWings })
+        }}
+      >
+        <div className="grid grid-cols-2 gap-2">
+          <label className="block">
+            <span className="font-semibold text-slate-600">Width</span>
+            <input
+              type="number"
+              min="0.5"
+              step="0.5"
+              value={width}
+              onChange={(e) => setWidth(e.target.value)}
+              className="mt-1 h-8 w-full rounded-lg border border-slate-200 bg-white px-2 text-xs outline-none focus:border-slate-400"
+            />
+          </label>
+          <label className="block">
+            <span className="font-semibold text-slate-600">Depth</span>
+            <input
+              type="number"
+              min="0.5"
+              step="0.5"
+              value={depth}
+              onChange={(e) => setDepth(e.target.value)}
+              className="mt-1 h-8 w-full rounded-lg border border-slate-200 bg-white px-2 text-xs outline-none focus:border-slate-400"
+            />
+          </label>
+          <label className="block">
+            <span className="font-semibold text-slate-600">Apron</span>
+            <input
+              type="number"
+              min="0"
+              step="0.5"
+              value={apron}
+              disabled={stage.outline !== 'rect'}
+              onChange={(e) => setApron(e.target.value)}
+              className="mt-1 h-8 w-full rounded-lg border border-slate-200 bg-white px-2 text-xs outline-none focus:border-slate-400 disabled:bg-slate-50 disabled:text-slate-400"
+            />
+          </label>
+          <label className="block">
+            <span className="font-semibold text-slate-600">Wings</span>
+            <input
+              type="number"
+              min="0"
+              step="0.5"
+              value={wings}
+              onChange={(e) => setWings(e.target.value)}
+              className="mt-1 h-8 w-full rounded-lg border border-slate-200 bg-white px-2 text-xs outline-none focus:border-slate-400"
+            />
+          </label>
         </div>
+        <label className="mt-2 block">
+          <span className="font-semibold text-slate-600">Units</span>
+          <select
+            value={stage.unit}
+            disabled={disabled}
+            onChange={(e) => onChange({ unit: e.target.value })}
+            className="mt-1 h-8 w-full rounded-lg border border-slate-200 bg-white px-2 text-xs outline-none focus:border-slate-400"
+          >
+            {Object.entries(STAGE_UNITS).map(([value, info]) => (
+              <option key={value} value={value}>
+                {info.name}
+              </option>
+            ))}
+          </select>
+        </label>
+        <label className="mt-2 block">
+          <span className="font-semibold text-slate-600">Outline</span>
+          <select
+            value={stage.outline}
+            disabled={disabled}
+            onChange={(e) => {
+              const outline = e.target.value
+              // A new custom outline starts from the current rectangle so it only needs nudging.
+              if (outline === 'polygon' && stage.outline !== 'polygon') {
+                onChange({ outline, outlinePoints: stageOutlinePoints(stage) })
+              } else {
+                onChange({ outline })
+              }
+            }}
+            className="mt-1 h-8 w-full rounded-lg border border-slate-200 bg-white px-2 text-xs outline-none focus:border-slate-400"
+          >
+            {Object.entries(STAGE_OUTLINES).map(([value, label]) => (
+              <option key={value} value={value}>
+                {label}
+              </option>
+            ))}
+          </select>
+        </label>
+        <div className="mt-2 space-y-1 text-slate-700">
+          <label className="flex items-center gap-2">
+            <input type="checkbox" checked={stage.markers} disabled={disabled} onChange={() => onChange({ markers: !stage.markers })} />
+            Direction markers
+          </label>
+          <label className="flex items-center gap-2">
+            <input type="checkbox" checked={Boolean(stage.foh)} disabled={disabled} onChange={() => toggleMarker('foh')} />
+            FOH position
+          </label>
+          <label className="flex items-center gap-2">
+            <input
+              type="checkbox"
+              checked={Boolean(stage.monitorWorld)}
+              disabled={disabled}
+              onChange={() => toggleMarker('monitorWorld')}
+            />
+            Monitor world
+          </label>
+        </div>
+        {stage.outline === 'polygon' || stage.foh || stage.monitorWorld ? (
+          <button
+            type="button"
+            disabled={disabled}
+            onClick={onEditOutline}
+            className="mt-2 w-full rounded-lg border border-slate-200 bg-white px-3 py-1.5 font-semibold text-slate-700 hover:bg-slate-50"
+          >
+            Edit on canvas
+          </button>
+        ) : null}
+        <button
+          type="submit"
+          disabled={disabled || !isValid || !isChanged}
+          className="mt-3 w-full rounded-lg bg-slate-900 px-3 py-1.5 font-semibold text-white hover:bg-slate-800 disabled:bg-slate-200 disabled:text-slate-500"
+        >
+          Apply
+        </button>
+      </form>
+    </details>
+  )
+}
 
-      {/* Mobile navigation + drawers */}
-      <div className="md:hidden">
-        <div className="fixed bottom-4 left-4 right-4 z-50 grid grid-cols-2 gap-3">
+function SaveConflictDialog({ theirs, conflicts, onKeepMine, onTakeTheirs, onMerge }) {
+  return (
+    <div className="fixed inset-0 z-[70] flex items-center justify-center bg-slate-900/40 px-4">
+      <div role="dialog" aria-modal="true" className="w-full max-w-md rounded-xl border border-slate-200 bg-white p-5 shadow-xl">
+        <div className="text-sm font-semibold text-slate-900">This plot was changed elsewhere</div>
+        <div className="mt-2 text-sm text-slate-600">
+          Another tab or crew member saved revision {theirs?.revision || '?'}
+          {theirs?.updatedAt ? ` at ${new Date(theirs.updatedAt).toLocaleString()}` : ''} while you were editing.
+          Choose which version to keep.
+        </div>
+
+        <div className="mt-4 space-y-2">
           <button
             type="button"
-            onClick={() => {
-              setIsListOpen(false)
-              setIsSheetOpen((v) => !v)
-            }}
-            className="rounded-full bg-slate-900 px-4 py-3 text-sm font-semibold text-white shadow"
+            onClick={onMerge}
+            className="w-full rounded-lg bg-slate-900 px-3 py-2 text-left text-sm font-semibold text-white hover:bg-slate-800"
           >
-            {isSheetOpen ? 'Close Assets' : 'Add Assets'}
+            Merge changes
+            <div className="text-xs font-normal text-slate-300">
+              {conflicts
+                ? `Applies both sides' changes; ${conflicts} item(s) edited on both sides keep your version.`
+                : 'Applies both sides\' changes; nothing conflicts.'}
+            </div>
           </button>
           <button
             type="button"
-            onClick={() => {
-              setIsSheetOpen(false)
-              setIsListOpen(true)
-            }}
-            className="rounded-full border border-slate-200 bg-white px-4 py-3 text-sm font-semibold text-slate-900 shadow"
+            onClick={onKeepMine}
+            className="w-full rounded-lg border border-slate-200 bg-white px-3 py-2 text-left text-sm font-semibold text-slate-900 hover:bg-slate-50"
           >
-            View List
+            Keep mine
+            <div className="text-xs font-normal text-slate-500">Overwrite their changes with your canvas.</div>
+          </button>
+          <button
+            type="button"
+            onClick={onTakeTheirs}
+            className="w-full rounded-lg border border-slate-200 bg-white px-3 py-2 text-left text-sm font-semibold text-slate-900 hover:bg-slate-50"
+          >
+            Take theirs
+            <div className="text-xs font-normal text-slate-500">Discard your unsaved changes and load their version.</div>
           </button>
         </div>
+      </div>
+    </div>
+  )
+}
 
-        {/* Add Assets bottom sheet */}
-        <div
-          className={
-            'fixed left-0 right-0 bottom-0 z-40 rounded-t-2xl border-t border-slate-200 bg-white transition-transform duration-200 ease-out ' +
-            (isSheetOpen ? 'translate-y-0' : 'translate-y-full')
-          }
-        >
-          <div className="mx-auto max-w-7xl px-4 pt-4 pb-24">
-            <div className="mx-auto mb-3 h-1.5 w-12 rounded-full bg-slate-200" />
-            <div className="flex items-center justify-between">
-              <div className="text-xs font-medium uppercase tracking-wide text-slate-500">Asset Library</div>
-              <button
-                type="button"
-                onClick={() => setIsSheetOpen(false)}
-                className="rounded-lg px-3 py-2 text-sm font-semibold text-slate-700 hover:bg-slate-50"
-              >
-                Close
-              </button>
-            </div>
-
-            <div className="mt-3 max-h-[55vh] overflow-auto">
-              <div className="pb-4">
-                <div className="flex flex-wrap gap-2">
-                  {categories.map((c) => {
-                    const isActive = c === activeCategory
-                    return (
-                      <button
-                        key={c}
-                        type="button"
-                        onClick={() => {
-                          setSelectedCategory(c)
-                          setSelectedSection('')
-                        }}
-                        className={
-                          'h-8 rounded-full border px-3 text-xs font-semibold ' +
-                          (isActive
-                            ? 'border-slate-900 bg-slate-900 text-white'
-                            : 'border-slate-200 bg-white text-slate-700 hover:bg-slate-50')
-                        }
-                      >
-                        {c}
-                      </button>
-                    )
-                  })}
-                </div>
-
-                {sections.length ? (
-                  <div className="mt-4">
-                    <div className="text-[11px] font-medium uppercase tracking-wide text-slate-500">Sections</div>
-                    <div className="mt-2 flex flex-wrap gap-2">
-                      {sections.map((s) => {
-                        const isActive = s.section === activeSection
-                        return (
-                          <button
-                            key={s.section}
-                            type="button"
-                            onClick={() => setSelectedSection(s.section)}
-                            className={
-                              'h-8 rounded-full border px-3 text-xs font-semibold ' +
-                              (isActive
-                                ? 'border-slate-900 bg-slate-900 text-white'
-                                : 'border-slate-200 bg-white text-slate-700 hover:bg-slate-50')
-                            }
-                          >
-                            {s.section}
-                          </button>
-                        )
-                      })}
-                    </div>
-                  </div>
-                ) : null}
+function PlotTrashDrawer({ plots, isBusy, onRestore, onPurge, onClose }) {
+  return (
+    <div className="fixed inset-y-0 right-0 z-[60] flex w-full max-w-sm flex-col border-l border-slate-200 bg-white shadow-xl">
+      <div className="flex items-center justify-between border-b border-slate-200 px-4 py-4">
+        <div>
+          <div className="text-sm font-semibold text-slate-900">Trash</div>
+          <div className="text-xs text-slate-500">{plots.length} plots</div>
+        </div>
+        <button
+          type="button"
+          onClick={onClose}
+          className="rounded-lg border border-slate-200 bg-white px-3 py-2 text-sm font-semibold text-slate-900"
+        >
+          Close
+        </button>
+      </div>
 
-                <div className="mt-4 grid grid-cols-4 gap-3">
-                  {isAssetsLoading
-                    ? Array.from({ length: 12 }).map((_, idx) => (
-                        <div
-                          key={`m-asset-skel-${idx}`}
-                          className="h-16 rounded-xl border border-slate-200 bg-slate-50 animate-pulse"
-                        />
-                      ))
-                    : activeSectionItems.map((a) => (
-                        <button
-                          key={a._id}
-                          type="button"
-                          onPointerDown={(ev) => {
-                            ev.preventDefault()
-                            mobileDragRef.current = { asset: a }
-                            setMobileDragPreview({ asset: a, x: ev.clientX, y: ev.clientY })
-                          }}
-                          className="rounded-xl border border-slate-200 bg-white p-2"
-                        >
-                          <LazyAssetThumb assetId={a._id} alt={a.name} className="h-12 w-full" imgClassName="h-full w-full object-contain" />
-                        </button>
-                      ))}
-                </div>
-              </div>
+      <div className="flex-1 overflow-y-auto px-2 py-2">
+        {!plots.length ? <div className="px-2 py-3 text-sm text-slate-500">The trash is empty.</div> : null}
+        {plots.map((p) => (
+          <div key={p._id} className="rounded-lg px-3 py-2 hover:bg-slate-50">
+            <div className="truncate text-sm font-semibold text-slate-900">{p.name || 'Untitled'}</div>
+            <div className="mt-1 text-xs text-slate-500">
+              Deleted {p.deletedAt ? new Date(p.deletedAt).toLocaleString() : ''}
+            </div>
+            <div className="mt-2 flex gap-2">
+              <button
+                type="button"
+                onClick={() => onRestore(p._id)}
+                disabled={isBusy}
+                className="rounded-lg bg-slate-900 px-3 py-1 text-xs font-semibold text-white hover:bg-slate-800 disabled:bg-slate-200 disabled:text-slate-500"
+              >
+                Restore
+              </button>
+              <button
+                type="button"
+                onClick={() => onPurge(p._id)}
+                disabled={isBusy}
+                className="rounded-lg border border-rose-200 bg-white px-3 py-1 text-xs font-semibold text-rose-700 hover:bg-rose-50 disabled:text-slate-400"
+              >
+                Delete forever
+              </button>
             </div>
           </div>
+        ))}
+      </div>
+    </div>
+  )
+}
+
+function TemplateGallery({ templates, isLoading, isBusy, onPick, onDelete, onClose }) {
+  return (
+    <div className="fixed inset-0 z-[70] flex items-center justify-center bg-slate-900/40 px-4">
+      <div
+        role="dialog"
+        aria-modal="true"
+        className="flex max-h-[85vh] w-full max-w-3xl flex-col rounded-xl border border-slate-200 bg-white shadow-xl"
+      >
+        <div className="flex items-center justify-between border-b border-slate-200 px-5 py-4">
+          <div>
+            <div className="text-sm font-semibold text-slate-900">New plot</div>
+            <div className="text-xs text-slate-500">Start blank or from a template.</div>
+          </div>
+          <button
+            type="button"
+            onClick={onClose}
+            className="rounded-lg border border-slate-200 bg-white px-3 py-2 text-sm font-semibold text-slate-900"
+          >
+            Close
+          </button>
         </div>
 
-        {/* View List full-screen overlay */}
-        {isListOpen ? (
-          <div className="fixed inset-0 z-[60] bg-white">
-            <div className="sticky top-0 z-10 border-b border-slate-200 bg-white">
-              <div className="mx-auto flex max-w-7xl items-center justify-between px-4 py-4">
-                <div>
-                  <div className="text-sm font-semibold text-slate-900">Channel List</div>
-                  <div className="text-xs text-slate-500">{visualInputRows.length} items</div>
+        <div className="grid flex-1 grid-cols-2 gap-3 overflow-y-auto p-4 sm:grid-cols-3">
+          <button
+            type="button"
+            onClick={() => onPick(null)}
+            className="rounded-xl border border-slate-200 p-2 text-left hover:border-slate-400"
+          >
+            <div className="flex aspect-[3/2] items-center justify-center rounded-lg bg-slate-50 text-slate-400">
+              <span className="material-symbols-outlined text-[32px] leading-none">add</span>
+            </div>
+            <div className="mt-2 text-sm font-semibold text-slate-900">Blank plot</div>
+          </button>
+
+          {templates.map((t) => (
+            <div key={t._id} className="rounded-xl border border-slate-200 p-2 hover:border-slate-400">
+              <button type="button" onClick={() => onPick(t)} className="block w-full text-left">
+                <TemplatePreview template={t} />
+                <div className="mt-2 flex items-center gap-2">
+                  <div className="min-w-0 flex-1 truncate text-sm font-semibold text-slate-900">{t.name}</div>
+                  <span className="rounded-full bg-slate-100 px-2 py-0.5 text-[10px] font-semibold uppercase text-slate-500">
+                    {t.isPublic ? 'Shared' : 'Mine'}
+                  </span>
                 </div>
+                {t.description ? <div className="mt-1 line-clamp-2 text-xs text-slate-500">{t.description}</div> : null}
+              </button>
+              {!t.isPublic ? (
                 <button
                   type="button"
-                  onClick={() => setIsListOpen(false)}
-                  className="rounded-lg border border-slate-200 bg-white px-3 py-2 text-sm font-semibold text-slate-900"
+                  onClick={() => onDelete(t)}
+                  disabled={isBusy}
+                  className="mt-2 text-xs font-semibold text-rose-700 hover:underline disabled:text-slate-400"
                 >
-                  Close
+                  Delete
                 </button>
-              </div>
+              ) : null}
             </div>
+          ))}
+        </div>
 
-            <div className="mx-auto max-w-7xl px-4 py-4">
-              <div className="overflow-auto rounded-xl border border-slate-200">
-                <table className="w-full border-collapse text-sm">
-                  <thead className="bg-slate-50 text-left text-xs font-semibold text-slate-600">
-                    <tr>
-                      <th className="border-b border-slate-200 px-3 py-2">TOTAL</th>
-                      <th className="border-b border-slate-200 px-3 py-2">INSTRUMENT</th>
-                      <th className="border-b border-slate-200 px-3 py-2">MIC / DI</th>
-                      <th className="border-b border-slate-200 px-3 py-2">STAND</th>
-                      <th className="border-b border-slate-200 px-3 py-2">NOTES</th>
-                      <th className="border-b border-slate-200 px-3 py-2">CABLES</th>
-                    </tr>
-                  </thead>
-                  <tbody>
-                    {visualInputRows.map((row) => (
-                      <tr key={`m-list-${row.order}:${row.assetId}:${row.x}:${row.y}`}>
-                        <td className="border-b border-slate-200 px-3 py-2">{row.order}</td>
-                        <td className="border-b border-slate-200 px-3 py-2">{row.instrument || row.item}</td>
-                        <td className="border-b border-slate-200 px-3 py-2">{row.mic}</td>
-                        <td className="border-b border-slate-200 px-3 py-2">{row.stand}</td>
-                        <td className="border-b border-slate-200 px-3 py-2">{row.notes}</td>
-                        <td className="border-b border-slate-200 px-3 py-2">{row.cables}</td>
-                      </tr>
-                    ))}
-                  </tbody>
-                </table>
-              </div>
-            </div>
+        {isLoading ? <div className="px-5 pb-4 text-sm text-slate-500">Loading templates…</div> : null}
+        {!isLoading && !templates.length ? (
+          <div className="px-5 pb-4 text-sm text-slate-500">
+            No templates yet. Use “Save as template…” in the plot menu to create one.
           </div>
         ) : null}
       </div>
+    </div>
+  )
+}
 
-      </main>
-
-      {mobileDragPreview ? (
-        <div
-          className="pointer-events-none fixed z-50"
-          style={{ left: mobileDragPreview.x - 32, top: mobileDragPreview.y - 32 }}
-        >
-          <div className="h-16 w-16 rounded-2xl border border-slate-700 bg-slate-900/90 p-2">
-            <img
-              src={`/api/assets/${mobileDragPreview.asset._id}`}
-              alt=""
-              className="h-full w-full object-contain"
-            />
+function ShortcutCheatSheet({ onClose }) {
+  return (
+    <div className="fixed inset-0 z-[70] flex items-center justify-center bg-slate-900/40 px-4">
+      <div
+        role="dialog"
+        aria-modal="true"
+        aria-label="Keyboard shortcuts"
+        className="flex max-h-[85vh] w-full max-w-md flex-col rounded-xl border border-slate-200 bg-white shadow-xl"
+      >
+        <div className="flex items-center justify-between border-b border-slate-200 px-5 py-4">
+          <div>
+            <div className="text-sm font-semibold text-slate-900">Keyboard shortcuts</div>
+            <div className="text-xs text-slate-500">Copied nodes can be pasted into any plot.</div>
           </div>
+          <button
+            type="button"
+            onClick={onClose}
+            className="rounded-lg border border-slate-200 bg-white px-3 py-2 text-sm font-semibold text-slate-900"
+          >
+            Close
+          </button>
         </div>
-      ) : null}
 
-      <div className="pointer-events-none fixed left-0 top-0 -translate-x-[200vw]">
-        <div ref={exportRef} className="w-[794px] bg-white p-24 text-slate-900">
-          <div className="text-lg font-semibold">{(plotName || '').trim() || 'ShowPlot Export'}</div>
-          <div className="mt-4 rounded-xl border border-slate-200 bg-white p-4">
-            <img data-stage-image alt="Stage" className="w-full" />
-          </div>
-          <div className="mt-4 rounded-xl border border-slate-200 bg-white p-4">
-            <div className="text-sm font-semibold">Inputs</div>
-            <div className="mt-3 overflow-hidden rounded-lg border border-slate-200">
-              <table className="w-full border-collapse text-sm">
-                <thead className="bg-slate-50 text-left text-xs font-semibold text-slate-600">
-                  <tr>
-                    <th className="border-b border-slate-200 px-3 py-2">TOTAL</th>
-                    <th className="border-b border-slate-200 px-3 py-2">INSTRUMENT</th>
-                    <th className="border-b border-slate-200 px-3 py-2">MIC / DI</th>
-                    <th className="border-b border-slate-200 px-3 py-2">STAND</th>
-                    <th className="border-b border-slate-200 px-3 py-2">NOTES</th>
-                    <th className="border-b border-slate-200 px-3 py-2">CABLES</th>
-                  </tr>
-                </thead>
-                <tbody>
-                  {visualInputRows.map((row) => (
-                    <tr key={`${row.order}:${row.assetId}:${row.x}:${row.y}`}>
-                      <td className="border-b border-slate-200 px-3 py-2">{row.order}</td>
-                      <td className="border-b border-slate-200 px-3 py-2">{row.instrument || row.item}</td>
-                      <td className="border-b border-slate-200 px-3 py-2">{row.mic}</td>
-                      <td className="border-b border-slate-200 px-3 py-2">{row.stand}</td>
-                      <td className="border-b border-slate-200 px-3 py-2">{row.notes}</td>
-                      <td className="border-b border-slate-200 px-3 py-2">{row.cables}</td>
-                    </tr>
-                  ))}
-                </tbody>
-              </table>
+        <dl className="flex-1 divide-y divide-slate-100 overflow-y-auto px-5 py-2">
+          {KEYBOARD_SHORTCUTS.map((s) => (
+            <div key={s.label} className="flex items-center justify-between gap-4 py-2 text-sm">
+              <dt className="text-slate-700">{s.label}</dt>
+              <dd className="flex shrink-0 items-center gap-1">
+                {s.keys.map((k) => (
+                  <kbd
+                    key={k}
+                    className="rounded-md border border-slate-200 bg-slate-50 px-1.5 py-0.5 font-mono text-xs text-slate-700"
+                  >
+                    {k}
+                  </kbd>
+                ))}
+              </dd>
             </div>
-          </div>
-        </div>
+          ))}
+        </dl>
       </div>
     </div>
   )
 }
 
-function LibraryItem({ asset }) {
-  return (
-    <div
-      draggable
-      onDragStart={(e) => e.dataTransfer.setData('application/showplot-asset-id', asset._id)}
-      className="cursor-grab rounded-xl border border-slate-200 bg-white p-2 active:cursor-grabbing"
-      title="Drag to stage"
-    >
-      <LazyAssetThumb assetId={asset._id} alt={asset.name} className="h-14 w-full" imgClassName="h-full w-full object-contain" />
-      <div className="mt-2 truncate text-xs font-medium text-slate-700">{asset.name}</div>
-    </div>
+// SVG counterpart of ShapeNode for previews drawn in stage units.
+function ShapePreview({ node }) {
+  const color = node.color || SHAPE_TYPES[node.type].color
+  const transform = `translate(${node.x || 0} ${node.y || 0}) rotate(${node.rotation || 0})`
+  if (node.type === 'riser' || node.type === 'rect') {
+    const w = node.width || 0
+    const d = node.depth || 0
+    return <rect x={-w / 2} y={-d / 2} width={w} height={d} fill={color} stroke="#475569" strokeWidth={0.03} transform={transform} />
+  }
+  if (node.type === 'text') {
+    return (
+      <text fontSize={node.fontSize || 0} fontWeight="bold" textAnchor="middle" dominantBaseline="hanging" fill={color} transform={transform}>
+        {node.text}
+      </text>
+    )
+  }
+  const points = []
+  for (let i = 0; i + 1 < (node.points || []).length; i += 2) points.push(`${node.points[i]},${node.points[i + 1]}`)
+  return node.type === 'polygon' ? (
+    <polygon points={points.join(' ')} fill={color} stroke="#475569" strokeWidth={0.03} transform={transform} />
+  ) : (
+    <polyline points={points.join(' ')} fill="none" stroke={color} strokeWidth={0.06} transform={transform} />
   )
 }
 
-function LazyAssetThumb({ assetId, alt, className = '', imgClassName = '' }) {
-  const supportsIO = typeof window !== 'undefined' && 'IntersectionObserver' in window
-  const [ready, setReady] = useState(() => !supportsIO)
-  const hostRef = useRef(null)
-
-  useEffect(() => {
-    const el = hostRef.current
-    if (!el || ready) return
-
-    const io = new IntersectionObserver(
-      (entries) => {
-        const entry = entries?.[0]
-        if (entry?.isIntersecting) {
-          setReady(true)
-          io.disconnect()
-        }
-      },
-      { rootMargin: '200px' }
-    )
-
-    io.observe(el)
-    return () => io.disconnect()
-  }, [ready])
+// Lightweight SVG thumbnail of a template, drawn in stage units.
+function TemplatePreview({ template }) {
+  const stage = normalizeStage(template.stage)
+  const iconSize = 80 / (STAGE_UNITS[stage.unit] || STAGE_UNITS.m).pxPerUnit
+  const nodes = Array.isArray(template.state) ? template.state : []
 
   return (
-    <div ref={hostRef} className={className}>
-      {ready ? (
-        <img
-          src={`/api/assets/${assetId}`}
-          alt={alt}
-          className={imgClassName}
-          loading="lazy"
-          decoding="async"
-        />
-      ) : (
-        <div className="h-full w-full rounded-md bg-slate-100 animate-pulse" aria-hidden="true" />
-      )}
-    </div>
+    <svg
+      viewBox={`0 0 ${stage.width} ${stage.depth}`}
+      preserveAspectRatio="xMidYMid meet"
+      className="aspect-[3/2] w-full rounded-lg bg-slate-50"
+    >
+      <rect x={0} y={0} width={stage.width} height={stage.depth} fill="#ffffff" />
+      {nodes.filter(isShapeNode).map((n) => (
+        <ShapePreview key={n.id} node={n} />
+      ))}
+      {nodes
+        .filter((n) => n.assetId)
+        .map((n) => {
+          const size = iconSize * (n.scale || 1)
+          const x = n.x || 0
+          const y = n.y || 0
+          return (
+            <image
+              key={n.id}
+              href={`/api/assets/${n.assetId}`}
+              x={x - size / 2}
+              y={y - size / 2}
+              width={size}
+              height={size}
+              transform={`rotate(${n.rotation || 0} ${x} ${y})${n.flipX ? ` translate(${2 * x} 0) scale(-1 1)` : ''}`}
+            />
+          )
+        })}
+    </svg>
   )
 }
 
-function StageNode({ node, isSelected, onSelect, onChange }) {
-  const image = useLoadedImage(`/api/assets/${node.assetId}`)
-  const scale = node.scale || 1
-  const flipX = Boolean(node.flipX)
-  const locked = Boolean(node.locked)
-
+function NodeBadge({ node, text, shape, color }) {
+  const height = 20
+  // A circle only fits a couple of characters; longer text stretches into a rounded tag.
+  const width = shape === 'circle' && text.length <= 2 ? height : Math.max(height, text.length * 7 + 10)
+  const pos = badgePosition(node.x || 0, node.y || 0, node.scale || 1)
   return (
-    <KonvaImage
-      id={`node-${node.id}`}
-      draggable={!locked}
-      image={image}
-      x={node.x}
-      y={node.y}
-      rotation={node.rotation || 0}
-      scaleX={flipX ? -scale : scale}
-      scaleY={scale}
-      width={80}
-      height={80}
-      offsetX={40}
-      offsetY={40}
-      onClick={onSelect}
-      onTap={onSelect}
-      onDragEnd={(e) => onChange({ x: e.target.x(), y: e.target.y() })}
-      onTransformEnd={(e) => {
-        if (locked) return
-        const t = e.target
-        const nextFlipX = t.scaleX() < 0
-        const nextScale = clamp(Math.abs(t.scaleX()), 0.25, 4)
-        const nextRotation = t.rotation()
-        t.scaleX(1)
-        t.scaleY(1)
-        onChange({ scale: nextScale, rotation: nextRotation, flipX: nextFlipX })
-      }}
-      stroke={isSelected ? '#ef4444' : undefined}
-      strokeWidth={isSelected ? 2 : 0}
-      perfectDrawEnabled={false}
-    />
+    <Group id={`badge-${node.id}`} x={pos.x} y={pos.y} listening={false}>
+      <Rect
+        x={-width / 2}
+        y={-height / 2}
+        width={width}
+        height={height}
+        cornerRadius={shape === 'square' ? 3 : height / 2}
+        fill={color}
+        stroke="#ffffff"
+        strokeWidth={1.5}
+      />
+      <Text
+        x={-width / 2}
+        y={-height / 2}
+        width={width}
+        height={height}
+        text={text}
+        fontSize={12}
+        fontStyle="bold"
+        fill="#ffffff"
+        align="center"
+        verticalAlign="middle"
+      />
+    </Group>
   )
 }
 
-function NodeLabel({ node, text }) {
-  const scale = node.scale || 1
-  const y = (node.y || 0) + 40 * scale + 12
+function NodeLabel({ node, text, draggable = false, onDragEnd }) {
+  const style = labelStyleOf(node)
+  const box = labelBox(text, style, node.x || 0, node.y || 0, node.rotation, node.scale || 1)
   return (
     <Text
-      x={(node.x || 0) - 80}
-      y={y}
+      id={`label-${node.id}`}
+      x={box.x}
+      y={box.y}
       text={text}
-      width={160}
-      fontSize={12}
-      fontStyle="600"
-      fill="#0f172a"
-      align="center"
-      offsetX={0}
-      offsetY={0}
-      listening={false}
+      width={LABEL_WIDTH}
+      fontSize={style.fontSize}
+      fontStyle={style.bold ? 'bold' : 'normal'}
+      fill={style.color}
+      align={box.align}
+      lineHeight={1}
+      draggable={draggable}
+      listening={draggable}
+      onDragEnd={onDragEnd}
     />
   )
 }
 
+// In-place label editor laid over the canvas where the label sits. Enter adds a line; Ctrl/⌘+Enter or
+// clicking away saves, Esc cancels.
+function LabelEditor({
+  draft,
+  box,
+  width = LABEL_WIDTH,
+  placeholder = 'Label',
+  view,
+  showStyle,
+  onChange,
+  onCommit,
+  onCancel,
+}) {
+  const { style } = draft
+  const setStyle = (patch) => onChange({ ...draft, style: { ...style, ...patch } })
+  const fontSize = style.fontSize * view.scale
+  // Some browsers blur the textarea as it unmounts; don't save a draft that was just cancelled.
+  const closedRef = useRef(false)
+  const close = (action) => {
+    if (closedRef.current) return
+    closedRef.current = true
+    action()
+  }
+
+  return (
+    <div
+      className="absolute z-30"
+      style={{ left: view.x + box.x * view.scale, top: view.y + box.y * view.scale, width: width * view.scale }}
+      onBlur={(e) => {
+        if (!e.currentTarget.contains(e.relatedTarget)) close(onCommit)
+      }}
+    >
+      {showStyle ? (
+        <div className="absolute bottom-full left-1/2 mb-2 flex -translate-x-1/2 items-center gap-1 whitespace-nowrap rounded-xl border border-slate-200 bg-white p-1 text-xs shadow-sm">
+          <select
+            value={style.fontSize}
+            onChange={(e) => setStyle({ fontSize: Number(e.target.value) })}
+            className="h-7 rounded-lg border border-slate-200 bg-white px-1 outline-none"
+            title="Font size"
+          >
+            {LABEL_FONT_SIZES.map((size) => (
+              <option key={size} value={size}>
+                {size}px
+              </option>
+            ))}
+          </select>
+          <button
+            type="button"
+            aria-pressed={style.bold}
+            onClick={() => setStyle({ bold: !style.bold })}
+            className="sp-btn-ghost h-7 px-2 font-bold"
+            title="Bold"
+          >
+            B
+          </button>
+          <input
+            type="color"
+            value={style.color}
+            onChange={(e) => setStyle({ color: e.target.value })}
+            className="h-7 w-8 cursor-pointer rounded-lg border border-slate-200 bg-white p-0.5"
+            title="Colour"
+          />
+          <select
+            value={style.placement}
+            onChange={(e) => setStyle({ placement: e.target.value })}
+            className="h-7 rounded-lg border border-slate-200 bg-white px-1 outline-none"
+            title="Placement (drag the label on the canvas to place it freely)"
+          >
+            {Object.entries(LABEL_PLACEMENTS).map(([value, label]) => (
+              <option key={value} value={value}>
+                {label}
+              </option>
+            ))}
+          </select>
+          <button
+            type="button"
+            onClick={() => close(onCommit)}
+            className="h-7 rounded-lg bg-slate-900 px-2 font-semibold text-white hover:bg-slate-800"
+          >
+            Done
+          </button>
+        </div>
+      ) : null}
+      <textarea
+        autoFocus
+        value={draft.text}
+        rows={Math.max(1, draft.text.split('\n').length)}
+        maxLength={MAX_NODE_TEXT_LENGTH}
+        placeholder={placeholder}
+        onChange={(e) => onChange({ ...draft, text: e.target.value })}
+        onKeyDown={(e) => {
+          if (e.key === 'Escape') {
+            e.preventDefault()
+            close(onCancel)
+          } else if (e.key === 'Enter' && (e.metaKey || e.ctrlKey)) {
+            e.preventDefault()
+            close(onCommit)
+          }
+        }}
+        className="block w-full select-text resize-none overflow-hidden rounded border border-indigo-400 bg-white/90 p-0 outline-none"
+        style={{
+          fontSize,
+          lineHeight: 1,
+          fontWeight: style.bold ? 700 : 400,
+          color: style.color,
+          textAlign: box.align,
+          minHeight: fontSize + 2,
+        }}
+      />
+    </div>
+  )
+}
+
 function NodeActions({
   node,
+  viewScale = 1,
   canUndo,
   canRedo,
   onUndo,
@@ -1783,13 +7664,17 @@ function NodeActions({
   onToggleLock,
 }) {
   const locked = Boolean(node.locked)
-  const r = 40 * (node.scale || 1)
+  // Controls keep a constant on-screen size however far the stage is scaled.
+  const r = 40 * (node.scale || 1) * viewScale
 
   return (
     <Group
+      name="editor-chrome"
       x={node.x}
       y={node.y}
       rotation={node.rotation || 0}
+      scaleX={1 / viewScale}
+      scaleY={1 / viewScale}
     >
       {/* Center overlay: move handle (visual only; node itself is draggable) */}
       <Group>
@@ -1897,6 +7782,94 @@ function NodeActionIcon({ icon, onClick, danger = false, disabled = false, x = 0
   )
 }
 
+// Stage edge, apron line, wings and the audience-orientation captions, drawn under the nodes. The
+// audience sits below the plot, so STAGE LEFT (the performers' left) is on the right of the page.
+function StageOutline({ stage, unitPx, isEditing, onMoveMarker }) {
+  const extent = stageExtent(stage)
+  const left = extent.left * unitPx
+  const right = extent.right * unitPx
+  const top = extent.top * unitPx
+  const bottom = extent.bottom * unitPx
+  const centerX = (stage.width * unitPx) / 2
+  const centerY = (top + bottom) / 2
+  const deckW = stage.width * unitPx
+  const deckD = stage.depth * unitPx
+  const wingW = stage.wings * unitPx
+  const caption = { fontSize: 16, fontStyle: 'bold', fill: '#64748b', align: 'center', width: 240, listening: false }
+
+  const positions = [
+    ['foh', 'FOH', '#0f766e'],
+    ['monitorWorld', 'MON', '#7c3aed'],
+  ].filter(([key]) => stage[key])
+
+  return (
+    <>
+      {stage.outline !== 'none' ? (
+        <Group id="stage-outline" listening={false}>
+          <Line
+            name="path"
+            points={stageOutlinePoints(stage).map((v) => v * unitPx)}
+            closed
+            stroke="#334155"
+            strokeWidth={2}
+            strokeScaleEnabled={false}
+          />
+        </Group>
+      ) : null}
+      {stage.outline === 'rect' && stage.apron ? (
+        <Line
+          points={[0, deckD, deckW, deckD]}
+          stroke="#94a3b8"
+          strokeWidth={1}
+          dash={[8, 6]}
+          strokeScaleEnabled={false}
+          listening={false}
+        />
+      ) : null}
+      {wingW
+        ? [-wingW, deckW].map((x) => (
+            <Group key={`wing-${x}`} listening={false}>
+              <Rect
+                x={x}
+                y={0}
+                width={wingW}
+                height={deckD}
+                fill="rgba(148, 163, 184, 0.08)"
+                stroke="#94a3b8"
+                strokeWidth={1}
+                dash={[8, 6]}
+                strokeScaleEnabled={false}
+              />
+              <Text x={x} y={deckD / 2 - 7} width={wingW} text="WING" fontSize={14} fill="#94a3b8" align="center" />
+            </Group>
+          ))
+        : null}
+      {stage.markers ? (
+        <>
+          <Text {...caption} x={centerX - 120} y={top - 44} text="UPSTAGE" />
+          <Text {...caption} x={centerX - 120} y={bottom + 10} text="DOWNSTAGE" />
+          <Text {...caption} x={centerX - 120} y={bottom + 38} text="▼ AUDIENCE ▼" fill="#0f172a" />
+          <Text {...caption} x={left - 28} y={centerY} offsetX={120} offsetY={8} rotation={-90} text="STAGE RIGHT" />
+          <Text {...caption} x={right + 28} y={centerY} offsetX={120} offsetY={8} rotation={90} text="STAGE LEFT" />
+        </>
+      ) : null}
+      {positions.map(([key, label, color]) => (
+        <Group
+          key={key}
+          x={stage[key].x * unitPx}
+          y={stage[key].y * unitPx}
+          listening={isEditing}
+          draggable={isEditing}
+          onDragEnd={(e) => onMoveMarker(key, e.target.x() / unitPx, e.target.y() / unitPx)}
+        >
+          <Rect x={-26} y={-14} width={52} height={28} cornerRadius={6} fill="#ffffff" stroke={color} strokeWidth={2} />
+          <Text x={-26} y={-7} width={52} text={label} fontSize={14} fontStyle="bold" fill={color} align="center" />
+        </Group>
+      ))}
+    </>
+  )
+}
+
 function GridLines({ width, height, spacing = 40, majorEvery = 5 }) {
   const lines = []
   const cols = Math.floor(width / spacing)
@@ -1911,6 +7884,7 @@ function GridLines({ width, height, spacing = 40, majorEvery = 5 }) {
         points={[x, 0, x, height]}
         stroke={major ? '#d1d5db' : '#e5e7eb'}
         strokeWidth={1}
+        strokeScaleEnabled={false}
         listening={false}
       />
     )
@@ -1925,6 +7899,7 @@ function GridLines({ width, height, spacing = 40, majorEvery = 5 }) {
         points={[0, y, width, y]}
         stroke={major ? '#d1d5db' : '#e5e7eb'}
         strokeWidth={1}
+        strokeScaleEnabled={false}
         listening={false}
       />
     )